@@ -0,0 +1,112 @@
+/**
+ * PublicPredictionsAvatar picks the picture to show for a user. Users carry
+ * an "avatar" record on their people/<uid> profile, which may contain any of:
+ *
+ *   dataURL     An image the user uploaded (see PublicPredictions.setAvatar).
+ *   facebookId  The user's Facebook ID, set when signing in with Facebook.
+ *   emailHash   The SHA-256 hash of the user's email address, for Gravatar.
+ *
+ * Each backend in BACKENDS turns that record into a picture URL, or returns
+ * null if it does not apply. They are tried in the order of ORDER, and the
+ * generated initials always apply, so every user gets a picture.
+ */
+var PublicPredictionsAvatar = {
+  SMALL_SIZE: 50,
+  LARGE_SIZE: 200,
+
+  ORDER: ["upload", "facebook", "gravatar", "initials"],
+
+  BACKENDS: {
+    upload: function(avatar, name, size) {
+      var dataURL = avatar.dataURL;
+      return PublicPredictionsAvatar.isImageDataURL(dataURL) ? dataURL : null;
+    },
+    facebook: function(avatar, name, size) {
+      if (!avatar.facebookId) {
+        return null;
+      }
+      return "https://graph.facebook.com/" + encodeURIComponent(avatar.facebookId) +
+             "/picture/?type=" + (size > PublicPredictionsAvatar.SMALL_SIZE ? "large" : "square") +
+             "&return_ssl_resources=1";
+    },
+    gravatar: function(avatar, name, size) {
+      if (!/^[0-9a-f]{64}$/.test(avatar.emailHash || "")) {
+        return null;
+      }
+      // Gravatar answers with a 404 for unknown addresses, in which case the
+      // image falls back to the initials, see PublicPredictionsUI.
+      return "https://www.gravatar.com/avatar/" + avatar.emailHash +
+             "?s=" + size + "&d=404";
+    },
+    initials: function(avatar, name, size) {
+      return PublicPredictionsAvatar.initials(name);
+    }
+  },
+
+  /**
+   * Get the URL of the picture for a user.
+   *
+   * @param    {Object}    avatar      The user's avatar record, if any.
+   * @param    {string}    name        The user's full name.
+   * @param    {boolean}   large       Whether a large picture is needed.
+   * @return   {string}                The picture URL.
+   */
+  resolve: function(avatar, name, large) {
+    var size = large ? this.LARGE_SIZE : this.SMALL_SIZE;
+    for (var i = 0; i < this.ORDER.length; i++) {
+      var url = this.BACKENDS[this.ORDER[i]](avatar || {}, name || "", size);
+      if (url) {
+        return url;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Generate an SVG picture, as a data URL, showing the initials of a name
+   * on a background colour derived from the name.
+   *
+   * @param    {string}    name        The user's full name.
+   * @return   {string}                The picture URL.
+   */
+  initials: function(name) {
+    name = (name || "").replace(/^\s+|\s+$/g, "");
+    var words = name.split(/\s+/);
+    var initials = words[0].charAt(0);
+    if (words.length > 1) {
+      initials += words[words.length - 1].charAt(0);
+    }
+    initials = (initials || "?").toUpperCase().replace(/[<>&"']/g, "");
+
+    var hash = 0;
+    for (var i = 0; i < name.length; i++) {
+      hash = (hash * 31 + name.charCodeAt(i)) % 360;
+    }
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">' +
+              '<rect width="100" height="100" fill="hsl(' + hash + ',45%,55%)"/>' +
+              '<text x="50" y="50" dy=".35em" text-anchor="middle" fill="#fff" ' +
+              'font-family="Helvetica,Arial,sans-serif" font-size="40">' + initials +
+              '</text></svg>';
+    return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+  },
+
+  isImageDataURL: function(dataURL) {
+    return typeof dataURL == "string" &&
+           /^data:image\/(png|jpeg|gif);base64,[A-Za-z0-9+\/]+=*$/.test(dataURL);
+  },
+
+  /**
+   * Hash an email address for Gravatar. Calls onComplete with the hex
+   * encoded SHA-256 hash, or null if the browser cannot hash.
+   *
+   * @param    {string}    email       The email address.
+   * @param    {Function}  onComplete  The callback to call with the hash.
+   */
+  hashEmail: function(email, onComplete) {
+    if (!email) {
+      onComplete(null);
+      return;
+    }
+    PublicPredictions.sha256(email.replace(/^\s+|\s+$/g, "").toLowerCase(), onComplete);
+  }
+};
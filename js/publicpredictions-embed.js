@@ -0,0 +1,113 @@
+/**
+ * PublicPredictionsEmbed mounts PublicPredictions widgets into pages on other
+ * sites, such as wikis and blogs. It has no dependencies; include it with:
+ *
+ *   <div data-publicpredictions-prediction="<prediction ID>"></div>
+ *   <div data-publicpredictions-user="<user ID>"></div>
+ *   <script src="https://<site>/js/publicpredictions-embed.js" async></script>
+ *
+ * Every element with one of those attributes gets the widget of a single
+ * prediction, or of a user's latest predictions, once the page has loaded.
+ * Widgets can also be mounted by hand with PublicPredictionsEmbed.mount().
+ *
+ * Each widget is an iframe showing the "?embed=<id>" or "?embed-profile=<id>"
+ * page of the site the script was loaded from. Those pages keep themselves
+ * up to date, and report their height so the iframe can be resized to fit.
+ */
+var PublicPredictionsEmbed = {
+  /**
+   * The height, in pixels, of widgets until they report their own.
+   */
+  HEIGHT: 240,
+
+  /**
+   * Mount a widget into an element, replacing its content.
+   *
+   * @param    {Element}   element     The element to mount the widget into.
+   * @param    {Object}    options     Either a "prediction" or a "user" ID,
+   *                                   and optionally the "siteURL" to load
+   *                                   the widget from.
+   * @return   {Element}               The iframe of the widget.
+   */
+  mount: function(element, options) {
+    var query;
+    if (options.prediction) {
+      query = "?embed=" + encodeURIComponent(options.prediction);
+    } else if (options.user) {
+      query = "?embed-profile=" + encodeURIComponent(options.user);
+    } else {
+      throw new Error("Invalid widget provided");
+    }
+
+    var frame = document.createElement("iframe");
+    frame.src = (options.siteURL || this._siteURL) + query;
+    frame.width = "100%";
+    frame.height = this.HEIGHT;
+    frame.frameBorder = "0";
+    frame.scrolling = "no";
+    frame.title = "PublicPredictions";
+    frame.style.border = "0";
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+    element.appendChild(frame);
+    this._frames.push(frame);
+    return frame;
+  },
+
+  /**
+   * Mount widgets into every element with a "data-publicpredictions-prediction"
+   * or "data-publicpredictions-user" attribute that has none yet.
+   *
+   * @param    {Element}   root        Where to look, defaults to the document.
+   */
+  mountAll: function(root) {
+    var elements = (root || document).querySelectorAll(
+      "[data-publicpredictions-prediction], [data-publicpredictions-user]"
+    );
+    for (var i = 0; i < elements.length; i++) {
+      if (elements[i].getAttribute("data-publicpredictions-mounted")) {
+        continue;
+      }
+      elements[i].setAttribute("data-publicpredictions-mounted", "true");
+      this.mount(elements[i], {
+        prediction: elements[i].getAttribute("data-publicpredictions-prediction"),
+        user: elements[i].getAttribute("data-publicpredictions-user")
+      });
+    }
+  },
+
+  _frames: [],
+  _siteURL: (function() {
+    // Widgets come from the site this script was loaded from.
+    var scripts = document.getElementsByTagName("script");
+    var script = document.currentScript || scripts[scripts.length - 1];
+    return script.src.replace(/js\/[^\/]*$/, "");
+  })(),
+  _onMessage: function(e) {
+    // Widgets post their height whenever it changes.
+    var data = e.data;
+    if (!data || data.publicpredictions != "height" || typeof data.height != "number") {
+      return;
+    }
+    for (var i = 0; i < this._frames.length; i++) {
+      if (this._frames[i].contentWindow === e.source) {
+        this._frames[i].height = Math.ceil(data.height);
+      }
+    }
+  }
+};
+
+(function() {
+  var embed = PublicPredictionsEmbed;
+  window.addEventListener("message", function(e) {
+    embed._onMessage(e);
+  }, false);
+  if (document.readyState == "loading") {
+    document.addEventListener("DOMContentLoaded", function() {
+      embed.mountAll();
+    }, false);
+  } else {
+    embed.mountAll();
+  }
+})();
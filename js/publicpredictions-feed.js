@@ -0,0 +1,159 @@
+/**
+ * PublicPredictionsFeed builds Atom and RSS documents from a list of
+ * predictions, so people can follow users and topics from feed readers. It
+ * only formats data; see PublicPredictions.buildFeed() for reading it, and
+ * scripts/build-feeds.js for writing static feed files. Those files are what
+ * feed readers can subscribe to: the app's "?feed=" page builds a feed in
+ * the browser, so it only shows a preview and offers it for download.
+ *
+ * A feed is described by an object with:
+ *
+ *   title        The title of the feed.
+ *   link         The URL of the page the feed mirrors.
+ *   self         The URL of the feed itself, if it has one.
+ *   siteURL      The URL of the site, used to link back to each prediction
+ *                as "<siteURL>?prediction=<id>".
+ *   predictions  The predictions to include, newest first, each with a
+ *                "predictionId" and the fields stored for it.
+ */
+var PublicPredictionsFeed = {
+  FORMATS: ["atom", "rss"],
+
+  /**
+   * Build a feed document.
+   *
+   * @param    {string}    format      Either "atom" or "rss".
+   * @param    {Object}    feed        The feed, see above.
+   * @return   {string}                The XML document.
+   */
+  build: function(format, feed) {
+    if (format == "atom") {
+      return this._atom(feed);
+    }
+    if (format == "rss") {
+      return this._rss(feed);
+    }
+    throw new Error("Invalid feed format provided");
+  },
+
+  /**
+   * Get the URL of the page of a prediction.
+   *
+   * @param    {string}    siteURL     The URL of the site.
+   * @param    {string}    id          The ID of the prediction.
+   * @return   {string}                The URL.
+   */
+  predictionURL: function(siteURL, id) {
+    return siteURL.replace(/[?#].*$/, "") + "?prediction=" + encodeURIComponent(id);
+  },
+
+  _escape: function(text) {
+    // Also drop the control characters XML does not allow.
+    return String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "").
+      replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").
+      replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+  },
+  _title: function(prediction) {
+    if (prediction.sealed && !prediction.revealedAt) {
+      return "Sealed prediction";
+    }
+    var content = prediction.content || "";
+    return content.length > 80 ? content.substr(0, 79) + "\u2026" : content;
+  },
+  _summary: function(prediction) {
+    // The content, followed by what else we know about the prediction.
+    var details = [];
+    if (prediction.confidence) {
+      details.push(Math.round(prediction.confidence * 100) + "% confident");
+    }
+    if (prediction.deadline) {
+      details.push("resolve by " + new Date(prediction.deadline).toISOString().substr(0, 10));
+    }
+    if (prediction.outcome) {
+      details.push("resolved: " + prediction.outcome);
+    }
+    if (prediction.retracted) {
+      details.push("retracted");
+    }
+    if (prediction.sealed && !prediction.revealedAt) {
+      details.push("fingerprint " + prediction.commitment);
+      return "Sealed until " + new Date(prediction.revealAt).toISOString().substr(0, 10) +
+        " (" + details.join(", ") + ")";
+    }
+    if (prediction.imported) {
+      details.push("imported");
+    }
+    return prediction.content + (details.length ? " (" + details.join(", ") + ")" : "");
+  },
+  _updated: function(feed) {
+    var updated = 0;
+    for (var i = 0; i < feed.predictions.length; i++) {
+      updated = Math.max(updated, feed.predictions[i].resolvedAt || 0,
+                         feed.predictions[i].timestamp || 0);
+    }
+    return new Date(updated || new Date().getTime());
+  },
+  _atom: function(feed) {
+    var e = this._escape;
+    var lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      '  <title>' + e(feed.title) + '</title>',
+      '  <id>' + e(feed.self || feed.link) + '</id>',
+      '  <link rel="alternate" type="text/html" href="' + e(feed.link) + '"/>'
+    ];
+    if (feed.self) {
+      lines.push('  <link rel="self" type="application/atom+xml" href="' + e(feed.self) + '"/>');
+    }
+    lines.push('  <updated>' + this._updated(feed).toISOString() + '</updated>');
+    for (var i = 0; i < feed.predictions.length; i++) {
+      var prediction = feed.predictions[i];
+      var url = this.predictionURL(feed.siteURL, prediction.predictionId);
+      var published = new Date(prediction.timestamp || 0).toISOString();
+      lines.push(
+        '  <entry>',
+        '    <title>' + e(this._title(prediction)) + '</title>',
+        '    <id>' + e(url) + '</id>',
+        '    <link rel="alternate" type="text/html" href="' + e(url) + '"/>',
+        '    <published>' + published + '</published>',
+        '    <updated>' + new Date(prediction.resolvedAt || prediction.timestamp || 0).toISOString() + '</updated>',
+        '    <author><name>' + e(prediction.by || "") + '</name></author>',
+        '    <content type="text">' + e(this._summary(prediction)) + '</content>',
+        '  </entry>'
+      );
+    }
+    lines.push('</feed>');
+    return lines.join("\n") + "\n";
+  },
+  _rss: function(feed) {
+    var e = this._escape;
+    var lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      '    <title>' + e(feed.title) + '</title>',
+      '    <link>' + e(feed.link) + '</link>',
+      '    <description>' + e(feed.title) + '</description>'
+    ];
+    if (feed.self) {
+      lines.push('    <atom:link rel="self" type="application/rss+xml" href="' + e(feed.self) + '"/>');
+    }
+    lines.push('    <lastBuildDate>' + this._updated(feed).toUTCString() + '</lastBuildDate>');
+    for (var i = 0; i < feed.predictions.length; i++) {
+      var prediction = feed.predictions[i];
+      var url = this.predictionURL(feed.siteURL, prediction.predictionId);
+      lines.push(
+        '    <item>',
+        '      <title>' + e(this._title(prediction)) + '</title>',
+        '      <link>' + e(url) + '</link>',
+        '      <guid isPermaLink="true">' + e(url) + '</guid>',
+        '      <pubDate>' + new Date(prediction.timestamp || 0).toUTCString() + '</pubDate>',
+        '      <dc:creator>' + e(prediction.by || "") + '</dc:creator>',
+        '      <description>' + e(this._summary(prediction)) + '</description>',
+        '    </item>'
+      );
+    }
+    lines.push('  </channel>', '</rss>');
+    return lines.join("\n") + "\n";
+  }
+};
@@ -0,0 +1,816 @@
+/**
+ * An in-memory storage adapter for PublicPredictions, used when the baseURL
+ * starts with "memory://" (see PublicPredictions.ADAPTERS). It lets the app
+ * run without a network connection, e.g. for demos and automated tests.
+ *
+ * PublicPredictionsMemoryRef implements the part of the Firebase reference
+ * API that PublicPredictions and PublicPredictionsSearch use:
+ *
+ *   - Locations: child(), parent(), root(), ref(), key(), toString().
+ *   - Writes: set(), setWithPriority(), update() with multi-path updates and
+ *     ".value"/".priority" objects, push(), remove() and transaction().
+ *   - Events: on(), off() and once() for "value", "child_added",
+ *     "child_changed" and "child_removed".
+ *   - Queries: orderByKey(), orderByChild(), orderByPriority() (the default),
+ *     startAt(), endAt(), equalTo(), limitToFirst() and limitToLast(),
+ *     including the legacy startAt(priority, name) form.
+ *   - The Firebase 1.x names of key() and limitToLast(), name() and limit(),
+ *     for older callers.
+ *   - Auth: onAuth(), offAuth(), getAuth(), authWithOAuthPopup(),
+ *     authWithPassword(), authAnonymously(), createUser() and unauth().
+ *     OAuth logins succeed right away as a demo user of that provider.
+ *
+ * Data lives in a PublicPredictionsMemoryStore per URL for as long as the
+ * page (or process) does. Like Firebase, local events fire synchronously
+ * when data is written, while the data for a new listener and the callbacks
+ * of writes arrive asynchronously. Security rules are not enforced.
+ */
+function PublicPredictionsMemoryStore() {
+  this._data = null;
+  this._priorities = {};
+  this._listeners = [];
+  this._notifying = false;
+  this._dirty = false;
+  this._accounts = {};
+  this._nextUid = 1;
+  this._defaultSession = new PublicPredictionsMemorySession();
+}
+
+/**
+ * Characters of push IDs, in ascending order, as Firebase uses them.
+ */
+PublicPredictionsMemoryStore.PUSH_CHARS =
+  "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+
+/**
+ * The events listeners can be registered for, in the order they are raised.
+ */
+PublicPredictionsMemoryStore.EVENT_TYPES = ["child_removed", "child_added", "child_changed", "value"];
+
+/**
+ * The stores opened so far, by URL.
+ */
+PublicPredictionsMemoryStore._stores = {};
+
+/**
+ * Get a reference to the root of the in-memory store for a URL, creating
+ * the store if needed. References opened with the same URL share their data.
+ * With newContext, the reference also gets its own auth session, just like
+ * a new Firebase.Context, so that several users can be logged in at once.
+ *
+ * @param    {string}    baseURL     The "memory://<name>" URL.
+ * @param    {boolean}   newContext  Whether to use a separate auth session.
+ * @return   {PublicPredictionsMemoryRef}
+ */
+PublicPredictionsMemoryStore.open = function(baseURL, newContext) {
+  var url = baseURL.replace(/\/+$/, "");
+  var store = PublicPredictionsMemoryStore._stores[url];
+  if (!store) {
+    store = PublicPredictionsMemoryStore._stores[url] = new PublicPredictionsMemoryStore();
+    store._url = url;
+  }
+  var session = newContext ? new PublicPredictionsMemorySession() : store._defaultSession;
+  return new PublicPredictionsMemoryRef(store, session, [], null);
+};
+
+PublicPredictionsMemoryStore.prototype = {
+  _get: function(path) {
+    var node = this._data;
+    for (var i = 0; i < path.length; i++) {
+      if (node === null || typeof node != "object" || !node.hasOwnProperty(path[i])) {
+        return null;
+      }
+      node = node[path[i]];
+    }
+    return node;
+  },
+  _normalize: function(value, path, priorities, time) {
+    // Turn a value as given to set() into plain data: take ".value" and
+    // ".priority" apart, replace server timestamps with time, and drop empty
+    // objects.
+    if (value === undefined) {
+      throw new Error("Cannot write undefined at " + (path.join("/") || "/"));
+    }
+    if (value === null || typeof value != "object") {
+      return value;
+    }
+    if (value[".sv"] == "timestamp") {
+      return time;
+    }
+    if (value.hasOwnProperty(".priority")) {
+      priorities[path.join("/")] = this._normalize(value[".priority"], path, {}, time);
+    }
+    if (value.hasOwnProperty(".value")) {
+      return this._normalize(value[".value"], path, priorities, time);
+    }
+    var ret = null;
+    for (var key in value) {
+      if (!value.hasOwnProperty(key) || key == ".priority") {
+        continue;
+      }
+      if (!key || /[.#$\/\[\]]/.test(key)) {
+        throw new Error("Invalid key \"" + key + "\" at " + (path.join("/") || "/"));
+      }
+      var child = this._normalize(value[key], path.concat([key]), priorities, time);
+      if (child !== null) {
+        ret = ret || {};
+        ret[key] = child;
+      }
+    }
+    return ret;
+  },
+  _clearPriorities: function(path) {
+    var prefix = path.join("/");
+    for (var key in this._priorities) {
+      if (!prefix || key == prefix || key.indexOf(prefix + "/") === 0) {
+        delete this._priorities[key];
+      }
+    }
+  },
+  _write: function(path, value, time) {
+    // Replace the data at path, without notifying listeners. Server
+    // timestamps are replaced with time, or the current time if not given.
+    var priorities = {};
+    value = this._normalize(value, path, priorities,
+                            time === undefined ? new Date().getTime() : time);
+    this._clearPriorities(path);
+    for (var key in priorities) {
+      if (priorities[key] !== null) {
+        this._priorities[key] = priorities[key];
+      }
+    }
+    if (!path.length) {
+      this._data = value;
+      return;
+    }
+
+    this._data = this._data || {};
+    var parents = [this._data];
+    var node = this._data;
+    for (var i = 0; i < path.length - 1; i++) {
+      if (node[path[i]] === null || typeof node[path[i]] != "object") {
+        if (value === null) {
+          return;
+        }
+        node[path[i]] = {};
+      }
+      node = node[path[i]];
+      parents.push(node);
+    }
+    if (value === null) {
+      delete node[path[path.length - 1]];
+    } else {
+      node[path[path.length - 1]] = value;
+    }
+
+    // Firebase has no empty objects, so remove the parents we emptied.
+    for (i = parents.length - 1; i > 0; i--) {
+      if (!this._isEmpty(parents[i])) {
+        break;
+      }
+      delete parents[i - 1][path[i - 1]];
+      this._clearPriorities(path.slice(0, i));
+    }
+    if (this._isEmpty(this._data)) {
+      this._data = null;
+    }
+  },
+  _isEmpty: function(obj) {
+    for (var key in obj) {
+      if (obj.hasOwnProperty(key)) {
+        return false;
+      }
+    }
+    return true;
+  },
+  _changed: function() {
+    // Bring every listener up to date. Callbacks may write again, in which
+    // case we go round once more rather than notifying recursively.
+    if (this._notifying) {
+      this._dirty = true;
+      return;
+    }
+    this._notifying = true;
+    try {
+      do {
+        this._dirty = false;
+        // Like Firebase, raise removals first and values last.
+        var listeners = this._listeners.slice();
+        for (var i = 0; i < PublicPredictionsMemoryStore.EVENT_TYPES.length; i++) {
+          for (var j = 0; j < listeners.length; j++) {
+            var listener = listeners[j];
+            if (listener.active && listener.loaded &&
+                listener.eventType == PublicPredictionsMemoryStore.EVENT_TYPES[i]) {
+              this._fire(listener);
+            }
+          }
+        }
+      } while (this._dirty);
+    } finally {
+      this._notifying = false;
+    }
+  },
+  _addListener: function(ref, eventType, callback, context, once) {
+    var self = this;
+    if (PublicPredictionsMemoryStore.EVENT_TYPES.indexOf(eventType) < 0) {
+      throw new Error("Unsupported event type " + eventType);
+    }
+    var listener = {
+      ref: ref,
+      spec: ref._spec(),
+      eventType: eventType,
+      callback: callback,
+      context: context || null,
+      once: once,
+      active: true,
+      loaded: false,
+      state: {keys: [], values: {}, json: undefined}
+    };
+    self._listeners.push(listener);
+    setTimeout(function() {
+      if (listener.active) {
+        listener.loaded = true;
+        self._fire(listener);
+      }
+    }, 0);
+    return listener;
+  },
+  _removeListeners: function(spec, eventType, callback) {
+    for (var i = this._listeners.length - 1; i >= 0; i--) {
+      var listener = this._listeners[i];
+      if (listener.spec == spec && (!eventType || listener.eventType == eventType) &&
+          (!callback || listener.callback === callback)) {
+        listener.active = false;
+        this._listeners.splice(i, 1);
+      }
+    }
+  },
+  _fire: function(listener) {
+    var ref = listener.ref;
+    var result = ref._result();
+    var old = listener.state;
+    var state = {keys: result.keys, values: {}, json: JSON.stringify(result.value)};
+    for (var i = 0; i < result.keys.length; i++) {
+      state.values[result.keys[i]] = JSON.stringify(result.value[result.keys[i]]);
+    }
+    listener.state = state;
+
+    var self = this;
+    var fire = function(snap, prevName) {
+      if (!listener.active) {
+        return;
+      }
+      if (listener.once) {
+        self._removeListeners(listener.spec, listener.eventType, listener.callback);
+      }
+      listener.callback.call(listener.context, snap, prevName);
+    };
+    var childSnap = function(key, json) {
+      return new PublicPredictionsMemorySnapshot(
+        ref.ref().child(key), json === undefined ? null : JSON.parse(json)
+      );
+    };
+
+    switch (listener.eventType) {
+      case "value":
+        if (state.json !== old.json || old.json === undefined) {
+          fire(new PublicPredictionsMemorySnapshot(ref.ref(), result.value, result.keys));
+        }
+        break;
+      case "child_removed":
+        for (i = 0; i < old.keys.length; i++) {
+          if (!state.values.hasOwnProperty(old.keys[i])) {
+            fire(childSnap(old.keys[i], old.values[old.keys[i]]));
+          }
+        }
+        break;
+      case "child_added":
+        for (i = 0; i < state.keys.length; i++) {
+          if (!old.values.hasOwnProperty(state.keys[i])) {
+            fire(childSnap(state.keys[i], state.values[state.keys[i]]), i ? state.keys[i - 1] : null);
+          }
+        }
+        break;
+      case "child_changed":
+        for (i = 0; i < state.keys.length; i++) {
+          var key = state.keys[i];
+          if (old.values.hasOwnProperty(key) && old.values[key] !== state.values[key]) {
+            fire(childSnap(key, state.values[key]), i ? state.keys[i - 1] : null);
+          }
+        }
+        break;
+    }
+  },
+  _nextPushId: function() {
+    // Push IDs start with the time, so that they sort chronologically, and
+    // end with random characters, incremented for IDs made in the same
+    // millisecond so that those still sort in order.
+    var chars = PublicPredictionsMemoryStore.PUSH_CHARS;
+    var now = new Date().getTime();
+    var sameTime = now === this._lastPushTime;
+    this._lastPushTime = now;
+
+    var timeChars = [];
+    for (var i = 7; i >= 0; i--) {
+      timeChars[i] = chars.charAt(now % 64);
+      now = Math.floor(now / 64);
+    }
+    if (!sameTime) {
+      this._lastRandChars = [];
+      for (i = 0; i < 12; i++) {
+        this._lastRandChars[i] = Math.floor(Math.random() * 64);
+      }
+    } else {
+      for (i = 11; i >= 0 && this._lastRandChars[i] === 63; i--) {
+        this._lastRandChars[i] = 0;
+      }
+      this._lastRandChars[i]++;
+    }
+    var id = timeChars.join("");
+    for (i = 0; i < 12; i++) {
+      id += chars.charAt(this._lastRandChars[i]);
+    }
+    return id;
+  },
+  _error: function(code, message) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+  }
+};
+
+/**
+ * The auth state of one context, see PublicPredictionsMemoryStore.open().
+ */
+function PublicPredictionsMemorySession() {
+  this.auth = null;
+  this.handlers = [];
+}
+
+PublicPredictionsMemorySession.prototype.setAuth = function(auth) {
+  this.auth = auth;
+  var handlers = this.handlers.slice();
+  for (var i = 0; i < handlers.length; i++) {
+    handlers[i].callback.call(handlers[i].context, auth);
+  }
+};
+
+/**
+ * A location, or a query on a location, in a PublicPredictionsMemoryStore.
+ * Queries are references with ordering, range and limit parameters.
+ */
+function PublicPredictionsMemoryRef(store, session, path, query) {
+  this._store = store;
+  this._session = session;
+  this._path = path;
+  this._query = query;
+}
+
+PublicPredictionsMemoryRef.prototype = {
+  _spec: function() {
+    return this._path.join("/") + "|" + JSON.stringify(this._query || {});
+  },
+  _withQuery: function(params) {
+    var query = {};
+    var key;
+    for (key in this._query || {}) {
+      query[key] = this._query[key];
+    }
+    for (key in params) {
+      query[key] = params[key];
+    }
+    return new PublicPredictionsMemoryRef(this._store, this._session, this._path, query);
+  },
+  _sortValue: function(key, value) {
+    var orderBy = (this._query && this._query.orderBy) || "priority";
+    if (orderBy == "key") {
+      return key;
+    }
+    if (orderBy == "priority") {
+      var priority = this._store._priorities[this._path.concat([key]).join("/")];
+      return priority === undefined ? null : priority;
+    }
+    var child = value;
+    var path = orderBy.split("/");
+    for (var i = 0; i < path.length; i++) {
+      child = child !== null && typeof child == "object" && child.hasOwnProperty(path[i]) ?
+              child[path[i]] : null;
+    }
+    return child;
+  },
+  _compareValues: function(a, b) {
+    var orderBy = (this._query && this._query.orderBy) || "priority";
+    if (orderBy == "key") {
+      return PublicPredictionsMemoryRef.compareKeys(a, b);
+    }
+    // Priorities sort as null, numbers, then strings. Child values sort as
+    // null, false, true, numbers, strings, then objects.
+    var rank = function(value) {
+      if (value === null || value === undefined) {
+        return 0;
+      }
+      if (typeof value == "boolean") {
+        return value ? 2 : 1;
+      }
+      return {number: 3, string: 4}[typeof value] || 5;
+    };
+    var diff = rank(a) - rank(b);
+    if (diff) {
+      return diff;
+    }
+    if (typeof a == "number" || typeof a == "string") {
+      return a < b ? -1 : a > b ? 1 : 0;
+    }
+    return 0;
+  },
+  _inRange: function(key, value) {
+    var query = this._query || {};
+    var sortValue = this._sortValue(key, value);
+    var byKey = query.orderBy == "key";
+    var cmp;
+    if (query.startAt) {
+      cmp = this._compareValues(sortValue, query.startAt.value);
+      if (cmp < 0 || (cmp === 0 && !byKey && query.startAt.name != null &&
+          PublicPredictionsMemoryRef.compareKeys(key, query.startAt.name) < 0)) {
+        return false;
+      }
+    }
+    if (query.endAt) {
+      cmp = this._compareValues(sortValue, query.endAt.value);
+      if (cmp > 0 || (cmp === 0 && !byKey && query.endAt.name != null &&
+          PublicPredictionsMemoryRef.compareKeys(key, query.endAt.name) > 0)) {
+        return false;
+      }
+    }
+    return true;
+  },
+  _result: function() {
+    // Get the data this reference or query reports, and its children's keys
+    // in query order.
+    var self = this;
+    var data = self._store._get(self._path);
+    if (data === null || typeof data != "object") {
+      return {value: data, keys: []};
+    }
+    var keys = [];
+    for (var key in data) {
+      if (data.hasOwnProperty(key) && self._inRange(key, data[key])) {
+        keys.push(key);
+      }
+    }
+    keys.sort(function(a, b) {
+      return self._compareValues(self._sortValue(a, data[a]), self._sortValue(b, data[b])) ||
+             PublicPredictionsMemoryRef.compareKeys(a, b);
+    });
+    var limit = self._query && self._query.limit;
+    if (limit) {
+      keys = limit.fromLast ? keys.slice(Math.max(keys.length - limit.count, 0)) :
+                              keys.slice(0, limit.count);
+    }
+    var value = null;
+    for (var i = 0; i < keys.length; i++) {
+      value = value || {};
+      value[keys[i]] = JSON.parse(JSON.stringify(data[keys[i]]));
+    }
+    return {value: value, keys: keys};
+  },
+  _complete: function(onComplete, err) {
+    if (onComplete) {
+      setTimeout(function() {
+        onComplete(err || null);
+      }, 0);
+    }
+  },
+  _validateWrite: function() {
+    if (this._query) {
+      throw new Error("Cannot write to a query");
+    }
+  },
+
+  child: function(path) {
+    var parts = String(path).split("/");
+    var childPath = this._path.slice();
+    for (var i = 0; i < parts.length; i++) {
+      if (parts[i]) {
+        if (/[.#$\[\]]/.test(parts[i])) {
+          throw new Error("Invalid path \"" + path + "\"");
+        }
+        childPath.push(parts[i]);
+      }
+    }
+    return new PublicPredictionsMemoryRef(this._store, this._session, childPath, null);
+  },
+  parent: function() {
+    if (!this._path.length) {
+      return null;
+    }
+    return new PublicPredictionsMemoryRef(this._store, this._session, this._path.slice(0, -1), null);
+  },
+  root: function() {
+    return new PublicPredictionsMemoryRef(this._store, this._session, [], null);
+  },
+  ref: function() {
+    return this._query ?
+           new PublicPredictionsMemoryRef(this._store, this._session, this._path, null) : this;
+  },
+  key: function() {
+    return this._path.length ? this._path[this._path.length - 1] : null;
+  },
+  name: function() {
+    return this.key();
+  },
+  toString: function() {
+    return this._store._url + "/" + this._path.join("/");
+  },
+
+  set: function(value, onComplete) {
+    this._validateWrite();
+    this._store._write(this._path, value);
+    this._store._changed();
+    this._complete(onComplete);
+  },
+  setWithPriority: function(value, priority, onComplete) {
+    this.set({".value": value, ".priority": priority}, onComplete);
+  },
+  update: function(values, onComplete) {
+    // Keys may be paths, for updating several locations at once, all of
+    // them at the same server time.
+    this._validateWrite();
+    var time = new Date().getTime();
+    for (var path in values) {
+      if (values.hasOwnProperty(path)) {
+        this._store._write(this.child(path)._path, values[path], time);
+      }
+    }
+    this._store._changed();
+    this._complete(onComplete);
+  },
+  push: function(value, onComplete) {
+    this._validateWrite();
+    var ref = this.child(this._store._nextPushId());
+    if (value !== undefined) {
+      ref.set(value, onComplete);
+    }
+    return ref;
+  },
+  remove: function(onComplete) {
+    this.set(null, onComplete);
+  },
+  transaction: function(updateFunction, onComplete) {
+    this._validateWrite();
+    var current = this._store._get(this._path);
+    var value = updateFunction(current === null ? null : JSON.parse(JSON.stringify(current)));
+    var committed = value !== undefined;
+    if (committed) {
+      this._store._write(this._path, value);
+      this._store._changed();
+    }
+    var snap = new PublicPredictionsMemorySnapshot(this, this._result().value);
+    if (onComplete) {
+      setTimeout(function() {
+        onComplete(null, committed, snap);
+      }, 0);
+    }
+  },
+
+  on: function(eventType, callback, cancelCallbackOrContext, context) {
+    if (typeof cancelCallbackOrContext != "function") {
+      context = cancelCallbackOrContext;
+    }
+    this._store._addListener(this, eventType, callback, context, false);
+    return callback;
+  },
+  once: function(eventType, callback, failureCallbackOrContext, context) {
+    if (typeof failureCallbackOrContext != "function") {
+      context = failureCallbackOrContext;
+    }
+    this._store._addListener(this, eventType, callback, context, true);
+  },
+  off: function(eventType, callback) {
+    this._store._removeListeners(this._spec(), eventType, callback);
+  },
+
+  orderByKey: function() {
+    return this._withQuery({orderBy: "key"});
+  },
+  orderByPriority: function() {
+    return this._withQuery({orderBy: "priority"});
+  },
+  orderByChild: function(path) {
+    return this._withQuery({orderBy: path});
+  },
+  startAt: function(value, name) {
+    return this._withQuery({startAt: {value: value === undefined ? null : value, name: name}});
+  },
+  endAt: function(value, name) {
+    return this._withQuery({endAt: {value: value === undefined ? null : value, name: name}});
+  },
+  equalTo: function(value, name) {
+    return this.startAt(value, name).endAt(value, name);
+  },
+  limitToFirst: function(count) {
+    return this._withQuery({limit: {count: count, fromLast: false}});
+  },
+  limitToLast: function(count) {
+    return this._withQuery({limit: {count: count, fromLast: true}});
+  },
+  limit: function(count) {
+    return this.limitToLast(count);
+  },
+
+  onAuth: function(callback, context) {
+    var session = this._session;
+    session.handlers.push({callback: callback, context: context || null});
+    setTimeout(function() {
+      callback.call(context || null, session.auth);
+    }, 0);
+  },
+  offAuth: function(callback, context) {
+    var handlers = this._session.handlers;
+    for (var i = handlers.length - 1; i >= 0; i--) {
+      if (handlers[i].callback === callback && (!context || handlers[i].context === context)) {
+        handlers.splice(i, 1);
+      }
+    }
+  },
+  getAuth: function() {
+    return this._session.auth;
+  },
+  authWithOAuthPopup: function(provider, onComplete) {
+    var auth = {uid: provider + ":demo", provider: provider, token: "memory"};
+    auth[provider] = {
+      id: "demo",
+      displayName: "Demo User",
+      username: "demo",
+      email: "demo@example.com"
+    };
+    this._login(auth, null, onComplete);
+  },
+  authWithPassword: function(credentials, onComplete) {
+    var account = this._store._accounts[credentials.email];
+    if (!account) {
+      this._login(null, this._store._error("INVALID_USER", "The specified user does not exist."), onComplete);
+    } else if (account.password !== credentials.password) {
+      this._login(null, this._store._error("INVALID_PASSWORD", "The specified password is incorrect."), onComplete);
+    } else {
+      this._login({
+        uid: account.uid,
+        provider: "password",
+        token: "memory",
+        password: {email: credentials.email, isTemporaryPassword: false}
+      }, null, onComplete);
+    }
+  },
+  authAnonymously: function(onComplete) {
+    this._login({
+      uid: "anonymous:" + this._store._nextPushId(),
+      provider: "anonymous",
+      token: "memory",
+      anonymous: {}
+    }, null, onComplete);
+  },
+  _login: function(auth, err, onComplete) {
+    var session = this._session;
+    setTimeout(function() {
+      if (auth) {
+        session.setAuth(auth);
+      }
+      if (onComplete) {
+        onComplete(err, auth);
+      }
+    }, 0);
+  },
+  createUser: function(credentials, onComplete) {
+    var store = this._store;
+    var err = null;
+    var user = null;
+    if (!/^[^@\s]+@[^@\s]+$/.test(credentials.email || "")) {
+      err = store._error("INVALID_EMAIL", "The specified email address is invalid.");
+    } else if (store._accounts[credentials.email]) {
+      err = store._error("EMAIL_TAKEN", "The specified email address is already in use.");
+    } else {
+      user = {uid: "simplelogin:" + store._nextUid++};
+      store._accounts[credentials.email] = {uid: user.uid, password: credentials.password};
+    }
+    setTimeout(function() {
+      if (onComplete) {
+        onComplete(err, user);
+      }
+    }, 0);
+  },
+  unauth: function() {
+    if (this._session.auth) {
+      this._session.setAuth(null);
+    }
+  }
+};
+
+/**
+ * Compare two keys the way Firebase orders them: keys that are 32-bit
+ * integers come first, in numeric order, followed by all other keys in
+ * lexicographic order.
+ */
+PublicPredictionsMemoryRef.compareKeys = function(a, b) {
+  var toInt = function(key) {
+    if (!/^-?(0|[1-9]\d{0,9})$/.test(key)) {
+      return null;
+    }
+    var n = parseInt(key, 10);
+    return n >= -2147483648 && n <= 2147483647 ? n : null;
+  };
+  var intA = toInt(a);
+  var intB = toInt(b);
+  if (intA !== null && intB !== null) {
+    return intA - intB;
+  }
+  if (intA !== null || intB !== null) {
+    return intA !== null ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * A snapshot of the data at a location, as reported to event callbacks.
+ * For queries, "keys" lists the reported children in query order.
+ */
+function PublicPredictionsMemorySnapshot(ref, value, keys) {
+  this._ref = ref;
+  this._value = value === undefined ? null : value;
+  this._keys = keys || null;
+}
+
+PublicPredictionsMemorySnapshot.prototype = {
+  val: function() {
+    return this._value === null ? null : JSON.parse(JSON.stringify(this._value));
+  },
+  exists: function() {
+    return this._value !== null;
+  },
+  key: function() {
+    return this._ref.key();
+  },
+  name: function() {
+    return this.key();
+  },
+  ref: function() {
+    return this._ref;
+  },
+  getPriority: function() {
+    var priority = this._ref._store._priorities[this._ref._path.join("/")];
+    return priority === undefined ? null : priority;
+  },
+  child: function(path) {
+    var ref = this._ref.child(path);
+    var value = this._value;
+    var parts = ref._path.slice(this._ref._path.length);
+    for (var i = 0; i < parts.length; i++) {
+      value = value !== null && typeof value == "object" && value.hasOwnProperty(parts[i]) ?
+              value[parts[i]] : null;
+    }
+    return new PublicPredictionsMemorySnapshot(ref, value);
+  },
+  hasChild: function(path) {
+    return this.child(path).exists();
+  },
+  hasChildren: function() {
+    return this.numChildren() > 0;
+  },
+  numChildren: function() {
+    if (this._value === null || typeof this._value != "object") {
+      return 0;
+    }
+    return this._childKeys().length;
+  },
+  forEach: function(callback) {
+    // Stops, and returns true, as soon as the callback returns true.
+    if (this._value === null || typeof this._value != "object") {
+      return false;
+    }
+    var keys = this._childKeys();
+    for (var i = 0; i < keys.length; i++) {
+      if (callback(this.child(keys[i])) === true) {
+        return true;
+      }
+    }
+    return false;
+  },
+  _childKeys: function() {
+    if (this._keys) {
+      return this._keys;
+    }
+    // Without a query, children are in the default (priority) order.
+    var result = this._ref._result();
+    var keys = [];
+    for (var i = 0; i < result.keys.length; i++) {
+      if (this._value.hasOwnProperty(result.keys[i])) {
+        keys.push(result.keys[i]);
+      }
+    }
+    for (var key in this._value) {
+      if (this._value.hasOwnProperty(key) && keys.indexOf(key) < 0) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+};
@@ -48,7 +48,7 @@ PublicPredictionsSearch.prototype = {
     var result = {
       userId: resultSnap.val()
     };
-    var name = resultSnap.name().split('|').slice(0, 2).join(' ');
+    var name = resultSnap.key().split('|').slice(0, 2).join(' ');
     result['name'] = this.toTitleCase(name);
     this._firstNameResults.push(result);
     this._raiseFilteredResults();
@@ -57,7 +57,7 @@ PublicPredictionsSearch.prototype = {
     var result = {
       userId: resultSnap.val()
     };
-    var name = resultSnap.name().split('|').slice(0, 2).join(', ');
+    var name = resultSnap.key().split('|').slice(0, 2).join(', ');
     result['name'] = this.toTitleCase(name);
     this._lastNameResults.push(result);
     this._raiseFilteredResults();
@@ -110,4 +110,127 @@ PublicPredictionsSearch.prototype.stopSearch = function() {
     handle.firstName.query.off('child_added', handle.firstName.handle);
     handle.lastName.query.off('child_added', handle.lastName.handle);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Split text into the lowercase tokens used by the prediction content index
+ * under search/tokens. Tokens are separated by whitespace and punctuation
+ * (which also keeps them valid as Firebase keys), and single characters are
+ * dropped.
+ */
+PublicPredictionsSearch.tokenize = function(text) {
+  var tokens = [];
+  var words = text.toLowerCase().split(/[\s!-\/:-@\[-`{-~]+/);
+  for (var i = 0; i < words.length; ++i) {
+    if (words[i].length >= 2 && tokens.indexOf(words[i]) === -1) {
+      tokens.push(words[i]);
+    }
+  }
+  return tokens;
+};
+
+function PublicPredictionsContentSearch(ref, term, resultsHandler) {
+  this._ref = ref;
+  this._terms = PublicPredictionsSearch.tokenize(term);
+  this._resultsHandler = resultsHandler;
+  this._handles = [];
+  this._matches = [];
+  this._predictions = {};
+  this._startSearch();
+}
+
+PublicPredictionsContentSearch.prototype = {
+  _startSearch: function() {
+    var tokens = this._ref.child('search/tokens').orderByKey();
+    for (var i = 0; i < this._terms.length; ++i) {
+      // Terms match as a prefix, so results show up while typing. Shorter
+      // terms would match a large part of the index, so they only match
+      // whole words, and prefixes only match the first MAX_PREFIX_TOKENS
+      // words.
+      var term = this._terms[i];
+      var query = term.length < PublicPredictionsContentSearch.MIN_PREFIX_LENGTH ?
+        tokens.equalTo(term) :
+        tokens.startAt(term).endAt(term + '\uf8ff').
+          limitToFirst(PublicPredictionsContentSearch.MAX_PREFIX_TOKENS);
+      var handle = query.on('value', this._onTermResult.bind(this, i));
+      this._handles.push({query: query, handle: handle});
+    }
+  },
+  _onTermResult: function(index, snap) {
+    var ids = {};
+    snap.forEach(function(tokenSnap) {
+      tokenSnap.forEach(function(predictionSnap) {
+        ids[predictionSnap.key()] = true;
+      });
+    });
+    this._matches[index] = ids;
+    this._raiseResults();
+  },
+  _raiseResults: function() {
+    // Wait until every term has reported, then keep the predictions that
+    // match all of them.
+    for (var i = 0; i < this._terms.length; ++i) {
+      if (!this._matches[i]) {
+        return;
+      }
+    }
+    var ids = [];
+    for (var id in this._matches[0]) {
+      var matchesAll = true;
+      for (i = 1; i < this._terms.length; ++i) {
+        matchesAll = matchesAll && this._matches[i].hasOwnProperty(id);
+      }
+      if (matchesAll) {
+        ids.push(id);
+      }
+    }
+    ids.sort().reverse();
+    ids = ids.slice(0, PublicPredictionsContentSearch.MAX_RESULTS);
+
+    var self = this;
+    var pending = 0;
+    var done = function() {
+      var results = [];
+      for (var i = 0; i < ids.length; ++i) {
+        var prediction = self._predictions[ids[i]];
+        if (prediction) {
+          results.push({
+            predictionId: ids[i],
+            author: prediction.author,
+            by: prediction.by,
+            content: prediction.content,
+            timestamp: prediction.timestamp,
+            terms: self._terms
+          });
+        }
+      }
+      self._resultsHandler(results);
+    };
+    for (i = 0; i < ids.length; ++i) {
+      if (this._predictions.hasOwnProperty(ids[i])) {
+        continue;
+      }
+      pending++;
+      this._ref.child('predictions').child(ids[i]).once('value', function(snap) {
+        self._predictions[snap.key()] = snap.val();
+        if (--pending === 0 && !self._stopped) {
+          done();
+        }
+      });
+    }
+    if (pending === 0) {
+      done();
+    }
+  }
+};
+
+PublicPredictionsContentSearch.MAX_RESULTS = 20;
+PublicPredictionsContentSearch.MIN_PREFIX_LENGTH = 3;
+PublicPredictionsContentSearch.MAX_PREFIX_TOKENS = 50;
+
+PublicPredictionsContentSearch.prototype.stopSearch = function() {
+  this._stopped = true;
+  for (var i = 0; i < this._handles.length; ++i) {
+    this._handles[i].query.off('value', this._handles[i].handle);
+  }
+};
@@ -8,8 +8,17 @@ function PublicPredictionsUI() {
   this._limit = 141;
   this._loggedIn = false;
   this._spinner = new Spinner();
-  this._publicpredictions = new PublicPredictions("https://publicpredictions.firebaseio.com/");
+  this._publicpredictions = new PublicPredictions(
+    $("body").data("base-url") || PublicPredictionsUI.BASE_URL
+  );
   this._unload = null;
+  this._unread = 0;
+  this._watchingNotifications = false;
+
+  // Embedded widgets (see publicpredictions-embed.js) show the same thing
+  // whoever is logged in, so they are rendered right away.
+  var route = window.location.search.replace(/^\?/, "").split("=")[0];
+  this._embedded = route == "embed" || route == "embed-profile";
 
   // Setup page navigation.
   this._setupHandlers();
@@ -20,13 +29,45 @@ function PublicPredictionsUI() {
     self._pageController(window.History.getState().hash, false);
   });
 
-  self._publicpredictions.onStateChange(function(user) {
-    self.onLoginStateChange(user);
+  self._publicpredictions.onLoginStateChange(function(err, info) {
+    if (err) {
+      self._loginFailed(err);
+      return;
+    }
+    self.onLoginStateChange(info);
   });
+  if (this._embedded) {
+    this._pageController(window.location.href);
+  }
 }
 
+/**
+ * Where the data lives, unless the body sets a "data-base-url" attribute.
+ * Set that to e.g. "memory://demo" to run the app offline.
+ */
+PublicPredictionsUI.BASE_URL = "https://publicpredictions.firebaseio.com/";
+
+/**
+ * The width and height, in pixels, uploaded pictures are scaled down to.
+ */
+PublicPredictionsUI.AVATAR_SIZE = 128;
+
+/**
+ * How many predictions the widget of a user's latest predictions shows.
+ */
+PublicPredictionsUI.EMBED_COUNT = 5;
+
 PublicPredictionsUI.prototype._setupHandlers = function() {
   var self = this;
+  // Pictures from Facebook or Gravatar may fail to load, e.g. for unknown
+  // email addresses; show the user's initials instead. Error events do not
+  // bubble, so we listen while they are captured.
+  document.addEventListener("error", function(e) {
+    var img = $(e.target);
+    if (img.is(".avatar img") && img.attr("src").indexOf("data:") !== 0) {
+      img.attr("src", PublicPredictionsAvatar.initials(img.attr("alt")));
+    }
+  }, true);
   $(document).on("click", "a.profile-link", function(e) {
     e.preventDefault();
     self._go($(this).attr("href"));
@@ -35,10 +76,34 @@ PublicPredictionsUI.prototype._setupHandlers = function() {
     e.preventDefault();
     self._go($(this).attr("href"));
   });
+  $(document).on("click", "a.feed-link", function(e) {
+    e.preventDefault();
+    self._go($(this).attr("href"));
+  });
+  $(document).on("click", "a.topic-link", function(e) {
+    e.preventDefault();
+    self._go($(this).attr("href"));
+  });
   $(document).on("click", "#search-button", function(e) {
     e.preventDefault();
     self._go("/?search");
   });
+  $(document).on("click", "#notifications-button", function(e) {
+    e.preventDefault();
+    self._go("/?notifications");
+  });
+  $(document).on("click", "a.question-link", function(e) {
+    e.preventDefault();
+    self._go($(this).attr("href"));
+  });
+  $(document).on("click", "#questions-button", function(e) {
+    e.preventDefault();
+    self._go("/?questions");
+  });
+  $(document).on("click", "#leaderboard-button", function(e) {
+    e.preventDefault();
+    self._go("/?leaderboard");
+  });
   $(document).on("click", "#top-logo", function(e) {
     e.preventDefault();
     self._go("/");
@@ -50,6 +115,11 @@ PublicPredictionsUI.prototype._setupHandlers = function() {
 };
 
 PublicPredictionsUI.prototype._go = function(url) {
+  // Links in a widget open the site, rather than navigate inside the widget.
+  if (this._embedded) {
+    window.open(url, "_blank");
+    return;
+  }
   window.History.pushState(null, null, url);
 };
 
@@ -79,8 +149,56 @@ PublicPredictionsUI.prototype._pageController = function(url) {
     case "search":
       this._unload = this.renderSearch();
       break;
+    case "leaderboard":
+      this._unload = this.renderLeaderboard();
+      break;
+    case "questions":
+      this._unload = this.renderQuestions();
+      break;
+    case "question":
+      if (!value[1]) {
+        this._unload = this.render404();
+      } else {
+        this._unload = this.renderQuestion(value[1]);
+      }
+      break;
+    case "notifications":
+      if (!this._canWrite()) {
+        this._unload = this.renderHome();
+      } else {
+        this._unload = this.renderNotifications();
+      }
+      break;
+    case "embed":
+      if (!value[1]) {
+        this._unload = this.render404();
+      } else {
+        this._unload = this.renderEmbed(value[1]);
+      }
+      break;
+    case "embed-profile":
+      if (!value[1]) {
+        this._unload = this.render404();
+      } else {
+        this._unload = this.renderEmbedProfile(decodeURIComponent(value[1]));
+      }
+      break;
+    case "feed":
+      if (!value[1]) {
+        this._unload = this.render404();
+      } else {
+        this._unload = this.renderFeed(decodeURIComponent(value[1]));
+      }
+      break;
+    case "topic":
+      if (!value[1]) {
+        this._unload = this.render404();
+      } else {
+        this._unload = this.renderTopic(decodeURIComponent(value[1]));
+      }
+      break;
     default:
-      if (this._loggedIn) {
+      if (this._canWrite()) {
         this._unload = this.renderTimeline(this._loggedIn);
       } else {
         this._unload = this.renderHome();
@@ -97,12 +215,60 @@ PublicPredictionsUI.prototype._postHandler = function(e) {
 
   var self = this;
   e.preventDefault();
+
+  var options = {};
+  var deadlineInput = $("#deadline-input");
+  if (deadlineInput.val()) {
+    // Give the author until the end of the chosen day.
+    options.deadline = new Date(deadlineInput.val() + "T23:59:59").getTime();
+    if (isNaN(options.deadline) || options.deadline <= new Date().getTime()) {
+      deadlineInput.css("border-color", "#FF6347");
+      return;
+    }
+  }
+  deadlineInput.css("border-color", "");
+
+  var confidenceInput = $("#confidence-input");
+  if (confidenceInput.val()) {
+    options.confidence = parseInt(confidenceInput.val(), 10) / 100;
+    if (isNaN(options.confidence) || options.confidence < 0.01 ||
+        options.confidence > 0.99) {
+      confidenceInput.css("border-color", "#FF6347");
+      return;
+    }
+  }
+  confidenceInput.css("border-color", "");
+
+  var revealInput = $("#reveal-input");
+  if (revealInput.val()) {
+    options.revealAt = new Date(revealInput.val() + "T00:00:00").getTime();
+    if (isNaN(options.revealAt) || options.revealAt <= new Date().getTime()) {
+      revealInput.css("border-color", "#FF6347");
+      return;
+    }
+  }
+  revealInput.css("border-color", "");
+
+  var content = predictionText.val();
   predictionButton.replaceWith(message);
   self._spinner.spin(containerEl.get(0));
-  self._publicpredictions.post(predictionText.val(), function(err, done) {
-    if (!err) {
-      message.html("Posted!").css("background", "#008000");
+  self._publicpredictions.post(content, options, function(err, done, salt) {
+    if (!err || err.partial) {
+      if (salt && !self._keepSeal(done, content, salt)) {
+        // Without the key the prediction can never be revealed, so it goes
+        // to a file right away when this browser cannot keep it.
+        self._backupSeal(done, content, salt);
+      }
+      if (err) {
+        message.html("Posted, but not to every follower").css("background", "#CB9C1D");
+      } else {
+        message.html(salt ? "Sealed! Back up its key from its page." : "Posted!").
+          css("background", "#008000");
+      }
       predictionText.val("");
+      deadlineInput.val("");
+      confidenceInput.val("");
+      revealInput.val("");
     } else {
       message.html("Posting failed!").css("background", "#FF6347");
     }
@@ -116,20 +282,35 @@ PublicPredictionsUI.prototype._postHandler = function(e) {
   });
 };
 
-PublicPredictionsUI.prototype._handleNewPrediction = function(listId, limit, func) {
+PublicPredictionsUI.prototype._handleNewPrediction = function(listId, limit, func, olderFunc) {
   var self = this;
+  var paged = false;
+  var renderPrediction = function(predictionId, prediction) {
+    prediction.predictionId = predictionId;
+    self._decoratePrediction(prediction);
+    return $(Mustache.to_html($("#tmpl-prediction").html(), prediction));
+  };
+
   func(
     limit,
     function(predictionId, prediction) {
-      prediction.content = prediction.content.substring(0, self._limit);
-      prediction.predictionId = predictionId;
-      prediction.friendlyTimestamp = self._formatDate(
-        new Date(prediction.timestamp || 0)
-      );
-      var predictionEl = $(Mustache.to_html($("#tmpl-prediction").html(), prediction)).hide();
+      var predictionEl = renderPrediction(predictionId, prediction);
+      // Predictions are reported again when they change (e.g. on resolution),
+      // in which case we update them in place.
+      var existing = $("#prediction-" + predictionId);
+      if (existing.length) {
+        existing.replaceWith(predictionEl);
+        return;
+      }
+      predictionEl.hide();
       $("#" + listId).prepend(predictionEl);
       predictionEl.slideDown("slow");
-    }, function(predictionId) {
+    }, function(predictionId, removed) {
+      // Once older pages are shown, predictions pushed out of the live window
+      // are still part of the list; only really removed ones should go.
+      if (paged && !removed) {
+        return;
+      }
       setTimeout(function() {
         $("#prediction-" + predictionId).stop().slideToggle("slow", function() {
           $(this).remove();
@@ -137,6 +318,174 @@ PublicPredictionsUI.prototype._handleNewPrediction = function(listId, limit, fun
       }, 100);
     }
   );
+
+  if (!olderFunc) {
+    return;
+  }
+  var olderButton = $(Mustache.to_html($("#tmpl-load-older").html(), {listId: listId}));
+  $("#" + listId).after(olderButton);
+  olderButton.click(function(e) {
+    e.preventDefault();
+    var last = $("#" + listId + " > li").last();
+    var beforeId = last.length ? last.attr("id").replace("prediction-", "") : null;
+    olderButton.css("visibility", "hidden");
+    paged = true;
+    olderFunc(beforeId, limit, function(predictionId, prediction) {
+      if (!$("#prediction-" + predictionId).length) {
+        $("#" + listId).append(renderPrediction(predictionId, prediction));
+      }
+    }, function(cursor, hasMore) {
+      if (hasMore) {
+        olderButton.css("visibility", "visible");
+      } else {
+        olderButton.remove();
+      }
+    });
+  });
+};
+
+PublicPredictionsUI.prototype._keepSeal = function(id, content, salt) {
+  // Sealed predictions can only be revealed with their content and salt, so
+  // they are kept in this browser; the reveal form is filled in with them.
+  // Returns whether they could be kept.
+  try {
+    window.localStorage.setItem("publicpredictions-seal-" + id,
+                                JSON.stringify({content: content, salt: salt}));
+    return true;
+  } catch (e) {
+    // Storage may be full or disabled; the author then enters them by hand.
+    return false;
+  }
+};
+
+PublicPredictionsUI.prototype._backupSeal = function(id, content, salt) {
+  // A file with everything needed to reveal a sealed prediction from any
+  // browser.
+  this._download("sealed-prediction-" + id + ".json", "application/json", JSON.stringify({
+    prediction: id, url: this._siteURL() + "?prediction=" + id,
+    content: content, salt: salt
+  }, null, 2));
+};
+
+PublicPredictionsUI.prototype._getSeal = function(id) {
+  try {
+    return JSON.parse(window.localStorage.getItem("publicpredictions-seal-" + id)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+PublicPredictionsUI.prototype._decoratePrediction = function(prediction) {
+  // Predictions show their latest amendment; the text as posted is kept in
+  // their history.
+  var history = PublicPredictions.revisionHistory(prediction);
+  prediction.amended = false;
+  for (var i = 0; i < history.length; i++) {
+    history[i].friendlyTimestamp = this._formatDate(new Date(history[i].timestamp || 0));
+    history[i][history[i].type] = true;
+    if (history[i].type == "amend") {
+      prediction.content = history[i].content;
+      prediction.amended = true;
+    }
+  }
+  prediction.history = history;
+  prediction.revised = history.length > 1;
+
+  prediction.content = prediction.content.substring(0, this._limit);
+  prediction.contentHTML = this._formatContent(prediction.content, prediction.mentions);
+  prediction.isSealed = PublicPredictions.isSealed(prediction);
+  if (prediction.sealed) {
+    prediction.friendlyRevealAt = this._formatDate(new Date(prediction.revealAt));
+  }
+  if (prediction.isSealed) {
+    prediction.contentHTML = '<span class="sealed">Sealed until ' +
+      this._escapeHTML(prediction.friendlyRevealAt) + '</span>';
+  }
+  prediction.friendlyTimestamp = this._formatDate(
+    new Date(prediction.timestamp || 0)
+  );
+  if (prediction.deadline) {
+    prediction.friendlyDeadline = this._formatDate(new Date(prediction.deadline));
+  }
+  if (prediction.confidence) {
+    prediction.confidencePercent = Math.round(prediction.confidence * 100);
+  }
+
+  // A prediction is "open" until its deadline passes, "overdue" until the
+  // author records an outcome, and "resolved" after that.
+  if (prediction.outcome) {
+    prediction.status = "resolved";
+  } else if (prediction.deadline && prediction.deadline <= new Date().getTime()) {
+    prediction.status = "overdue";
+  } else {
+    prediction.status = "open";
+  }
+  prediction.resolved = prediction.status == "resolved";
+  prediction.overdue = prediction.status == "overdue";
+  if (prediction.resolvedAt) {
+    prediction.friendlyResolvedAt = this._formatDate(new Date(prediction.resolvedAt));
+  }
+  return prediction;
+};
+
+PublicPredictionsUI.prototype._setFollowButton = function(button, following) {
+  button.text(following ? "Unfollow" : "Follow").css("visibility", "visible");
+};
+
+PublicPredictionsUI.prototype._toggleFollow = function(button, userId, following) {
+  var self = this;
+  var action = following ? "unfollow" : "follow";
+  button.css("visibility", "hidden");
+  self._publicpredictions[action](userId, function(err) {
+    // On success, onFollowStatus updates the button to the new state.
+    if (err) {
+      self._setFollowButton(button, following);
+    }
+  });
+};
+
+PublicPredictionsUI.prototype._escapeHTML = function(text) {
+  return $("<div>").text(text).html().replace(/"/g, "&quot;");
+};
+
+PublicPredictionsUI.prototype._formatContent = function(content, mentions) {
+  // Escape the content and turn its #topics into links to the topic page,
+  // and its @mentions into links to the profile page. Mentions by name link
+  // to whoever they were resolved to when posted, see _resolveMentions() in
+  // publicpredictions.js.
+  var self = this;
+  var users = {};
+  for (var uid in mentions || {}) {
+    users[mentions[uid]] = uid;
+  }
+  return self._escapeHTML(content).replace(/(^|\s)#(\w+)/g, function(match, space, topic) {
+    return space + '<a class="topic-link" href="/?topic=' + topic.toLowerCase() + '">#' +
+           topic + '</a>';
+  }).replace(/(^|\s)@([\w-]+:[\w-]+)/g, function(match, space, uid) {
+    return space + '<a class="profile-link" href="/?profile=' + uid + '">@' + uid + '</a>';
+  }).replace(/(^|\s)@([\w'-]+\.[\w'-]+)/g, function(match, space, handle) {
+    var uid = users[handle.toLowerCase()];
+    if (!uid) {
+      return match;
+    }
+    return space + '<a class="profile-link" href="/?profile=' + encodeURIComponent(uid) +
+           '">@' + handle + '</a>';
+  });
+};
+
+PublicPredictionsUI.prototype._highlight = function(text, terms) {
+  // Mark every word that starts with one of the search terms. The text is
+  // escaped first, since the result is inserted as HTML.
+  var self = this;
+  return text.replace(/[^\s!-\/:-@\[-`{-~]+|[\s\S]/g, function(word) {
+    var lower = word.toLowerCase();
+    for (var i = 0; i < terms.length; i++) {
+      if (lower.indexOf(terms[i]) === 0) {
+        return "<mark>" + self._escapeHTML(word) + "</mark>";
+      }
+    }
+    return self._escapeHTML(word);
+  });
 };
 
 PublicPredictionsUI.prototype._formatDate = function(date) {
@@ -159,17 +508,147 @@ PublicPredictionsUI.prototype._editableHandler = function(id, value) {
   return true;
 };
 
+PublicPredictionsUI.prototype._avatarUploadHandler = function(file) {
+  // Scale the picture down to a square of AVATAR_SIZE pixels, cropping the
+  // longer side, so that it fits on the profile as a data URL.
+  var self = this;
+  var size = PublicPredictionsUI.AVATAR_SIZE;
+  var help = $("#avatar-help");
+  if (!file || !/^image\//.test(file.type)) {
+    help.text("Please choose an image").show();
+    return;
+  }
+  var reader = new FileReader();
+  reader.onload = function() {
+    var img = new Image();
+    img.onload = function() {
+      var side = Math.min(img.width, img.height);
+      var canvas = document.createElement("canvas");
+      canvas.width = canvas.height = size;
+      canvas.getContext("2d").drawImage(
+        img, (img.width - side) / 2, (img.height - side) / 2, side, side,
+        0, 0, size, size
+      );
+      var dataURL = canvas.toDataURL("image/jpeg", 0.85);
+      self._publicpredictions.setAvatar(dataURL, function(err) {
+        if (err) {
+          help.text(err.message).show();
+          return;
+        }
+        help.hide();
+        $("#timeline-avatar").attr("src", dataURL);
+        $("#avatar-remove").show();
+      });
+    };
+    img.onerror = function() {
+      help.text("Could not read this image").show();
+    };
+    img.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+};
+
+PublicPredictionsUI.prototype._download = function(filename, type, text) {
+  // Hand text to the browser as a file download.
+  var link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], {type: type}));
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+};
+
+PublicPredictionsUI.prototype._handleExport = function(uid) {
+  var self = this;
+  $("#profile-export").html(Mustache.to_html($("#tmpl-profile-export").html(), {
+    uid: uid, own: self._canWrite() && self._loggedIn.id == uid
+  }));
+
+  $(".btn-export").click(function(e) {
+    e.preventDefault();
+    var format = $(this).data("format");
+    self._publicpredictions.exportPredictions(uid, format, function(err, text) {
+      if (!err) {
+        self._download("predictions-" + uid.replace(/[^\w-]/g, "-") + "." + format,
+                       format == "json" ? "application/json" : "text/csv", text);
+      }
+    });
+  });
+
+  $("#import-input").change(function() {
+    var file = this.files && this.files[0];
+    $(this).val("");
+    if (!file) {
+      return;
+    }
+    var help = $("#import-help");
+    var reader = new FileReader();
+    reader.onload = function() {
+      self._publicpredictions.importPredictions(reader.result, function(err, result) {
+        if (err && !result) {
+          help.text(err.message);
+          return;
+        }
+        var message = "Imported " + result.imported + " predictions";
+        if (result.skipped.length) {
+          message += ", skipped invalid entries " + result.skipped.join(", ");
+        }
+        help.text(err ? err.message + ". " + message : message + ".");
+      });
+    };
+    reader.onerror = function() {
+      help.text("Could not read this file");
+    };
+    reader.readAsText(file);
+  });
+};
+
+PublicPredictionsUI.prototype._renderHeader = function() {
+  $("#header").html(Mustache.to_html($("#tmpl-page-header").html(), {
+    user: this._loggedIn, member: this._canWrite(), unread: this._unread
+  }));
+};
+
 PublicPredictionsUI.prototype.onLoginStateChange = function(info) {
+  var self = this;
   this._spinner.stop();
   this._loggedIn = info;
-  $("#header").html(Mustache.to_html($("#tmpl-page-header").html(), {user: this._loggedIn}));
-  if (info) {
-    this.renderTimeline(info);
+  if (this._embedded) {
+    return;
+  }
+
+  // Keep the unread notifications badge up to date for the whole session.
+  if (info && !info.readOnly && !this._watchingNotifications) {
+    this._watchingNotifications = true;
+    this._publicpredictions.onUnreadNotificationCount(function(count) {
+      self._unread = count;
+      $("#notification-count").text(count).toggle(count > 0);
+    });
+  } else if (!info) {
+    this._watchingNotifications = false;
+    this._unread = 0;
+  }
+  this._renderHeader();
+  this._unload && this._unload();
+  if (info && !info.readOnly) {
+    this._unload = this.renderTimeline(info);
   } else {
-    this.renderHome();
+    this._unload = this.renderHome();
   }
 };
 
+PublicPredictionsUI.prototype._canWrite = function() {
+  // Guests in a read-only session can look around, but not post or follow.
+  return !!this._loggedIn && !this._loggedIn.readOnly;
+};
+
+PublicPredictionsUI.prototype._loginFailed = function(err) {
+  this._spinner.stop();
+  $(".login-button").css("visibility", "visible");
+  $("#login-error").text(err.message || "Could not sign in").show();
+};
+
 PublicPredictionsUI.prototype.logout = function(e) {
   if (e) {
     e.preventDefault();
@@ -192,11 +671,15 @@ PublicPredictionsUI.prototype.renderHome = function(e) {
   if (e) {
     e.preventDefault();
   }
-  if (this._loggedIn) {
+  if (this._canWrite()) {
     return this.renderTimeline(this._loggedIn);
   }
 
-  $("#header").html($("#tmpl-index-header").html());
+  if (this._loggedIn) {
+    this._renderHeader();
+  } else {
+    $("#header").html($("#tmpl-index-header").html());
+  }
 
   // Preload animation.
   var path = "img/curl-animate.gif";
@@ -210,18 +693,56 @@ PublicPredictionsUI.prototype.renderHome = function(e) {
     $(this).attr("src", "img/curl-static.gif");
   });
 
+  var self = this;
+  var providers = [];
+  var passwordEnabled = false;
+  var allProviders = self._publicpredictions.getProviders();
+  for (var i = 0; i < allProviders.length; i++) {
+    if (allProviders[i].credentials) {
+      passwordEnabled = true;
+    } else {
+      providers.push(allProviders[i]);
+    }
+  }
+  var content = Mustache.to_html($("#tmpl-index-content").html(), {
+    guest: !!self._loggedIn, providers: providers, passwordEnabled: passwordEnabled
+  });
   var body = Mustache.to_html($("#tmpl-content").html(), {
-    classes: "cf home", content: $("#tmpl-index-content").html()
+    classes: "cf home", content: content
   });
   $("#body").html(body);
 
-  var self = this;
-  var loginButton = $("#login-button");
-  loginButton.click(function(e) {
-    e.preventDefault();
-    loginButton.css("visibility", "hidden");
+  var startLogin = function() {
+    $("#login-error").hide();
+    $(".login-button").css("visibility", "hidden");
     self._spinner.spin($("#login-div").get(0));
-    self._publicpredictions.login('facebook');
+  };
+  $(".login-button").click(function(e) {
+    e.preventDefault();
+    startLogin();
+    self._publicpredictions.login($(this).data("provider"));
+  });
+  $("#password-login-button").click(function(e) {
+    e.preventDefault();
+    startLogin();
+    self._publicpredictions.login("password", {
+      email: $("#login-email").val(), password: $("#login-password").val()
+    });
+  });
+  $("#create-account-button").click(function(e) {
+    e.preventDefault();
+    var email = $("#login-email").val();
+    var password = $("#login-password").val();
+    if (!email || !password) {
+      self._loginFailed(new Error("Enter an email address and a password"));
+      return;
+    }
+    startLogin();
+    self._publicpredictions.createAccount(email, password, function(err) {
+      if (err) {
+        self._loginFailed(err);
+      }
+    });
   });
 
   $("#about-link").remove();
@@ -229,14 +750,15 @@ PublicPredictionsUI.prototype.renderHome = function(e) {
   // Attach handler to display the latest 5 predictions.
   self._handleNewPrediction(
     "prediction-index-list", 5,
-    self._publicpredictions.onLatestPrediction.bind(self._publicpredictions)
+    self._publicpredictions.onLatestPrediction.bind(self._publicpredictions),
+    self._publicpredictions.getOlderLatestPredictions.bind(self._publicpredictions)
   );
   return function() { self._publicpredictions.unload(); };
 };
 
 PublicPredictionsUI.prototype.renderSearch = function() {
   var self = this;
-  $("#header").html(Mustache.to_html($("#tmpl-page-header").html(), {user: self._loggedIn}));
+  self._renderHeader();
   // Render body.
   var content = Mustache.to_html($("#tmpl-search-content").html());
   var body = Mustache.to_html($("#tmpl-content").html(), {
@@ -249,6 +771,17 @@ PublicPredictionsUI.prototype.renderSearch = function() {
   self._publicpredictions.startSearch(function(results) {
     var searchResultHtml = Mustache.to_html($('#tmpl-search-result').html(), {results: results});
     $('#search-result-list').html(searchResultHtml);
+  }, function(results) {
+    for (var i = 0; i < results.length; i++) {
+      results[i].highlighted = self._highlight(
+        results[i].content.substring(0, self._limit), results[i].terms
+      );
+      results[i].friendlyTimestamp = self._formatDate(new Date(results[i].timestamp || 0));
+    }
+    var predictionResultHtml = Mustache.to_html($('#tmpl-search-prediction-result').html(), {
+      results: results
+    });
+    $('#search-prediction-list').html(predictionResultHtml);
   });
   var onCharChange = function() {
     var searchTerm = searchInput.val();
@@ -262,17 +795,22 @@ PublicPredictionsUI.prototype.renderSearch = function() {
   searchInput.keyup(onCharChange);
   searchInput.blur(onCharChange);
 
-  return function() { self._publicpredictions.unload(); };
+  return function() {
+    self._publicpredictions.stopSearching();
+    self._publicpredictions.unload();
+  };
 };
 
 PublicPredictionsUI.prototype.renderTimeline = function(info) {
   var self = this;
-  $("#header").html(Mustache.to_html($("#tmpl-page-header").html(), {user: self._loggedIn}));
+  self._renderHeader();
 
   // Render placeholders for location / bio if not filled in.
   info.location = info.location.substr(0, 80) || "Your Location...";
   info.bio = info.bio.substr(0, 141) || "Your Bio...";
 
+  info.hasUploadedPic = !!(info.avatar && info.avatar.dataURL);
+
   // Render body.
   var content = Mustache.to_html($("#tmpl-timeline-content").html(), info);
   var body = Mustache.to_html($("#tmpl-content").html(), {
@@ -307,7 +845,8 @@ PublicPredictionsUI.prototype.renderTimeline = function(info) {
   // Attach new prediction event handler, capped to 10 for now.
   self._handleNewPrediction(
     "prediction-timeline-list", 10,
-    self._publicpredictions.onNewPrediction.bind(self._publicpredictions)
+    self._publicpredictions.onNewPrediction.bind(self._publicpredictions),
+    self._publicpredictions.getOlderPredictions.bind(self._publicpredictions)
   );
 
   // Get some "suggested" users.
@@ -316,33 +855,92 @@ PublicPredictionsUI.prototype.renderTimeline = function(info) {
     $(Mustache.to_html($("#tmpl-suggested-user").html(), info)).
       appendTo("#suggested-users");
 
-    //var button = $("#followBtn-" + userid);
-    var button = $('.btn-follow');
-    // Fade out the suggested user if they were followed successfully.
-    button.click(function(e) {
-      var $button = $(e.target);
-      var id = $button.data('id');
+    var following = false;
+    self._publicpredictions.onFollowStatus(userid, function(isFollowing) {
+      following = isFollowing;
+      self._setFollowButton($("#followBtn-" + userid), following);
+    });
+    $("#followBtn-" + userid).click(function(e) {
       e.preventDefault();
-      $button.remove();
-      self._publicpredictions.follow(id, function(err, done) {
-        // TODO FIXME: Check for errors!
-        $("#followBox-" + userid).fadeOut(1500);
-      });
+      self._toggleFollow($(this), userid, following);
     });
   });
 
+  // Show the predictions waiting to be resolved, and remind the user of
+  // deadlines coming up.
+  self._handleDuePredictions(info);
+
   // Make profile fields editable.
   $(".editable").editable(function(value, settings) {
     self._editableHandler($(this).attr("id"), value);
     return value;
   });
+
+  // Let the user upload their own picture, or go back to the default one.
+  $("#avatar-input").change(function() {
+    self._avatarUploadHandler(this.files && this.files[0]);
+    $(this).val("");
+  });
+  $("#avatar-remove").click(function(e) {
+    e.preventDefault();
+    self._publicpredictions.setAvatar(null, function(err) {
+      if (!err) {
+        var avatar = $.extend({}, info.avatar, {dataURL: null});
+        $("#timeline-avatar").attr("src", PublicPredictionsAvatar.resolve(avatar, info.fullName, false));
+        $("#avatar-remove").hide();
+      }
+    });
+  });
   return function() { self._publicpredictions.unload(); };
 };
 
+PublicPredictionsUI.prototype._handleDuePredictions = function(info) {
+  var self = this;
+  var decorate = function(predictions) {
+    for (var i = 0; i < predictions.length; i++) {
+      self._decoratePrediction(predictions[i]);
+    }
+    return predictions;
+  };
+
+  self._publicpredictions.onDuePredictions(function(predictions) {
+    $("#due-queue").html(Mustache.to_html($("#tmpl-due-queue").html(), {
+      predictions: decorate(predictions), count: predictions.length
+    }));
+  });
+  $("#due-queue").on("click", ".btn-due-resolve", function(e) {
+    e.preventDefault();
+    var button = $(this);
+    button.parent().find(".btn-due-resolve").css("visibility", "hidden");
+    self._publicpredictions.resolvePrediction(
+      button.data("id"), button.data("outcome"), null, function(err) {
+        // On success the prediction leaves the queue by itself.
+        if (err) {
+          button.parent().find(".btn-due-resolve").css("visibility", "visible");
+        }
+      }
+    );
+  });
+
+  var days = info.reminderDays || PublicPredictions.DEFAULT_REMINDER_DAYS;
+  $("#reminder-days-input").val(days).change(function() {
+    var newDays = parseInt($(this).val(), 10);
+    self._publicpredictions.setProfileField("reminderDays", newDays);
+    // Render the timeline again to look that far ahead.
+    self._loggedIn.reminderDays = newDays;
+    self._unload && self._unload();
+    self._unload = self.renderTimeline(self._loggedIn);
+  });
+  self._publicpredictions.onUpcomingDeadlines(days, function(predictions) {
+    $("#deadline-reminder").html(Mustache.to_html($("#tmpl-deadline-reminder").html(), {
+      predictions: decorate(predictions), count: predictions.length, days: days
+    }));
+  });
+};
+
 PublicPredictionsUI.prototype.renderProfile = function(uid) {
   var self = this;
-  var facebookId = uid.replace('facebook:', '');
-  $("#header").html(Mustache.to_html($("#tmpl-page-header").html(), {user: self._loggedIn}));
+  self._renderHeader();
 
   // Render profile page body.
   $("#body").html(Mustache.to_html($("#tmpl-profile-body").html()));
@@ -359,24 +957,34 @@ PublicPredictionsUI.prototype.renderProfile = function(uid) {
     $('#followee-profile-list').html(Mustache.to_html($('#tmpl-user-list').html(), {users: followees}));
   };
 
+  // Keep track of whether we follow this user, so the follow button can be
+  // rendered correctly whenever the profile is.
+  var following = false;
+  var canFollow = self._canWrite() && self._loggedIn.id != uid;
+  if (canFollow) {
+    self._publicpredictions.onFollowStatus(uid, function(isFollowing) {
+      following = isFollowing;
+      self._setFollowButton($("#followBtn-" + uid), following);
+    });
+  }
+
   // Update user info.
   self._publicpredictions.getUserInfo(uid, function(info) {
     info.id = uid;
+    if (info.scores) {
+      info.scores.brier = info.scores.brier.toFixed(3);
+      info.scores.log = info.scores.log.toFixed(3);
+    }
     var content = Mustache.to_html($("#tmpl-profile-content").html(), info);
     $("#profile-content").html(content);
-    var button = $('.btn-follow');
+    var button = $("#followBtn-" + uid);
 
     // Show follow button if logged in.
-    if (self._loggedIn && self._loggedIn.id != info.id) {
+    if (canFollow) {
+      self._setFollowButton(button, following);
       button.click(function(e) {
-        var $clickedButton = $(e.target);
-        var clickedButtonId = $clickedButton.data('id');
         e.preventDefault();
-
-        self._publicpredictions.follow(clickedButtonId, function(err, done) {
-          // TODO FIXME: Check for errors!
-          $clickedButton.fadeOut(1500);
-        });
+        self._toggleFollow(button, uid, following);
       });
     } else {
       button.hide();
@@ -399,36 +1007,897 @@ PublicPredictionsUI.prototype.renderProfile = function(uid) {
     renderFollowees();
   });
 
+  // Show how well calibrated this user's stated confidence has been.
+  self._publicpredictions.getPredictionStats(uid, function(stats) {
+    stats.chart = self._calibrationChart(stats.calibration);
+    $("#profile-stats").html(Mustache.to_html($("#tmpl-profile-stats").html(), stats));
+  });
+
+  // Let anyone download this user's predictions, and the user import more.
+  self._handleExport(uid);
+  self._handleEmbedSnippet({user: uid});
+
   // Render this user's tweets. Capped to 5 for now.
   self._handleNewPrediction(
     "prediction-profile-list", 5,
-    self._publicpredictions.onNewPredictionFor.bind(self._publicpredictions, uid)
+    self._publicpredictions.onNewPredictionFor.bind(self._publicpredictions, uid),
+    self._publicpredictions.getOlderPredictionsFor.bind(self._publicpredictions, uid)
   );
   return function() { self._publicpredictions.unload(); };
 };
 
+PublicPredictionsUI.prototype._calibrationChart = function(bins) {
+  // Plot stated confidence (x) against the actual hit rate (y), with the
+  // diagonal showing perfect calibration. Dots grow with the bin's size.
+  var size = 300, pad = 40, plot = size - 2 * pad;
+  var x = function(p) { return (pad + p * plot).toFixed(1); };
+  var y = function(p) { return (size - pad - p * plot).toFixed(1); };
+
+  var svg = '<svg class="calibration-chart" xmlns="http://www.w3.org/2000/svg" ' +
+            'width="' + size + '" height="' + size + '" viewBox="0 0 ' + size + ' ' + size + '">';
+  svg += '<rect x="' + pad + '" y="' + pad + '" width="' + plot + '" height="' + plot +
+         '" fill="#FFF" stroke="#CCBA8B" />';
+  for (var i = 0; i <= 10; i += 5) {
+    svg += '<text x="' + x(i / 10) + '" y="' + (size - pad + 16) +
+           '" text-anchor="middle">' + (i * 10) + '%</text>';
+    svg += '<text x="' + (pad - 6) + '" y="' + (Number(y(i / 10)) + 4) +
+           '" text-anchor="end">' + (i * 10) + '%</text>';
+  }
+  svg += '<line x1="' + x(0) + '" y1="' + y(0) + '" x2="' + x(1) + '" y2="' + y(1) +
+         '" stroke="#A9A9A9" stroke-dasharray="4,4" />';
+
+  var points = [];
+  for (i = 0; i < bins.length; i++) {
+    if (bins[i].count) {
+      points.push(x(bins[i].confidence) + "," + y(bins[i].hitRate));
+    }
+  }
+  if (points.length > 1) {
+    svg += '<polyline points="' + points.join(" ") + '" fill="none" stroke="#AB8319" />';
+  }
+  for (i = 0; i < bins.length; i++) {
+    if (!bins[i].count) {
+      continue;
+    }
+    svg += '<circle cx="' + x(bins[i].confidence) + '" cy="' + y(bins[i].hitRate) +
+           '" r="' + Math.min(12, 3 + Math.sqrt(bins[i].count) * 2).toFixed(1) +
+           '" fill="#FDC325" stroke="#AB8319"><title>' +
+           Math.round(bins[i].from * 100) + "-" + Math.round(bins[i].to * 100) + "%: " +
+           bins[i].hits + " of " + bins[i].count + " came true</title></circle>";
+  }
+  svg += '<text x="' + (size / 2) + '" y="' + (size - 6) +
+         '" text-anchor="middle">Stated confidence</text>';
+  svg += '<text x="12" y="' + (size / 2) + '" text-anchor="middle" transform="rotate(-90 12 ' +
+         (size / 2) + ')">Came true</text>';
+  svg += '</svg>';
+  return svg;
+};
+
 PublicPredictionsUI.prototype.renderPrediction = function(id) {
   var self = this;
-  $("#header").html(Mustache.to_html($("#tmpl-page-header").html(), {user: self._loggedIn}));
+  self._renderHeader();
+
+  // Keep the latest crowd forecast around, since it may arrive before or
+  // after the page body is rendered.
+  var crowd = null;
+  var renderCrowd = function() {
+    if (!crowd) {
+      return;
+    }
+    $("#crowd-forecast").html(Mustache.to_html($("#tmpl-crowd-forecast").html(), {
+      count: crowd.count,
+      mean: crowd.mean === null ? null : Math.round(crowd.mean * 100),
+      median: crowd.median === null ? null : Math.round(crowd.median * 100)
+    }));
+    var mine = self._loggedIn && crowd.forecasts[self._loggedIn.id];
+    if (mine && !$("#forecast-input").is(":focus")) {
+      $("#forecast-input").val(Math.round(mine * 100));
+    }
+  };
+  self._publicpredictions.onForecasts(id, function(summary) {
+    crowd = summary;
+    renderCrowd();
+  });
+
+  // Comments stream in as they are posted, in the order they were posted.
+  var comments = [];
+  var predictionAuthor = null;
+  var renderComments = function() {
+    for (var i = 0; i < comments.length; i++) {
+      comments[i].canDelete = self._canWrite() &&
+        (self._loggedIn.id == comments[i].author || self._loggedIn.id == predictionAuthor);
+    }
+    $("#comment-list").html(Mustache.to_html($("#tmpl-comment").html(), {comments: comments}));
+  };
+  self._publicpredictions.onComment(id, function(commentId, comment) {
+    comment.commentId = commentId;
+    comment.content = comment.content.substring(0, self._limit);
+    comment.friendlyTimestamp = self._formatDate(new Date(comment.timestamp || 0));
+    comments.push(comment);
+    renderComments();
+  }, function(commentId) {
+    for (var i = 0; i < comments.length; i++) {
+      if (comments[i].commentId == commentId) {
+        comments.splice(i, 1);
+        break;
+      }
+    }
+    renderComments();
+  });
 
   // Render prediction page body.
   self._publicpredictions.getPrediction(id, function(prediction) {
-    if (prediction !== null && prediction.author) {
+    if (prediction === null) {
+      // Deleted, or never there.
+      $("#body").html(Mustache.to_html($("#tmpl-content").html(), {
+        classes: "cf", content: Mustache.to_html($("#tmpl-prediction-missing").html())
+      }));
+      return;
+    }
+    if (prediction.author) {
       self._publicpredictions.getUserInfo(prediction.author, function(authorInfo) {
         for (var key in authorInfo) {
           prediction[key] = authorInfo[key];
         }
-        prediction.content = prediction.content.substring(0, self._limit);
-        prediction.friendlyTimestamp = self._formatDate(
-          new Date(prediction.timestamp || 0)
-        );
+        self._decoratePrediction(prediction);
+        // Sealed predictions cannot be resolved until they are revealed.
+        prediction.canResolve = !prediction.resolved && !prediction.isSealed &&
+          self._loggedIn && self._loggedIn.id == prediction.author &&
+          (!prediction.deadline || prediction.overdue);
+        prediction.canForecast = prediction.status == "open" && !prediction.retracted &&
+          self._canWrite() &&
+          self._loggedIn.id != prediction.author;
+        prediction.commentsEnabled = self._canWrite();
+        prediction.canRevise = !prediction.resolved && !prediction.retracted &&
+          self._canWrite() && self._loggedIn.id == prediction.author;
+        prediction.canDelete = prediction.status == "open" && !prediction.retracted &&
+          self._canWrite() && self._loggedIn.id == prediction.author;
+        // Times come from the server; a client clock far off from it may be
+        // an attempt at backdating.
+        prediction.clockWarnings = $.map(PublicPredictions.clockSkews(prediction), function(skew) {
+          return {
+            event: skew.event,
+            minutes: Math.round(Math.abs(skew.skew) / 60000),
+            direction: skew.skew < 0 ? "behind" : "ahead of"
+          };
+        });
+        prediction.canReveal = prediction.isSealed && self._canWrite() &&
+          self._loggedIn.id == prediction.author;
+        if (prediction.canReveal) {
+          var seal = self._getSeal(id);
+          prediction.sealContent = seal.content;
+          prediction.sealSalt = seal.salt;
+        }
         var content = Mustache.to_html($("#tmpl-prediction-content").html(), prediction);
         var body = Mustache.to_html($("#tmpl-content").html(), {
           classes: "cf", content: content
         });
         $("#body").html(body);
+
+        $(".btn-resolve").click(function(e) {
+          e.preventDefault();
+          self._resolveHandler(id, $(this).data("outcome"));
+        });
+        $("#forecast-button").click(function(e) {
+          e.preventDefault();
+          self._forecastHandler(id);
+        });
+        $("#amend-button").click(function(e) {
+          e.preventDefault();
+          self._reviseHandler(id, "amend");
+        });
+        $("#retract-button").click(function(e) {
+          e.preventDefault();
+          self._reviseHandler(id, "retract");
+        });
+        $("#delete-button").click(function(e) {
+          e.preventDefault();
+          self._deleteHandler(id);
+        });
+        $("#reveal-button").click(function(e) {
+          e.preventDefault();
+          self._revealHandler(id);
+        });
+        $("#seal-backup-button").click(function(e) {
+          e.preventDefault();
+          self._backupSeal(id, $("#reveal-content").val(), $.trim($("#reveal-salt").val()));
+        });
+        if (prediction.sealed && !prediction.isSealed) {
+          // Check the revealed content against the commitment right here,
+          // rather than trust whoever wrote it.
+          PublicPredictions.commitment(prediction.content, prediction.salt, function(hash) {
+            $("#seal-check").text(hash === null ? "not checked" :
+              hash == prediction.commitment ? "verified" : "does not match").
+              addClass(hash == prediction.commitment ? "seal-verified" : "seal-failed");
+          });
+        }
+        renderCrowd();
+
+        predictionAuthor = prediction.author;
+        self._attachCommentHandlers(id);
+        self._handleEmbedSnippet({prediction: id});
+        renderComments();
+      });
+    }
+  });
+  return function() { self._publicpredictions.unload(); };
+};
+
+PublicPredictionsUI.prototype._attachCommentHandlers = function(id) {
+  var self = this;
+  var commentText = $("#comment-input");
+  var charCount = $("#comment-c-count");
+  var commentButton = $("#comment-button");
+
+  function _textAreaHandler() {
+    var text = commentText.val();
+    charCount.text("" + (self._limit - text.length));
+    if (text.length > self._limit) {
+      charCount.css("color", "#FF6347");
+      commentButton.css("visibility", "hidden");
+    } else if (text.length == 0) {
+      commentButton.css("visibility", "hidden");
+    } else {
+      charCount.css("color", "#999");
+      commentButton.css("visibility", "visible");
+    }
+  }
+  charCount.text(self._limit);
+  commentButton.css("visibility", "hidden");
+  commentText.keyup(_textAreaHandler);
+  commentText.blur(_textAreaHandler);
+
+  commentButton.click(function(e) {
+    e.preventDefault();
+    commentButton.css("visibility", "hidden");
+    self._publicpredictions.addComment(id, commentText.val(), function(err) {
+      if (err) {
+        commentButton.css("visibility", "visible");
+        return;
+      }
+      commentText.val("");
+      charCount.text(self._limit);
+    });
+  });
+
+  $("#comment-list").on("click", ".comment-delete", function(e) {
+    e.preventDefault();
+    self._publicpredictions.deleteComment(id, $(this).data("id"), function(err) {
+      // The comment disappears through onComment's removal callback.
+    });
+  });
+};
+
+PublicPredictionsUI.prototype._forecastHandler = function(id) {
+  var forecastInput = $("#forecast-input");
+  var help = $("#forecast-div .field-help");
+  var probability = parseInt(forecastInput.val(), 10) / 100;
+  if (isNaN(probability) || probability < 0.01 || probability > 0.99) {
+    forecastInput.css("border-color", "#FF6347");
+    return;
+  }
+  forecastInput.css("border-color", "");
+
+  this._publicpredictions.forecast(id, probability, function(err) {
+    if (err) {
+      help.text(err.message).css("color", "#FF6347");
+    } else {
+      help.text("Forecast saved.").css("color", "#008000");
+    }
+  });
+};
+
+PublicPredictionsUI.prototype._reviseHandler = function(id, action) {
+  var self = this;
+  var help = $("#revise-div .field-help");
+  var onComplete = function(err) {
+    if (err) {
+      $("#revise-div .btn").css("visibility", "visible");
+      help.text(err.message).css("color", "#FF6347");
+      return;
+    }
+    // Predictions are fetched once, so render the page again to show the revision.
+    self._unload && self._unload();
+    self._unload = self.renderPrediction(id);
+  };
+
+  if (action == "amend") {
+    var amendInput = $("#amend-input");
+    var content = $.trim(amendInput.val());
+    if (!content || content.length > self._limit) {
+      amendInput.css("border-color", "#FF6347");
+      return;
+    }
+    $("#revise-div .btn").css("visibility", "hidden");
+    self._publicpredictions.amendPrediction(id, content, onComplete);
+  } else {
+    if (!window.confirm("Retract this prediction? It will stay on your record.")) {
+      return;
+    }
+    $("#revise-div .btn").css("visibility", "hidden");
+    self._publicpredictions.retractPrediction(id, $.trim($("#retract-input").val()) || null,
+                                              onComplete);
+  }
+};
+
+PublicPredictionsUI.prototype._revealHandler = function(id) {
+  var self = this;
+  var help = $("#seal-div .field-help");
+  var content = $("#reveal-content").val();
+  var salt = $.trim($("#reveal-salt").val());
+  if (!content || !salt) {
+    help.text("Enter the prediction and its key exactly as sealed.").css("color", "#FF6347");
+    return;
+  }
+  $("#reveal-button").css("visibility", "hidden");
+  self._publicpredictions.revealPrediction(id, content, salt, function(err) {
+    if (err && !err.partial) {
+      $("#reveal-button").css("visibility", "visible");
+      help.text(err.message).css("color", "#FF6347");
+      return;
+    }
+    // Predictions are fetched once, so render the page again to show the content.
+    self._unload && self._unload();
+    self._unload = self.renderPrediction(id);
+  });
+};
+
+PublicPredictionsUI.prototype._deleteHandler = function(id) {
+  var self = this;
+  if (!window.confirm("Delete this prediction for everyone? This cannot be undone.")) {
+    return;
+  }
+  $("#delete-button").css("visibility", "hidden");
+  self._publicpredictions.deletePrediction(id, function(err) {
+    // A partial failure only leaves stale feed entries, which are not shown.
+    if (err && !err.partial) {
+      $("#delete-button").css("visibility", "visible");
+      $("#delete-div .field-help").text(err.message).css("color", "#FF6347");
+      return;
+    }
+    self._go("/?profile=" + self._loggedIn.id);
+  });
+};
+
+PublicPredictionsUI.prototype._resolveHandler = function(id, outcome) {
+  var self = this;
+  var evidenceInput = $("#evidence-input");
+  var evidence = $.trim(evidenceInput.val());
+  if (evidence && !/^https?:\/\//i.test(evidence)) {
+    evidenceInput.css("border-color", "#FF6347");
+    return;
+  }
+
+  $(".btn-resolve").css("visibility", "hidden");
+  self._spinner.spin($("#resolve-div").get(0));
+  self._publicpredictions.resolvePrediction(id, outcome, evidence || null, function(err) {
+    self._spinner.stop();
+    if (err) {
+      $(".btn-resolve").css("visibility", "visible");
+      $("#resolve-div .field-help").text(err.message).css("color", "#FF6347");
+      return;
+    }
+    // Predictions are fetched once, so render the page again to show the outcome.
+    self._unload && self._unload();
+    self._unload = self.renderPrediction(id);
+  });
+};
+
+PublicPredictionsUI.prototype.renderLeaderboard = function() {
+  var self = this;
+  self._renderHeader();
+
+  var content = Mustache.to_html($("#tmpl-leaderboard-content").html());
+  var body = Mustache.to_html($("#tmpl-content").html(), {
+    classes: "cf", content: content
+  });
+  $("#body").html(body);
+
+  var DAY = 24 * 60 * 60 * 1000;
+  var windows = {all: null, year: 365 * DAY, quarter: 90 * DAY};
+
+  var listen = function() {
+    // Changing a filter replaces the previous leaderboard listener.
+    self._publicpredictions.unload();
+    var span = windows[$("#leaderboard-window").val()];
+    var options = {
+      minResolved: parseInt($("#leaderboard-min").val(), 10) || 1,
+      window: span,
+      topic: $.trim($("#leaderboard-topic").val()) || null
+    };
+    self._publicpredictions.onLeaderboard(options, function(rankings) {
+      for (var i = 0; i < rankings.length; i++) {
+        rankings[i].rank = i + 1;
+        rankings[i].fullName = rankings[i].fullName || rankings[i].userId;
+        rankings[i].brier = rankings[i].brier.toFixed(3);
+        rankings[i].log = rankings[i].log.toFixed(3);
+      }
+      $("#leaderboard-list").html(Mustache.to_html($("#tmpl-leaderboard-rows").html(), {
+        rankings: rankings, empty: !rankings.length
+      }));
+    });
+  };
+
+  $("#leaderboard-min, #leaderboard-window").change(listen);
+  $("#leaderboard-topic").change(listen);
+  listen();
+
+  return function() { self._publicpredictions.unload(); };
+};
+
+PublicPredictionsUI.prototype._decorateQuestion = function(question) {
+  var labels = {binary: "Yes or no", numeric: "A number", choice: "Multiple choice"};
+  question.typeLabel = labels[question.type];
+  question.isBinary = question.type == "binary";
+  question.isNumeric = question.type == "numeric";
+  question.isChoice = question.type == "choice";
+  question.friendlyDeadline = this._formatDate(new Date(question.deadline));
+  question.resolved = question.outcome !== undefined;
+  question.status = question.resolved ? "resolved" :
+    question.deadline <= new Date().getTime() ? "closed" : "open";
+  question.choiceList = $.map(question.choices || [], function(label, index) {
+    return {label: label, index: index};
+  });
+  if (question.resolved) {
+    question.answer = question.outcome == "void" ? "void" :
+      question.isChoice ? question.choices[question.outcome] : String(question.outcome);
+  }
+  return question;
+};
+
+PublicPredictionsUI.prototype._questionChart = function(question, timeline) {
+  // Plot the community's forecast over time: the mean probability of yes, or
+  // of each choice, or the median of numeric forecasts.
+  var width = 500, height = 240, pad = 40;
+  var colors = ["#AB8319", "#4682B4", "#FF6347", "#008000", "#8A2BE2",
+                "#A9A9A9", "#D2691E", "#20B2AA", "#C71585", "#545153"];
+  var low = question.isNumeric ? question.min : 0;
+  var high = question.isNumeric ? question.max : 1;
+  var start = timeline[0].timestamp;
+  var end = Math.max(timeline[timeline.length - 1].timestamp, start + 1);
+  var x = function(t) { return (pad + (t - start) / (end - start) * (width - 2 * pad)).toFixed(1); };
+  var y = function(v) { return (height - pad - (v - low) / (high - low) * (height - 2 * pad)).toFixed(1); };
+  var label = function(v) {
+    return question.isNumeric ? String(v) : Math.round(v * 100) + "%";
+  };
+
+  var svg = '<svg class="question-chart" xmlns="http://www.w3.org/2000/svg" ' +
+            'width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">';
+  svg += '<rect x="' + pad + '" y="' + pad + '" width="' + (width - 2 * pad) + '" height="' +
+         (height - 2 * pad) + '" fill="#FFF" stroke="#CCBA8B" />';
+  svg += '<text x="' + (pad - 6) + '" y="' + (Number(y(low)) + 4) + '" text-anchor="end">' +
+         this._escapeHTML(label(low)) + '</text>';
+  svg += '<text x="' + (pad - 6) + '" y="' + (Number(y(high)) + 4) + '" text-anchor="end">' +
+         this._escapeHTML(label(high)) + '</text>';
+  svg += '<text x="' + pad + '" y="' + (height - pad + 16) + '">' +
+         this._escapeHTML(new Date(start).toLocaleDateString()) + '</text>';
+  svg += '<text x="' + (width - pad) + '" y="' + (height - pad + 16) + '" text-anchor="end">' +
+         this._escapeHTML(new Date(end).toLocaleDateString()) + '</text>';
+
+  var series = question.isChoice ? question.choices.length : 1;
+  for (var s = 0; s < series; s++) {
+    var points = [];
+    for (var i = 0; i < timeline.length; i++) {
+      var value = question.isChoice ? timeline[i].choices[s] :
+        question.isNumeric ? timeline[i].median : timeline[i].mean;
+      points.push(x(timeline[i].timestamp) + "," + y(value));
+    }
+    svg += '<polyline points="' + points.join(" ") + '" fill="none" stroke="' +
+           colors[s % colors.length] + '" stroke-width="2"><title>' +
+           this._escapeHTML(question.isChoice ? question.choices[s] :
+                            question.isNumeric ? "Median" : "Yes") + '</title></polyline>';
+  }
+  svg += '</svg>';
+  return svg;
+};
+
+PublicPredictionsUI.prototype.renderQuestions = function() {
+  var self = this;
+  self._renderHeader();
+
+  var content = Mustache.to_html($("#tmpl-questions-content").html(), {
+    canAsk: self._canWrite()
+  });
+  var body = Mustache.to_html($("#tmpl-content").html(), {
+    classes: "cf", content: content
+  });
+  $("#body").html(body);
+
+  $("#question-type").change(function() {
+    $(".question-numeric").toggle($(this).val() == "numeric");
+    $(".question-choice").toggle($(this).val() == "choice");
+  });
+  $("#question-button").click(function(e) {
+    e.preventDefault();
+    self._askHandler();
+  });
+
+  self._publicpredictions.onLatestQuestion(20, function(questionId, question) {
+    question.questionId = questionId;
+    self._decorateQuestion(question);
+    var questionEl = $(Mustache.to_html($("#tmpl-question").html(), question));
+    var existing = $("#question-" + questionId);
+    if (existing.length) {
+      existing.replaceWith(questionEl);
+    } else {
+      $("#question-list").prepend(questionEl);
+    }
+  }, function(questionId) {
+    $("#question-" + questionId).remove();
+  });
+  return function() { self._publicpredictions.unload(); };
+};
+
+PublicPredictionsUI.prototype._askHandler = function() {
+  var self = this;
+  var help = $("#question-form .field-help");
+  var question = {
+    title: $.trim($("#question-title").val()),
+    criteria: $.trim($("#question-criteria").val()),
+    // Give the owner until the end of the chosen day, as for predictions.
+    deadline: new Date($("#question-deadline").val() + "T23:59:59").getTime(),
+    type: $("#question-type").val()
+  };
+  if (question.type == "numeric") {
+    question.min = parseFloat($("#question-min").val());
+    question.max = parseFloat($("#question-max").val());
+  } else if (question.type == "choice") {
+    question.choices = $.grep($.map($("#question-choices").val().split("\n"), $.trim),
+                              function(choice) { return !!choice; });
+  }
+
+  try {
+    self._publicpredictions.createQuestion(question, function(err, id) {
+      if (err) {
+        $("#question-button").css("visibility", "visible");
+        help.text(err.message).css("color", "#FF6347");
+        return;
+      }
+      self._go("/?question=" + id);
+    });
+  } catch (e) {
+    // Invalid fields are reported right away.
+    help.text(e.message).css("color", "#FF6347");
+    return;
+  }
+  $("#question-button").css("visibility", "hidden");
+};
+
+PublicPredictionsUI.prototype.renderQuestion = function(id) {
+  var self = this;
+  self._renderHeader();
+
+  // The question and the community's forecasts arrive separately, and are
+  // rendered again whenever either changes.
+  var question = null;
+  var summary = null;
+  var renderSummary = function() {
+    if (!question || !summary) {
+      return;
+    }
+    var percent = function(p) { return p === null ? null : Math.round(p * 100); };
+    var view = {
+      count: summary.count, plural: summary.count != 1,
+      isBinary: question.isBinary, isNumeric: question.isNumeric, isChoice: question.isChoice,
+      mean: question.isBinary ? percent(summary.mean) : summary.mean,
+      median: question.isBinary ? percent(summary.median) : summary.median,
+      choiceMeans: $.map(summary.choices || [], function(mean, index) {
+        return {label: question.choices[index], percent: percent(mean)};
+      }),
+      bins: $.map(summary.bins || [], function(count, index) {
+        var width = (question.max - question.min) / summary.bins.length;
+        var round = function(v) { return Math.round(v * 100) / 100; };
+        return {
+          from: round(question.min + index * width),
+          to: round(question.min + (index + 1) * width),
+          count: count
+        };
+      })
+    };
+    if (question.isNumeric && summary.mean !== null) {
+      view.mean = Math.round(summary.mean * 100) / 100;
+    }
+    $("#question-summary").html(Mustache.to_html($("#tmpl-question-summary").html(), view));
+    $("#question-chart").html(summary.timeline.length ?
+      self._questionChart(question, summary.timeline) : "");
+  };
+
+  self._publicpredictions.onQuestion(id, function(value) {
+    if (value === null) {
+      $("#body").html(Mustache.to_html($("#tmpl-content").html(), {
+        classes: "cf", content: Mustache.to_html($("#tmpl-question-missing").html())
+      }));
+      return;
+    }
+    question = self._decorateQuestion(value);
+    question.canForecast = question.status == "open" && self._canWrite();
+    question.canResolve = question.status == "closed" && self._canWrite() &&
+      self._loggedIn.id == question.owner;
+    var content = Mustache.to_html($("#tmpl-question-content").html(), question);
+    $("#body").html(Mustache.to_html($("#tmpl-content").html(), {
+      classes: "cf", content: content
+    }));
+
+    $("#question-forecast-button").click(function(e) {
+      e.preventDefault();
+      self._questionForecastHandler(id, question);
+    });
+    $(".btn-question-resolve").click(function(e) {
+      e.preventDefault();
+      self._questionResolveHandler(id, question, $(this).data("outcome"));
+    });
+    renderSummary();
+  });
+  self._publicpredictions.onQuestionForecasts(id, function(value) {
+    summary = value;
+    renderSummary();
+  });
+  return function() { self._publicpredictions.unload(); };
+};
+
+PublicPredictionsUI.prototype._questionForecastHandler = function(id, question) {
+  var help = $("#question-forecast-div .field-help");
+  var value;
+  if (question.isBinary) {
+    value = parseInt($("#question-forecast-input").val(), 10) / 100;
+  } else if (question.isNumeric) {
+    value = parseFloat($("#question-forecast-input").val());
+  } else {
+    // Percentages that add up to 100.
+    value = $.map($(".question-choice-input"), function(input) {
+      return (parseInt($(input).val(), 10) || 0) / 100;
+    });
+  }
+
+  this._publicpredictions.forecastQuestion(id, value, function(err) {
+    if (err) {
+      help.text(err.message).css("color", "#FF6347");
+    } else {
+      help.text("Forecast saved.").css("color", "#008000");
+    }
+  });
+};
+
+PublicPredictionsUI.prototype._questionResolveHandler = function(id, question, outcome) {
+  var help = $("#question-resolve-div .field-help");
+  if (outcome == "answer") {
+    outcome = question.isNumeric ? parseFloat($("#question-outcome-input").val()) :
+      parseInt($("#question-outcome-select").val(), 10);
+  }
+
+  $(".btn-question-resolve").css("visibility", "hidden");
+  this._publicpredictions.resolveQuestion(id, outcome, function(err) {
+    // On success, onQuestion renders the question again with its answer.
+    if (err) {
+      $(".btn-question-resolve").css("visibility", "visible");
+      help.text(err.message).css("color", "#FF6347");
+    }
+  });
+};
+
+PublicPredictionsUI.prototype.renderTopic = function(topic) {
+  var self = this;
+  topic = topic.replace(/^#/, "").toLowerCase();
+  if (!/^\w+$/.test(topic)) {
+    return self.render404();
+  }
+  self._renderHeader();
+
+  var content = Mustache.to_html($("#tmpl-topic-content").html(), {
+    topic: topic, canFollow: self._canWrite()
+  });
+  var body = Mustache.to_html($("#tmpl-content").html(), {
+    classes: "cf", content: content
+  });
+  $("#body").html(body);
+
+  if (self._canWrite()) {
+    var button = $("#topic-follow-button");
+    var following = false;
+    self._publicpredictions.onTopicFollowStatus(topic, function(isFollowing) {
+      following = isFollowing;
+      self._setFollowButton(button, following);
+    });
+    button.click(function(e) {
+      e.preventDefault();
+      var action = following ? "unfollowTopic" : "followTopic";
+      button.css("visibility", "hidden");
+      self._publicpredictions[action](topic, function(err) {
+        if (err) {
+          self._setFollowButton(button, following);
+        }
       });
+    });
+  }
+
+  self._handleNewPrediction(
+    "prediction-topic-list", 10,
+    self._publicpredictions.onNewPredictionForTopic.bind(self._publicpredictions, topic),
+    self._publicpredictions.getOlderPredictionsForTopic.bind(self._publicpredictions, topic)
+  );
+  return function() { self._publicpredictions.unload(); };
+};
+
+PublicPredictionsUI.prototype._siteURL = function() {
+  return window.location.protocol + "//" + window.location.host + "/";
+};
+
+PublicPredictionsUI.prototype._handleEmbedSnippet = function(options) {
+  // Offer the HTML to embed a widget elsewhere, either through the mounting
+  // script or, where scripts are not allowed, as a plain iframe.
+  var site = this._siteURL();
+  var query = options.prediction ? "?embed=" + encodeURIComponent(options.prediction) :
+    "?embed-profile=" + encodeURIComponent(options.user);
+  var attribute = options.prediction ?
+    'data-publicpredictions-prediction="' + this._escapeHTML(options.prediction) + '"' :
+    'data-publicpredictions-user="' + this._escapeHTML(options.user) + '"';
+  $("#embed-div").html(Mustache.to_html($("#tmpl-embed-snippet").html(), {
+    script: "<div " + attribute + "></div>\n" +
+      '<script src="' + site + 'js/publicpredictions-embed.js" async></script>',
+    iframe: '<iframe src="' + site + query + '" width="100%" height="' +
+      PublicPredictionsEmbed.HEIGHT + '" frameborder="0"></iframe>'
+  }));
+  $("#embed-div textarea").focus(function() {
+    $(this).select();
+  });
+};
+
+PublicPredictionsUI.prototype._watchEmbedHeight = function() {
+  // Tell the page around the widget how tall it is, whenever that changes
+  // (e.g. as pictures load or predictions slide in), so it can resize the
+  // iframe; see publicpredictions-embed.js.
+  if (window.parent === window) {
+    return function() {};
+  }
+  var height = 0;
+  var interval = setInterval(function() {
+    var current = $("#body").outerHeight(true);
+    if (current != height) {
+      height = current;
+      window.parent.postMessage({publicpredictions: "height", height: height}, "*");
+    }
+  }, 250);
+  return function() { clearInterval(interval); };
+};
+
+PublicPredictionsUI.prototype.renderEmbed = function(id) {
+  // A single prediction, without the page header, kept up to date as it is
+  // resolved and forecast on.
+  var self = this;
+  $("body").addClass("embedded");
+  $("#header").empty();
+
+  var crowd = null;
+  var renderCrowd = function() {
+    if (crowd) {
+      $("#embed-crowd").html(Mustache.to_html($("#tmpl-crowd-forecast").html(), {
+        count: crowd.count,
+        mean: crowd.mean === null ? null : Math.round(crowd.mean * 100),
+        median: crowd.median === null ? null : Math.round(crowd.median * 100)
+      }));
     }
+  };
+  self._publicpredictions.onPrediction(id, function(prediction) {
+    if (prediction === null) {
+      $("#body").html(Mustache.to_html($("#tmpl-embed-missing").html()));
+      return;
+    }
+    prediction.predictionId = id;
+    self._decoratePrediction(prediction);
+    $("#body").html(Mustache.to_html($("#tmpl-embed-prediction").html(), prediction));
+    renderCrowd();
   });
+  self._publicpredictions.onForecasts(id, function(summary) {
+    crowd = summary;
+    renderCrowd();
+  });
+
+  var stopWatching = self._watchEmbedHeight();
+  return function() {
+    stopWatching();
+    self._publicpredictions.unload();
+  };
+};
+
+PublicPredictionsUI.prototype.renderEmbedProfile = function(uid) {
+  // The latest predictions of a user, without the page header.
+  var self = this;
+  $("body").addClass("embedded");
+  $("#header").empty();
+  $("#body").html(Mustache.to_html($("#tmpl-embed-profile").html(), {id: uid}));
+
+  self._publicpredictions.getUserInfo(uid, function(info) {
+    $("#embed-profile-name").text(info.fullName || uid);
+  });
+  self._handleNewPrediction(
+    "prediction-embed-list", PublicPredictionsUI.EMBED_COUNT,
+    self._publicpredictions.onNewPredictionFor.bind(self._publicpredictions, uid)
+  );
+
+  var stopWatching = self._watchEmbedHeight();
+  return function() {
+    stopWatching();
+    self._publicpredictions.unload();
+  };
+};
+
+PublicPredictionsUI.prototype.renderFeed = function(key) {
+  // Feeds are for a user, given by ID, or for a topic, given as "#topic".
+  var self = this;
+  var options = {siteURL: self._siteURL()};
+  var title;
+  if (key.charAt(0) == "#") {
+    options.topic = key.substr(1).toLowerCase();
+    if (!/^\w+$/.test(options.topic)) {
+      return self.render404();
+    }
+    title = "Feed for #" + options.topic;
+  } else {
+    options.user = key;
+    title = "Feed";
+  }
+  self._renderHeader();
+
+  var content = Mustache.to_html($("#tmpl-feed-content").html(), {title: title});
+  var body = Mustache.to_html($("#tmpl-content").html(), {
+    classes: "cf", content: content
+  });
+  $("#body").html(body);
+
+  var name = "feed-" + key.replace(/[^\w-]/g, "-");
+  self._publicpredictions.buildFeed(options, function(err, xml) {
+    $("#feed-preview").text(xml);
+  });
+  $(".btn-feed").click(function(e) {
+    e.preventDefault();
+    var format = $(this).data("format");
+    self._publicpredictions.buildFeed($.extend({format: format}, options), function(err, xml) {
+      if (!err) {
+        self._download(name + "." + format, format == "atom" ?
+                       "application/atom+xml" : "application/rss+xml", xml);
+      }
+    });
+  });
+  return function() { self._publicpredictions.unload(); };
+};
+
+PublicPredictionsUI.prototype.renderNotifications = function() {
+  var self = this;
+  self._renderHeader();
+
+  var content = Mustache.to_html($("#tmpl-notifications-content").html());
+  var body = Mustache.to_html($("#tmpl-content").html(), {
+    classes: "cf", content: content
+  });
+  $("#body").html(body);
+
+  var messages = {
+    follow: "followed you",
+    comment: "commented on your prediction",
+    forecast: "put a forecast on your prediction",
+    mention: "mentioned you",
+    resolved: "resolved a prediction you forecast",
+    retracted: "retracted a prediction you forecast",
+    "question-resolved": "resolved a question you forecast"
+  };
+  self._publicpredictions.onNotification(50, function(notificationId, notification) {
+    notification.notificationId = notificationId;
+    notification.message = messages[notification.type] || notification.type;
+    notification.friendlyTimestamp = self._formatDate(new Date(notification.timestamp || 0));
+    var notificationEl = $(Mustache.to_html($("#tmpl-notification").html(), notification));
+    var existing = $("#notification-" + notificationId);
+    if (existing.length) {
+      existing.replaceWith(notificationEl);
+    } else {
+      $("#notification-list").prepend(notificationEl);
+    }
+    // Everything listed is considered seen, and only that.
+    if (!notification.read) {
+      self._publicpredictions.markNotificationsRead([notificationId], function(err) {});
+    }
+  }, function(notificationId) {
+    $("#notification-" + notificationId).remove();
+  });
+
   return function() { self._publicpredictions.unload(); };
 };
@@ -6,7 +6,9 @@
  * to follow. This object knows nothing about the UI, see publicpredictions-ui.js for
  * how this object is used to make sure the UI is updated as events come in.
  *
- * @param    {string}    baseURL     The Firebase URL.
+ * @param    {string}    baseURL     The Firebase URL, or another URL handled
+ *                                   by one of the ADAPTERS, such as
+ *                                   "memory://demo".
  * @param    {boolean}   newContext  Whether a new Firebase context is used.
  *                                   (Useful for testing only)
  * @return   {PublicPredictions}
@@ -15,464 +17,3875 @@ function PublicPredictions(baseURL, newContext) {
   var self = this;
   this._name = null;
   this._facebookId = null;
+  this._readOnly = false;
   this._firebase = null;
   this._mainUser = null;
   this._fullName = null;
   this._searchHandler = null;
   this._currentSearch = null;
+  this._predictionSearchHandler = null;
+  this._currentPredictionSearch = null;
   this._baseURL = baseURL;
 
+  // Avatar records of other users, by user ID, see _resolvePic().
+  this._avatars = {};
+
   // Every time we call firebaseRef.on, we need to remember to call .off,
   // when requested by the caller via unload(). We'll store our handlers
   // here so we can clear them later.
   this._handlers = [];
 
+  // Handlers that should live as long as the user is logged in, rather than
+  // as long as a page is shown, are kept here and cleared on logout.
+  this._sessionHandlers = [];
+
+  // Timers, e.g. for leaderboards over a time window, are cleared on
+  // unload() along with the handlers.
+  this._timers = [];
+
   if (!baseURL || typeof baseURL != "string") {
     throw new Error("Invalid baseURL provided");
   }
-  this._firebase = new Firebase(
-    baseURL, newContext || false ? new Firebase.Context() : null
-  );
+  var scheme = baseURL.split(":")[0].toLowerCase();
+  if (!PublicPredictions.ADAPTERS.hasOwnProperty(scheme)) {
+    throw new Error("Unsupported baseURL provided");
+  }
+  this._firebase = PublicPredictions.ADAPTERS[scheme](baseURL, newContext || false);
 
   this._authHandlers = [];
   this._firebase.onAuth(self._onLoginStateChange.bind(self));
 }
-PublicPredictions.prototype = {
-  _validateCallback: function(cb, notInit) {
-    if (!cb || typeof cb != "function") {
-      throw new Error("Invalid onComplete callback provided");
-    }
-    if (!notInit) {
-      if (!this._uid || !this._firebase) {
-        throw new Error("Method called without a preceding login() call");
-      }
-    }
+
+/**
+ * The storage adapters, by the scheme of the baseURL they handle. Each takes
+ * the baseURL and whether a new context is wanted, and returns a reference to
+ * the root of the data. References must behave like Firebase references, as
+ * far as PublicPredictions and PublicPredictionsSearch use them: see
+ * publicpredictions-memory.js for the list of calls an adapter has to support.
+ */
+PublicPredictions.ADAPTERS = {
+  https: function(baseURL, newContext) {
+    return new Firebase(baseURL, newContext ? new Firebase.Context() : null);
   },
-  _validateString: function(str, name) {
-    if (!str || typeof str != "string") {
-      throw new Error("Invalid " + name + " provided");
+  memory: function(baseURL, newContext) {
+    return PublicPredictionsMemoryStore.open(baseURL, newContext);
+  }
+};
+
+/**
+ * The authentication providers PublicPredictions knows about. Each provider
+ * has a "label" to show on its sign-in button, a "login" function that
+ * authenticates with Firebase, and a "profile" function that maps the
+ * provider's auth data to the "name" and "email" of the user, which are
+ * used to fill in the people/<uid> record and the search index. A provider
+ * may be "readOnly", in which case its users can browse but not write, and
+ * may need "credentials" (an email and password) to be passed to login().
+ */
+PublicPredictions.PROVIDERS = {
+  facebook: {
+    label: "Facebook",
+    login: function(ref, credentials, onComplete) {
+      ref.authWithOAuthPopup("facebook", onComplete, {scope: "email"});
+    },
+    profile: function(authData) {
+      return {
+        name: authData.facebook.displayName,
+        email: authData.facebook.email || null
+      };
     }
   },
-  _getParameterByName: function(name) {
-    var expr = "[?&]" + name + "=([^&]*)";
-    var match = RegExp(expr).exec(window.location.search);
-    return match && decodeURIComponent(match[1].replace(/\+/g, " "));
+  google: {
+    label: "Google",
+    login: function(ref, credentials, onComplete) {
+      ref.authWithOAuthPopup("google", onComplete, {scope: "email"});
+    },
+    profile: function(authData) {
+      return {
+        name: authData.google.displayName,
+        email: authData.google.email || null
+      };
+    }
   },
-  _getPicURL: function(id, large) {
-    if (id) {
-      id = id.replace('facebook:', '');
+  github: {
+    label: "GitHub",
+    login: function(ref, credentials, onComplete) {
+      ref.authWithOAuthPopup("github", onComplete, {scope: "user:email"});
+    },
+    profile: function(authData) {
+      return {
+        name: authData.github.displayName || authData.github.username,
+        email: authData.github.email || null
+      };
     }
-    return "https://graph.facebook.com/" + (id || this._uid.replace('facebook:', '')) +
-           "/picture/?type=" + (large ? "large" : "square") +
-           "&return_ssl_resources=1";
   },
-  _onNewPredictionForFeed: function(feed, onComplete, onOverflow) {
-    var self = this;
-
-    // We listen for new children on the feed.
-    var handler = feed.on("child_added", function(snap) {
-      // When a new prediction is added, fetch the content from the master prediction
-      // list since feeds only contain references in the form of prediction IDs.
-      var predictionID = snap.name();
-      var predictionRef = self._firebase.child("predictions").child(predictionID);
-      var handler = predictionRef.on("value", function(predictionSnap) {
-        var ret = predictionSnap.val();
-        if (ret !== null) {
-          ret.pic = self._getPicURL(ret.author);
-          onComplete(predictionSnap.name(), ret);
-        }
-      });
-      self._handlers.push({
-        ref: predictionRef, handler: handler, eventType: "value"
+  password: {
+    label: "Email",
+    credentials: true,
+    login: function(ref, credentials, onComplete) {
+      ref.authWithPassword({
+        email: credentials.email, password: credentials.password
+      }, onComplete);
+    },
+    profile: function(authData) {
+      // There is no display name, so make one up from the email address,
+      // e.g. "jane.doe@example.com" becomes "Jane Doe".
+      var email = authData.password.email;
+      var name = email.split("@")[0].replace(/[._+-]+/g, " ");
+      name = name.replace(/\w\S*/g, function(word) {
+        return word.charAt(0).toUpperCase() + word.substr(1);
       });
-    });
-    self._handlers.push({
-      ref: feed, handler: handler, eventType: "child_added"
-    });
-
-    // Also listen for child_removed so we can call onOverflow appropriately.
-    handler = feed.on("child_removed", function(snap) {
-      onOverflow(snap.name());
-    });
-    self._handlers.push({
-      ref: feed, handler: handler, eventType: "child_removed"
-    });
-  },
-  _onLoginStateChange: function(user) {
-
-    var self = this;
-    if (user) {
-      // The user is successfully logged in.
-      this.onLogin(user);
-    } else {
-      // No existing session found - the user is logged out.
-      this.onLogout();
+      return {name: name, email: email};
     }
   },
-  onStateChange: function(cb) {
-    this._firebase.onAuth(cb.bind(this));
+  anonymous: {
+    label: "Browse as guest",
+    readOnly: true,
+    login: function(ref, credentials, onComplete) {
+      ref.authAnonymously(onComplete);
+    },
+    profile: function(authData) {
+      return {name: "Guest", email: null};
+    }
   }
 };
 
 /**
- * Attach a callback method to be invoked whenever the authentication state
- * of the user changes. If an error occurs during authentication, the error
- * object will be non-null. If a user is successfully authenticated, the error
- * object will be null, and the user object will be non-null. If a user is
- * simply logged-out, both the error and user objects will be null.
+ * The providers, by key of PROVIDERS, offered by this site, in order.
  */
-PublicPredictions.prototype.onLoginStateChange = function(onLoginStateChange) {
-  var self = this;
-  self._validateCallback(onLoginStateChange, true);
-  this._authHandlers.push(onLoginStateChange);
-};
+PublicPredictions.ENABLED_PROVIDERS = ["facebook", "google", "github", "password", "anonymous"];
 
 /**
- * Login a user using Firebase Simple Login, using the specified authentication
- * provider. Pass the optional 'rememberMe' argument to the FirebaseSimpleLogin
- * in order to create a long-lasting session. If the user is successfully
- * authenticated, then the previously-configured callback will be invoked with
- * a null error and a user object.
- *
- * @param    {string}    provider    The authentication provider to use.
+ * The maximum length of an uploaded picture, as a data URL, see setAvatar().
  */
-PublicPredictions.prototype.login = function(provider) {
-  this._firebase.authWithOAuthPopup(provider, this.onLogin.bind(this));
-};
+PublicPredictions.MAX_AVATAR_LENGTH = 65536;
 
 /**
- * Logout the current user. The user object may be reused after a logout, but
- * only after a successful login() has been performed. After a logout occurs,
- * the session data will be cleared and writing data will no longer be
- * permitted, as configured by security rules.
+ * The outcomes a prediction can be resolved with, see resolvePrediction().
  */
-PublicPredictions.prototype.logout = function() {
-  if (this._uid) {
-    // Set presence to offline, reset all instance variables, and return!
-    var peopleRef = this._firebase.child("people").child(this._uid);
-    peopleRef.child("presence").set("offline");
-  }
-  this._firebase.unauth();
-};
+PublicPredictions.OUTCOMES = ["right", "wrong", "void"];
 
 /**
- * On successful authentication, set up Firebase references and hang on to
- * relevant user data like id and name. Firebase Simple Login automatically
- * sessions the user using a combination of browser cookies and local storage
- * so there is no need to do any additional sessioning here.
+ * The number of paths written per update when fanning out to many feeds,
+ * see post() and follow().
  */
+PublicPredictions.FANOUT_BATCH_SIZE = 500;
 
-PublicPredictions.prototype.onLogin = function(user) {
-  var self = this;
-  if (!user) { return; }
+/**
+ * How many days before a deadline the author is reminded of it, unless they
+ * set "reminderDays" on their profile, see onUpcomingDeadlines().
+ */
+PublicPredictions.DEFAULT_REMINDER_DAYS = 3;
 
-  this._uid = user.uid;
-  this._facebookId = user.facebook.id;
+/**
+ * The maximum length of a prediction, as posted or amended, and of a comment.
+ */
+PublicPredictions.MAX_LENGTH = 141;
 
-  // adapt model to old scheme
-  var displayName = user.facebook.displayName.split(' ');
-  user.first_name = displayName[0];
-  user.last_name = displayName[displayName.length - 1];
-  user.id = user.uid;
-  user.name = user.facebook.displayName;
-  user.location = '';
-  user.bio = '';
-  user.pic = this._getPicURL(user.id, false);
+/**
+ * The fields of each prediction in an export, in the order of the CSV
+ * columns, see exportPredictions().
+ */
+PublicPredictions.EXPORT_FIELDS = [
+  "id", "content", "timestamp", "deadline", "confidence", "outcome",
+  "resolvedAt", "evidence", "imported", "retracted", "retractedAt"
+];
 
-  // Populate search index
-  var firstNameKey = [user['first_name'], user['last_name'], user['id']].join('|').toLowerCase();
-  var lastNameKey = [user['last_name'], user['first_name'], user['id']].join('|').toLowerCase();
-  this._firebase.child('search/firstName').child(firstNameKey).set(user['id']);
-  this._firebase.child('search/lastName').child(lastNameKey).set(user['id']);
+/**
+ * The maximum number of predictions read from one file, see
+ * importPredictions().
+ */
+PublicPredictions.MAX_IMPORT = 1000;
 
-  this._mainUser = self._firebase.child("users").child(this._uid);
-  this._fullName = user.name;
-  this._name = user.first_name;
+/**
+ * The kinds of answers a question can have, see createQuestion().
+ */
+PublicPredictions.QUESTION_TYPES = ["binary", "numeric", "choice"];
 
-  var peopleRef = self._firebase.child("people").child(this._uid);
-  peopleRef.once("value", function(peopleSnap) {
-    var info = {};
-    var val = peopleSnap.val();
-    if (!val) {
-      // If this is a first time login, upload user details.
-      info = {
-        name: self._name,
-        fullName: self._fullName,
-        location: "",
-        bio: "",
-        pic: self._getPicURL()
-      };
-      peopleRef.set(info);
-    } else {
-      info = val;
-    }
-    peopleRef.child("presence").set("online");
-    info.id = self._uid;
-    self._user = info;
+/**
+ * The most choices a multiple choice question can have.
+ */
+PublicPredictions.MAX_CHOICES = 10;
 
-    // Notify downstream listeners for new authenticated user state
-    for (var i = 0; i < self._authHandlers.length; i++) {
-      self._authHandlers[i](null, self._user);
-    }
-  });
-}
+/**
+ * The number of bins the range of a numeric question is split into, for the
+ * distribution of its forecasts.
+ */
+PublicPredictions.QUESTION_BINS = 10;
 
 /**
- * On logout, clean up by removing expired user session data and marking
- * the current user as offline. Firebase Simple Login automatically handles
- * user sessions, so there is no need to do any additional sessioning here.
+ * Probabilities are kept within [MIN_PROBABILITY, 1 - MIN_PROBABILITY] so that
+ * a single confident miss cannot produce an infinite log score.
  */
-PublicPredictions.prototype.onLogout = function() {
-  this._user = null;
-  this._facebookId = null;
-  this._mainUser = null;
-  this._fullName = null;
-  this._name = null;
+PublicPredictions.MIN_PROBABILITY = 0.01;
 
-  // Notify downstream listeners for new authenticated user state
-  var self = this;
-  for (var i = 0; i < this._authHandlers.length; i++) {
-    self._authHandlers[i](null, null);
-  }
+/**
+ * The Brier score of a forecast: the squared distance between the stated
+ * probability and what happened. 0 is perfect, 1 is as wrong as possible.
+ *
+ * @param    {number}    probability The stated probability the prediction
+ *                                   comes true.
+ * @param    {string}    outcome     "right" or "wrong".
+ * @return   {number}
+ */
+PublicPredictions.brierScore = function(probability, outcome) {
+  var happened = outcome == "right" ? 1 : 0;
+  return Math.pow(probability - happened, 2);
 };
 
 /**
- * Get information on a particular user, given a user ID. You do not need
- * to be authenticated to make this call. The onComplete callback will be
- * provided an object as a single argument, containing the same fields as the
- * object returned by login(), except that "pic" will point to the URL of a
- * larger image.
+ * The logarithmic score of a forecast: the natural log of the probability
+ * given to what actually happened. 0 is perfect, lower is worse.
  *
- * onComplete may be called multiple time if user information changes. Make
- * sure to update your DOM accordingly.
+ * @param    {number}    probability The stated probability the prediction
+ *                                   comes true.
+ * @param    {string}    outcome     "right" or "wrong".
+ * @return   {number}
+ */
+PublicPredictions.logScore = function(probability, outcome) {
+  return Math.log(outcome == "right" ? probability : 1 - probability);
+};
+
+/**
+ * Written in place of a timestamp, this is replaced with the time of the
+ * server that stores it, like Firebase.ServerValue.TIMESTAMP (which it is
+ * equal to; the memory backend supports it as well). Posting, resolving,
+ * revealing, amending and retracting a prediction are timed this way, so
+ * that they cannot be backdated by changing the clock of a computer; the
+ * client's time is kept alongside for comparison, see
+ * PublicPredictions.clockSkews().
+ */
+PublicPredictions.SERVER_TIMESTAMP = {".sv": "timestamp"};
+
+/**
+ * How far, in ms, the client's clock may be off from the server's before
+ * PublicPredictions.clockSkews() reports it.
+ */
+PublicPredictions.MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Compare the server and client times a prediction was posted, resolved,
+ * revealed and retracted at. Returns an array with an object for each of
+ * those whose times differ by more than MAX_CLOCK_SKEW, with the "event"
+ * ("posted", "resolved", "revealed" or "retracted") and the "skew", in ms,
+ * by which the client's clock was ahead (or behind, if negative). Events
+ * recorded before both times were kept are not compared.
  *
- * @param    {string}    user        The user to get information for.
- * @param    {Function}  onComplete  The callback to call with the user info.
+ * @param    {Object}    prediction  The prediction, as stored.
+ * @return   {Array}
  */
-PublicPredictions.prototype.getUserInfo = function(user, onComplete,
-                                          onFollower, onFollowersComplete,
-                                          onFollowee, onFolloweesComplete) {
-  var self = this;
-  self._validateCallback(onComplete, true);
+PublicPredictions.clockSkews = function(prediction) {
+  var events = [
+    ["posted", "timestamp", "clientTimestamp"],
+    ["resolved", "resolvedAt", "clientResolvedAt"],
+    ["revealed", "revealedAt", "clientRevealedAt"],
+    ["retracted", "retractedAt", "clientRetractedAt"]
+  ];
+  var skews = [];
+  for (var i = 0; i < events.length; i++) {
+    var server = prediction[events[i][1]];
+    var client = prediction[events[i][2]];
+    if (typeof server == "number" && typeof client == "number" &&
+        Math.abs(client - server) > PublicPredictions.MAX_CLOCK_SKEW) {
+      skews.push({event: events[i][0], skew: client - server});
+    }
+  }
+  return skews;
+};
 
-  var ref = self._firebase.child("people").child(user);
-  var handler = ref.on("value", function(snap) {
-    var val = snap.val();
-    val.pic = self._getPicURL(snap.name(), true);
-    val.bio = val.bio.substr(0, 141);
-    val.location = val.location.substr(0, 80);
-    onComplete(val);
-  });
-  self._handlers.push({
-    ref: ref, handler: handler, eventType: "value"
+/**
+ * Hash a string with SHA-256, as UTF-8. Calls onComplete with the hex
+ * encoded hash, or null if the browser cannot hash.
+ *
+ * @param    {string}    text        The string to hash.
+ * @param    {Function}  onComplete  The callback to call with the hash.
+ */
+PublicPredictions.sha256 = function(text, onComplete) {
+  if (!window.crypto || !window.crypto.subtle || !window.TextEncoder) {
+    onComplete(null);
+    return;
+  }
+  var data = new TextEncoder().encode(text);
+  window.crypto.subtle.digest("SHA-256", data).then(function(digest) {
+    onComplete(PublicPredictions.toHex(new Uint8Array(digest)));
+  }, function() {
+    onComplete(null);
   });
+};
 
-  var userRef = self._firebase.child('users').child(user);
-  var followerRef = userRef.child('followers');
-  var followerHandle = followerRef.on('child_added', function(snapshot) {
-    self._firebase.child('people').child(snapshot.name()).once('value', function(snap) {
-      var userInfo = snap.val();
-      userInfo['userId'] = snapshot.name();
-      if (onFollower) onFollower(userInfo);
-    });
-  });
-  self._handlers.push({
-    ref: followerRef, handle: followerHandle, eventType: 'child_added'
-  });
-  followerRef.once('value', function(snap) {
-    if (onFollowersComplete) onFollowersComplete();
-  });
+/**
+ * Encode bytes as a lowercase hex string, two digits per byte.
+ *
+ * @param    {Uint8Array} bytes      The bytes to encode.
+ * @return   {string}
+ */
+PublicPredictions.toHex = function(bytes) {
+  var hex = "";
+  for (var i = 0; i < bytes.length; i++) {
+    hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+  }
+  return hex;
+};
 
-  var followeeRef = userRef.child('following');
-  var followeeHandle = followeeRef.on('child_added', function(snapshot) {
-    self._firebase.child('people').child(snapshot.name()).once('value', function(snap) {
-      var userInfo = snap.val();
-      userInfo['userId'] = snapshot.name();
-      if (onFollowee) onFollowee(userInfo);
-    });
-  });
-  self._handlers.push({
-    ref: followeeRef, handle: followeeHandle, eventType: 'child_added'
-  });
-  followeeRef.once('value', function(snap) {
-    if (onFolloweesComplete) onFolloweesComplete();
-  });
+/**
+ * The commitment a sealed prediction is posted with: the hex encoded SHA-256
+ * hash of the salt, a colon and the content. Calls onComplete with the hash,
+ * or null if the browser cannot hash. Anyone can check a revealed prediction
+ * by hashing its content and salt again, see revealPrediction().
+ *
+ * @param    {string}    content     The content of the prediction.
+ * @param    {string}    salt        The salt it was sealed with.
+ * @param    {Function}  onComplete  The callback to call with the hash.
+ */
+PublicPredictions.commitment = function(content, salt, onComplete) {
+  PublicPredictions.sha256(salt + ":" + content, onComplete);
+};
+
+/**
+ * A new random salt to seal a prediction with, so its content cannot be
+ * guessed from the commitment. Returns null if the browser has no secure
+ * random numbers.
+ *
+ * @return   {string}
+ */
+PublicPredictions.newSalt = function() {
+  if (!window.crypto || !window.crypto.getRandomValues) {
+    return null;
+  }
+  var bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return PublicPredictions.toHex(bytes);
 };
 
+/**
+ * Whether a prediction is sealed, i.e. was posted with a reveal date (see
+ * post()) and has not been revealed yet, so that its content is unknown.
+ *
+ * @param    {Object}    prediction  The prediction, as stored.
+ * @return   {boolean}
+ */
+PublicPredictions.isSealed = function(prediction) {
+  return !!prediction.sealed && !prediction.revealedAt;
+};
 
-PublicPredictions.prototype.startSearch = function(resultsHandler) {
-  this._searchHandler = resultsHandler;
+/**
+ * The history of a prediction: the text as posted, then its reveal if it was
+ * sealed, each amendment and the retraction, if any, oldest first. Each entry
+ * has a "type" ("post", "reveal", "amend" or "retract") and a "timestamp";
+ * posts and amendments have the "content", retractions the "reason" given,
+ * if any. The current text of a prediction is that of the last entry with a
+ * "content".
+ *
+ * @param    {Object}    prediction  The prediction, as stored.
+ * @return   {Array}
+ */
+PublicPredictions.revisionHistory = function(prediction) {
+  var history = [{
+    type: "post", content: prediction.content, timestamp: prediction.timestamp
+  }];
+  // A sealed prediction may be retracted before it is revealed, so the reveal
+  // goes wherever its timestamp puts it.
+  var reveal = prediction.revealedAt ? {type: "reveal", timestamp: prediction.revealedAt} : null;
+  // Revisions are pushed, so their keys sort chronologically.
+  var keys = Object.keys(prediction.revisions || {}).sort();
+  for (var i = 0; i < keys.length; i++) {
+    var revision = prediction.revisions[keys[i]];
+    var entry = {type: revision.type, timestamp: revision.timestamp};
+    if (revision.type == "amend") {
+      entry.content = revision.content;
+    } else if (revision.reason) {
+      entry.reason = revision.reason;
+    }
+    if (reveal && entry.timestamp > reveal.timestamp) {
+      history.push(reveal);
+      reveal = null;
+    }
+    history.push(entry);
+  }
+  if (reveal) {
+    history.push(reveal);
+  }
+  return history;
 };
 
-PublicPredictions.prototype.updateSearchTerm = function(term) {
-  var isValidStem = function(stem) {
-    var invalid = ['.', '#', '$', '/', '[', ']'];
-    for (var i = 0; i < invalid.length; ++i) {
-      if (stem.indexOf([invalid[i]]) !== -1) {
-        return false;
+PublicPredictions.prototype = {
+  _validateCallback: function(cb, notInit) {
+    if (!cb || typeof cb != "function") {
+      throw new Error("Invalid onComplete callback provided");
+    }
+    if (!notInit) {
+      if (!this._uid || !this._firebase) {
+        throw new Error("Method called without a preceding login() call");
+      }
+    }
+  },
+  _validateWritable: function() {
+    if (this._readOnly) {
+      throw new Error("Method called in a read-only session");
+    }
+  },
+  _notifyAuthHandlers: function(err, user) {
+    for (var i = 0; i < this._authHandlers.length; i++) {
+      this._authHandlers[i](err, user);
+    }
+  },
+  _validateString: function(str, name) {
+    if (!str || typeof str != "string") {
+      throw new Error("Invalid " + name + " provided");
+    }
+  },
+  _validateTopic: function(topic) {
+    // Topics are stored without their "#", in lower case.
+    topic = typeof topic == "string" ? topic.replace(/^#/, "").toLowerCase() : "";
+    if (!/^\w+$/.test(topic)) {
+      throw new Error("Invalid topic provided");
+    }
+    return topic;
+  },
+  _validateDeadline: function(deadline) {
+    if (typeof deadline != "number" || isNaN(deadline) ||
+        deadline <= new Date().getTime()) {
+      throw new Error("Invalid deadline provided");
+    }
+  },
+  _validateProbability: function(probability, name) {
+    if (typeof probability != "number" || isNaN(probability) ||
+        probability < PublicPredictions.MIN_PROBABILITY ||
+        probability > 1 - PublicPredictions.MIN_PROBABILITY) {
+      throw new Error("Invalid " + name + " provided");
+    }
+  },
+  _extractTopics: function(content) {
+    var topics = [];
+    var re = /(^|\s)#(\w+)/g;
+    var match;
+    while ((match = re.exec(content)) !== null) {
+      var topic = match[2].toLowerCase();
+      if (topics.indexOf(topic) < 0) {
+        topics.push(topic);
+      }
+    }
+    return topics;
+  },
+  _recordScore: function(uid, predictionId, prediction, probability, outcome) {
+    // Void predictions, and predictions without a stated probability, are
+    // not scored at all.
+    if (outcome == "void" || !probability) {
+      return;
+    }
+    var brier = PublicPredictions.brierScore(probability, outcome);
+    var log = PublicPredictions.logScore(probability, outcome);
+
+    // Every scored forecast also goes into the user's ledger, and into lists
+    // of all scored forecasts, and of those on each topic, that the
+    // leaderboard queries by the time they were resolved.
+    var entry = {
+      kind: uid == prediction.author ? "prediction" : "forecast",
+      probability: probability,
+      outcome: outcome,
+      brier: brier,
+      log: log,
+      resolvedAt: PublicPredictions.SERVER_TIMESTAMP
+    };
+    var topics = this._extractTopics(prediction.content);
+    if (topics.length) {
+      entry.topics = {};
+      for (var i = 0; i < topics.length; i++) {
+        entry.topics[topics[i]] = true;
+      }
+    }
+    var updates = {};
+    updates["ledger/" + uid + "/" + predictionId] = entry;
+    var indexed = {user: uid};
+    for (var field in entry) {
+      indexed[field] = entry[field];
+    }
+    var key = uid + "|" + predictionId;
+    updates["ledger-by-time/" + key] = indexed;
+    for (i = 0; i < topics.length; i++) {
+      updates["ledger-by-topic/" + topics[i] + "/" + key] = indexed;
+    }
+    this._firebase.update(updates);
+
+    // Keep running totals so that concurrent resolutions don't clobber each
+    // other; getUserInfo() turns them into averages. The same totals are
+    // kept apart from the profiles, where onLeaderboard() can read them
+    // without reading the whole ledger.
+    var addScore = function(scores) {
+      scores = scores || {count: 0, brierTotal: 0, logTotal: 0};
+      scores.count += 1;
+      scores.brierTotal += brier;
+      scores.logTotal += log;
+      return scores;
+    };
+    this._firebase.child("people").child(uid).child("scores").transaction(addScore);
+    this._firebase.child("scores").child(uid).transaction(addScore);
+  },
+  _summarizeForecasts: function(forecasts) {
+    var probabilities = [];
+    for (var uid in forecasts) {
+      if (forecasts.hasOwnProperty(uid)) {
+        probabilities.push(forecasts[uid].probability);
+      }
+    }
+    var summary = {count: probabilities.length, mean: null, median: null};
+    if (!probabilities.length) {
+      return summary;
+    }
+
+    probabilities.sort(function(a, b) { return a - b; });
+    var total = 0;
+    for (var i = 0; i < probabilities.length; i++) {
+      total += probabilities[i];
+    }
+    var middle = Math.floor(probabilities.length / 2);
+    summary.mean = total / probabilities.length;
+    summary.median = probabilities.length % 2 ?
+      probabilities[middle] :
+      (probabilities[middle - 1] + probabilities[middle]) / 2;
+    return summary;
+  },
+  _toArray: function(value) {
+    // Firebase gives arrays back as arrays, other backends may give them back
+    // as objects keyed "0", "1", ...
+    var list = [];
+    for (var i = 0; value && value[i] !== undefined; i++) {
+      list.push(value[i]);
+    }
+    return list;
+  },
+  _questionValue: function(question, value) {
+    // Check a forecast on a question against its type, and return it as it
+    // is stored, or null if it is not valid.
+    var isNumber = function(n) {
+      return typeof n == "number" && isFinite(n);
+    };
+    if (question.type == "binary") {
+      return isNumber(value) && value >= PublicPredictions.MIN_PROBABILITY &&
+        value <= 1 - PublicPredictions.MIN_PROBABILITY ? value : null;
+    }
+    if (question.type == "numeric") {
+      return isNumber(value) && value >= question.min && value <= question.max ? value : null;
+    }
+    // Multiple choice forecasts give each choice a probability, adding up to 1.
+    var probabilities = this._toArray(value);
+    if (probabilities.length != question.choices.length) {
+      return null;
+    }
+    var total = 0;
+    for (var i = 0; i < probabilities.length; i++) {
+      if (!isNumber(probabilities[i]) || probabilities[i] < 0 || probabilities[i] > 1) {
+        return null;
+      }
+      total += probabilities[i];
+    }
+    return Math.abs(total - 1) <= 0.01 ? probabilities : null;
+  },
+  _questionOutcome: function(question, outcome) {
+    // Check the answer to a question against its type, as for _questionValue().
+    if (outcome == "void") {
+      return outcome;
+    }
+    if (question.type == "binary") {
+      return outcome == "yes" || outcome == "no" ? outcome : null;
+    }
+    if (question.type == "numeric") {
+      return typeof outcome == "number" && isFinite(outcome) ? outcome : null;
+    }
+    return typeof outcome == "number" && outcome % 1 === 0 && outcome >= 0 &&
+      outcome < question.choices.length ? outcome : null;
+  },
+  _readQuestion: function(snap) {
+    var question = snap.val();
+    if (question && question.type == "choice") {
+      question.choices = this._toArray(question.choices);
+    }
+    return question;
+  },
+  _questionTally: function(question) {
+    // Keep a running summary of the latest forecast of each user on a
+    // question, see onQuestionForecasts(). Each forecast added updates the
+    // totals, replacing the user's previous forecast, instead of summarizing
+    // all the forecasts again.
+    var forecasts = {};
+    var count = 0;
+    var total = 0;
+    // The forecasts of binary and numeric questions, kept sorted for the
+    // median; the mean and median of probabilities, or of numbers, are
+    // worked out the same way.
+    var sorted = [];
+    var bins = [];
+    var width = (question.max - question.min) / PublicPredictions.QUESTION_BINS;
+    var totals = [];
+    for (var i = 0; i < PublicPredictions.QUESTION_BINS; i++) {
+      bins.push(0);
+    }
+    for (i = 0; question.type == "choice" && i < question.choices.length; i++) {
+      totals.push(0);
+    }
+
+    var position = function(value) {
+      // The index of the first forecast in sorted that is not below value.
+      var low = 0;
+      var high = sorted.length;
+      while (low < high) {
+        var middle = Math.floor((low + high) / 2);
+        if (sorted[middle] < value) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      return low;
+    };
+    var bin = function(value) {
+      return Math.min(PublicPredictions.QUESTION_BINS - 1,
+                      Math.floor((value - question.min) / width));
+    };
+    var tally = function(value, sign) {
+      if (question.type == "choice") {
+        for (var i = 0; i < totals.length; i++) {
+          totals[i] += sign * value[i];
+        }
+        return;
+      }
+      total += sign * value;
+      if (sign > 0) {
+        sorted.splice(position(value), 0, value);
+      } else {
+        sorted.splice(position(value), 1);
+      }
+      if (question.type == "numeric") {
+        bins[bin(value)] += sign;
+      }
+    };
+
+    return {
+      forecasts: forecasts,
+      add: function(uid, value) {
+        if (forecasts.hasOwnProperty(uid)) {
+          tally(forecasts[uid], -1);
+        } else {
+          count++;
+        }
+        forecasts[uid] = value;
+        tally(value, 1);
+      },
+      summary: function() {
+        if (question.type == "choice") {
+          return {count: count, choices: totals.map(function(choiceTotal) {
+            return count ? choiceTotal / count : null;
+          })};
+        }
+        var summary = {count: count, mean: null, median: null};
+        if (count) {
+          var middle = Math.floor(count / 2);
+          summary.mean = total / count;
+          summary.median = count % 2 ? sorted[middle] :
+            (sorted[middle - 1] + sorted[middle]) / 2;
+        }
+        if (question.type == "numeric") {
+          summary.bins = bins.slice();
+        }
+        return summary;
+      }
+    };
+  },
+  _calibrationBins: function(predictions) {
+    // Ten bins of stated confidence: [0%, 10%), [10%, 20%), ... [90%, 100%].
+    var bins = [];
+    for (var i = 0; i < 10; i++) {
+      bins.push({from: i / 10, to: (i + 1) / 10, count: 0, hits: 0,
+                 confidence: null, hitRate: null});
+    }
+    for (i = 0; i < predictions.length; i++) {
+      var prediction = predictions[i];
+      if (!prediction.confidence ||
+          (prediction.outcome != "right" && prediction.outcome != "wrong")) {
+        continue;
+      }
+      var bin = bins[Math.min(9, Math.floor(prediction.confidence * 10))];
+      bin.confidence = ((bin.confidence || 0) * bin.count + prediction.confidence) /
+                       (bin.count + 1);
+      bin.count++;
+      if (prediction.outcome == "right") {
+        bin.hits++;
+      }
+    }
+    for (i = 0; i < bins.length; i++) {
+      if (bins[i].count) {
+        bins[i].hitRate = bins[i].hits / bins[i].count;
+      }
+    }
+    return bins;
+  },
+  _batchedUpdate: function(updates, onComplete) {
+    // Split a multi-path update into batches of FANOUT_BATCH_SIZE paths and
+    // write them one after the other. Each batch is atomic on its own; the
+    // paths of any batch that failed are passed to onComplete.
+    var self = this;
+    var paths = [];
+    for (var path in updates) {
+      if (updates.hasOwnProperty(path)) {
+        paths.push(path);
+      }
+    }
+
+    var failedPaths = [];
+    var next = function(start) {
+      if (start >= paths.length) {
+        onComplete(failedPaths);
+        return;
+      }
+      var batchPaths = paths.slice(start, start + PublicPredictions.FANOUT_BATCH_SIZE);
+      var batch = {};
+      for (var i = 0; i < batchPaths.length; i++) {
+        batch[batchPaths[i]] = updates[batchPaths[i]];
+      }
+      self._firebase.update(batch, function(err) {
+        if (err) {
+          failedPaths = failedPaths.concat(batchPaths);
+        }
+        next(start + PublicPredictions.FANOUT_BATCH_SIZE);
+      });
+    };
+    next(0);
+  },
+  _addDelivery: function(updates, uid, id) {
+    // Put a prediction in a user's feed, and record that it was delivered
+    // there, so that deletePrediction() finds every feed it went to, even
+    // those of users who unfollowed since. The two paths are added next to
+    // each other and FANOUT_BATCH_SIZE is even, so _batchedUpdate() always
+    // writes them in the same batch; failed paths come in pairs.
+    updates["users/" + uid + "/feed/" + id] = true;
+    updates["deliveries/" + id + "/" + uid] = true;
+  },
+  _getRecipients: function(topics, onComplete) {
+    // Everyone whose feed a new prediction of the current user goes to: the
+    // user's followers, and the followers of any of the prediction's topics.
+    var self = this;
+    var recipients = {};
+    var refs = [self._mainUser.child("followers")];
+    for (var i = 0; i < topics.length; i++) {
+      refs.push(self._firebase.child("topic-followers").child(topics[i]));
+    }
+    var pending = refs.length;
+    for (i = 0; i < refs.length; i++) {
+      refs[i].once("value", function(listSnap) {
+        listSnap.forEach(function(follower) {
+          if (follower.val()) {
+            recipients[follower.key()] = true;
+          }
+        });
+        if (--pending === 0) {
+          onComplete(recipients);
+        }
+      });
+    }
+  },
+  _pruneFeed: function(predictionIds, onComplete) {
+    // Remove predictions from the current user's feed, except for those that
+    // still belong there: our own, and those by a user or on a topic we
+    // (still) follow.
+    var self = this;
+    var following = null;
+    var followedTopics = null;
+
+    var prune = function() {
+      var removals = {};
+      var pending = predictionIds.length;
+      var done = function() {
+        self._batchedUpdate(removals, onComplete);
+      };
+      if (!pending) {
+        done();
+        return;
+      }
+      for (var i = 0; i < predictionIds.length; i++) {
+        self._firebase.child("predictions").child(predictionIds[i]).once("value", function(snap) {
+          var prediction = snap.val();
+          var keep = prediction &&
+            (prediction.author == self._uid || following[prediction.author]);
+          for (var topic in (prediction && prediction.topics) || {}) {
+            keep = keep || followedTopics[topic];
+          }
+          if (!keep) {
+            removals["users/" + self._uid + "/feed/" + snap.key()] = null;
+          }
+          if (--pending === 0) {
+            done();
+          }
+        });
+      }
+    };
+
+    self._mainUser.child("following").once("value", function(snap) {
+      following = snap.val() || {};
+      if (followedTopics) {
+        prune();
+      }
+    });
+    self._mainUser.child("topics").once("value", function(snap) {
+      followedTopics = snap.val() || {};
+      if (following) {
+        prune();
+      }
+    });
+  },
+  _addRevision: function(id, revision, fields, onComplete) {
+    // Append a revision to a prediction of the current user, along with the
+    // given fields, and call onComplete with (err, prediction as it was).
+    // The text as posted is never written to.
+    var self = this;
+    var predictionRef = self._firebase.child("predictions").child(id);
+    predictionRef.once("value", function(snap) {
+      var prediction = snap.val();
+      if (!prediction || prediction.author != self._uid) {
+        onComplete(new Error("Only the author can revise a prediction"), null);
+        return;
+      }
+      if (prediction.outcome) {
+        onComplete(new Error("Prediction has already been resolved"), null);
+        return;
+      }
+      if (prediction.retracted) {
+        onComplete(new Error("Prediction has already been retracted"), null);
+        return;
+      }
+      // Amending a sealed prediction would give its content away.
+      if (revision.type == "amend" && PublicPredictions.isSealed(prediction)) {
+        onComplete(new Error("Prediction must be revealed before it is amended"), null);
+        return;
+      }
+
+      revision.timestamp = PublicPredictions.SERVER_TIMESTAMP;
+      revision.clientTimestamp = new Date().getTime();
+      var path = "predictions/" + id + "/";
+      var update = {};
+      update[path + "revisions/" + predictionRef.child("revisions").push().key()] = revision;
+      for (var key in fields) {
+        update[path + key] = fields[key];
+      }
+      // The content search index has the words of the latest text.
+      if (revision.type == "amend") {
+        var tokens = PublicPredictionsSearch.tokenize(self._currentContent(prediction));
+        for (var i = 0; i < tokens.length; i++) {
+          update["search/tokens/" + tokens[i] + "/" + id] = null;
+        }
+        tokens = PublicPredictionsSearch.tokenize(revision.content);
+        for (i = 0; i < tokens.length; i++) {
+          update["search/tokens/" + tokens[i] + "/" + id] = true;
+        }
+      }
+      self._firebase.update(update, function(err) {
+        if (err) {
+          onComplete(new Error("Could not revise prediction"), null);
+          return;
+        }
+        onComplete(false, prediction);
+      });
+    });
+  },
+  _currentContent: function(prediction) {
+    // The text of a prediction as of its latest amendment.
+    var content = prediction.content;
+    var history = PublicPredictions.revisionHistory(prediction);
+    for (var i = 0; i < history.length; i++) {
+      if (history[i].type == "amend") {
+        content = history[i].content;
+      }
+    }
+    return content;
+  },
+  _notify: function(uid, type, fields) {
+    // Write a notification into a user's notifications stream, on behalf of
+    // the current user. Nobody is notified of their own actions.
+    if (!uid || uid == this._uid) {
+      return;
+    }
+    var notification = {
+      type: type,
+      from: this._uid,
+      fromName: this._fullName,
+      timestamp: new Date().getTime(),
+      read: false
+    };
+    for (var key in fields || {}) {
+      notification[key] = fields[key];
+    }
+    this._firebase.child("notifications").child(uid).push(notification);
+  },
+  _extractMentions: function(content) {
+    // Users are mentioned by their first and last name, joined with a dot
+    // ("@jane.doe"), or by their user ID ("@facebook:1234"); see
+    // _resolveMentions() for who a mention is.
+    var mentions = [];
+    var re = /(^|\s)@([\w'-]+\.[\w'-]+|[\w-]+:[\w-]+)/g;
+    var match;
+    while ((match = re.exec(content)) !== null) {
+      var handle = match[2].indexOf(":") < 0 ? match[2].toLowerCase() : match[2];
+      if (mentions.indexOf(handle) < 0) {
+        mentions.push(handle);
+      }
+    }
+    return mentions;
+  },
+  _resolveMentions: function(content, onComplete) {
+    // Look up who each mention in the content is, through the people search
+    // index, and call onComplete with an object mapping the user IDs of the
+    // mentioned users to their handle, or null if nobody is. A name that
+    // more than one user has is left unresolved; those users can still be
+    // mentioned by ID.
+    var self = this;
+    var handles = self._extractMentions(content);
+    var mentions = {};
+    var found = false;
+    var pending = handles.length + 1;
+    var done = function() {
+      if (--pending === 0) {
+        onComplete(found ? mentions : null);
+      }
+    };
+    var lookUp = function(handle) {
+      var parts = handle.split(".");
+      var prefix = parts[0] + "|" + parts[1] + "|";
+      self._firebase.child("search/firstName").orderByKey().startAt(prefix).
+        endAt(prefix + "\uf8ff").once("value", function(snap) {
+          var uids = [];
+          snap.forEach(function(entry) {
+            if (uids.indexOf(entry.val()) < 0) {
+              uids.push(entry.val());
+            }
+          });
+          if (uids.length == 1) {
+            mentions[uids[0]] = handle;
+            found = true;
+          }
+          done();
+        });
+    };
+    for (var i = 0; i < handles.length; i++) {
+      if (handles[i].indexOf(":") < 0) {
+        lookUp(handles[i]);
+      } else {
+        mentions[handles[i]] = handles[i];
+        found = true;
+        done();
+      }
+    }
+    done();
+  },
+  _predictionsByDeadline: function(predictions, filter) {
+    // List the unresolved predictions with a deadline that pass the filter,
+    // soonest deadline first.
+    var list = [];
+    for (var id in predictions) {
+      var prediction = predictions[id];
+      if (predictions.hasOwnProperty(id) && prediction.deadline &&
+          !prediction.outcome && filter(prediction)) {
+        prediction.predictionId = id;
+        list.push(prediction);
+      }
+    }
+    list.sort(function(a, b) { return a.deadline - b.deadline; });
+    return list;
+  },
+  _getUserPredictions: function(uid, onComplete) {
+    // Fetch every prediction of a user, and report them, oldest first, as
+    // an array of {id, prediction}.
+    var self = this;
+    self._firebase.child("users").child(uid).child("predictions").once("value", function(listSnap) {
+      var ids = [];
+      listSnap.forEach(function(snap) {
+        ids.push(snap.key());
+      });
+
+      var predictions = {};
+      var pending = ids.length;
+      var done = function() {
+        var list = [];
+        for (var i = 0; i < ids.length; i++) {
+          if (predictions[ids[i]]) {
+            list.push({id: ids[i], prediction: predictions[ids[i]]});
+          }
+        }
+        list.sort(function(a, b) {
+          return (a.prediction.timestamp || 0) - (b.prediction.timestamp || 0);
+        });
+        onComplete(list);
+      };
+      if (!pending) {
+        done();
+        return;
+      }
+      for (var i = 0; i < ids.length; i++) {
+        self._firebase.child("predictions").child(ids[i]).once("value", function(snap) {
+          predictions[snap.key()] = snap.val();
+          if (--pending === 0) {
+            done();
+          }
+        });
+      }
+    });
+  },
+  _toCSV: function(rows) {
+    // Quote fields when needed, doubling any quotes in them (RFC 4180).
+    var lines = [];
+    for (var i = 0; i < rows.length; i++) {
+      var fields = [];
+      for (var j = 0; j < rows[i].length; j++) {
+        var field = rows[i][j] === null || rows[i][j] === undefined ? "" : String(rows[i][j]);
+        if (/[",\r\n]/.test(field)) {
+          field = '"' + field.replace(/"/g, '""') + '"';
+        }
+        fields.push(field);
+      }
+      lines.push(fields.join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  },
+  _parseCSV: function(text) {
+    // Parse CSV into an array of rows of fields. Quoted fields may contain
+    // commas, doubled quotes and line breaks. Blank lines are skipped.
+    var rows = [];
+    var row = [];
+    var field = "";
+    var quoted = false;
+    var i = 0;
+    var endRow = function() {
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") {
+        rows.push(row);
+      }
+      row = [];
+      field = "";
+    };
+    while (i < text.length) {
+      var c = text.charAt(i);
+      if (quoted) {
+        if (c == '"' && text.charAt(i + 1) == '"') {
+          field += '"';
+          i++;
+        } else if (c == '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c == '"') {
+        quoted = true;
+      } else if (c == ",") {
+        row.push(field);
+        field = "";
+      } else if (c == "\r" || c == "\n") {
+        if (c == "\r" && text.charAt(i + 1) == "\n") {
+          i++;
+        }
+        endRow();
+      } else {
+        field += c;
+      }
+      i++;
+    }
+    if (quoted) {
+      throw new Error("Unterminated quoted field");
+    }
+    if (field !== "" || row.length) {
+      endRow();
+    }
+    return rows;
+  },
+  _parseDate: function(value) {
+    // Accept milliseconds since the epoch, or anything Date can parse, such
+    // as the ISO 8601 dates of an export. Returns NaN for invalid dates.
+    if (typeof value == "number") {
+      return value;
+    }
+    if (typeof value != "string" || !value) {
+      return NaN;
+    }
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+    return Date.parse(value);
+  },
+  _importedPrediction: function(row) {
+    // Turn an imported row into a prediction, or return null if it is not
+    // valid. Imports only ever describe the past, so the original date is
+    // required, and so is the content.
+    var self = this;
+    var empty = function(value) {
+      return value === undefined || value === null || value === "";
+    };
+    var content = typeof row.content == "string" ? row.content.replace(/^\s+|\s+$/g, "") : "";
+    var timestamp = self._parseDate(row.timestamp);
+    var now = new Date().getTime();
+    if (!content || content.length > PublicPredictions.MAX_LENGTH ||
+        isNaN(timestamp) || timestamp > now) {
+      return null;
+    }
+    var prediction = {
+      author: self._uid,
+      by: self._fullName,
+      content: content,
+      timestamp: timestamp,
+      imported: true,
+      importedAt: now
+    };
+
+    if (!empty(row.deadline)) {
+      prediction.deadline = self._parseDate(row.deadline);
+      if (isNaN(prediction.deadline)) {
+        return null;
+      }
+    }
+    if (!empty(row.confidence)) {
+      // Also accept percentages, as people tend to write them.
+      var confidence = parseFloat(row.confidence);
+      if (confidence > 1) {
+        confidence /= 100;
+      }
+      try {
+        self._validateProbability(confidence, "confidence");
+      } catch (e) {
+        return null;
+      }
+      prediction.confidence = confidence;
+    }
+    if (!empty(row.outcome)) {
+      prediction.outcome = String(row.outcome).toLowerCase();
+      prediction.resolvedAt = empty(row.resolvedAt) ? timestamp : self._parseDate(row.resolvedAt);
+      if (PublicPredictions.OUTCOMES.indexOf(prediction.outcome) < 0 ||
+          isNaN(prediction.resolvedAt)) {
+        return null;
+      }
+    }
+    if (!empty(row.evidence)) {
+      if (!/^https?:\/\//i.test(row.evidence)) {
+        return null;
+      }
+      prediction.evidence = row.evidence;
+    }
+    if (row.retracted === true || String(row.retracted).toLowerCase() == "true") {
+      prediction.retracted = true;
+      prediction.retractedAt = empty(row.retractedAt) ? timestamp : self._parseDate(row.retractedAt);
+      if (isNaN(prediction.retractedAt)) {
+        return null;
+      }
+    }
+    var topics = self._extractTopics(content);
+    if (topics.length) {
+      prediction.topics = {};
+      for (var i = 0; i < topics.length; i++) {
+        prediction.topics[topics[i]] = true;
+      }
+    }
+    return prediction;
+  },
+  _partialError: function(message, failedPaths) {
+    var err = new Error(message);
+    err.partial = true;
+    err.failedPaths = failedPaths;
+    return err;
+  },
+  _getParameterByName: function(name) {
+    var expr = "[?&]" + name + "=([^&]*)";
+    var match = RegExp(expr).exec(window.location.search);
+    return match && decodeURIComponent(match[1].replace(/\+/g, " "));
+  },
+  _resolvePic: function(uid, name, large, onComplete) {
+    // Pictures depend on the avatar record of the user's profile, which we
+    // fetch once per user and keep, see PublicPredictionsAvatar.
+    var self = this;
+    var done = function() {
+      onComplete(PublicPredictionsAvatar.resolve(self._avatars[uid], name, large));
+    };
+    if (self._avatars.hasOwnProperty(uid)) {
+      done();
+      return;
+    }
+    self._firebase.child("people").child(uid).child("avatar").once("value", function(snap) {
+      self._avatars[uid] = snap.val() || {};
+      done();
+    });
+  },
+  _withPics: function(resultsHandler) {
+    // Wrap a people search results handler so that each result gets a "pic".
+    // Only the latest results are reported, should older ones resolve later.
+    var self = this;
+    var generation = 0;
+    return function(results) {
+      var current = ++generation;
+      var pending = results.length;
+      if (!pending) {
+        resultsHandler(results);
+        return;
+      }
+      var report = function(result) {
+        return function(pic) {
+          result.pic = pic;
+          if (--pending === 0 && current == generation) {
+            resultsHandler(results);
+          }
+        };
+      };
+      for (var i = 0; i < results.length; i++) {
+        self._resolvePic(results[i].userId, results[i].name, false, report(results[i]));
+      }
+    };
+  },
+  _onNewPredictionForFeed: function(feed, onComplete, onOverflow) {
+    var self = this;
+    var predictionHandlers = {};
+
+    // We listen for new children on the feed.
+    var handler = feed.on("child_added", function(snap) {
+      // When a new prediction is added, fetch the content from the master prediction
+      // list since feeds only contain references in the form of prediction IDs.
+      var predictionID = snap.key();
+      var predictionRef = self._firebase.child("predictions").child(predictionID);
+      var handler = predictionRef.on("value", function(predictionSnap) {
+        var ret = predictionSnap.val();
+        if (ret !== null) {
+          self._resolvePic(ret.author, ret.by, false, function(pic) {
+            ret.pic = pic;
+            onComplete(predictionSnap.key(), ret);
+          });
+        }
+      });
+      predictionHandlers[predictionID] = handler;
+      self._handlers.push({
+        ref: predictionRef, handler: handler, eventType: "value"
+      });
+    });
+    self._handlers.push({
+      ref: feed, handler: handler, eventType: "child_added"
+    });
+
+    // Also listen for child_removed so we can call onOverflow appropriately.
+    // A child is removed either because it was pushed out of the
+    // limitToLast() window by a newer one, or because it was really removed
+    // from the feed; we tell the two apart so that paged lists can keep the
+    // former.
+    handler = feed.on("child_removed", function(snap) {
+      var predictionID = snap.key();
+      if (predictionHandlers[predictionID]) {
+        self._firebase.child("predictions").child(predictionID).off(
+          "value", predictionHandlers[predictionID]
+        );
+        delete predictionHandlers[predictionID];
+      }
+      feed.ref().child(predictionID).once("value", function(feedSnap) {
+        onOverflow(predictionID, feedSnap.val() === null);
+      });
+    });
+    self._handlers.push({
+      ref: feed, handler: handler, eventType: "child_removed"
+    });
+  },
+  _onOwnPredictions: function(onChange) {
+    // Keep an up to date map of the current user's predictions, by ID, and
+    // report the whole map whenever one of them is added, changed or removed.
+    var self = this;
+    var predictions = {};
+    var predictionHandlers = {};
+
+    var list = self._mainUser.child("predictions");
+    var handler = list.on("child_added", function(snap) {
+      var predictionID = snap.key();
+      var predictionRef = self._firebase.child("predictions").child(predictionID);
+      var handler = predictionRef.on("value", function(predictionSnap) {
+        if (predictionSnap.val() === null) {
+          delete predictions[predictionID];
+        } else {
+          predictions[predictionID] = predictionSnap.val();
+        }
+        onChange(predictions);
+      });
+      predictionHandlers[predictionID] = handler;
+      self._handlers.push({
+        ref: predictionRef, handler: handler, eventType: "value"
+      });
+    });
+    self._handlers.push({
+      ref: list, handler: handler, eventType: "child_added"
+    });
+
+    handler = list.on("child_removed", function(snap) {
+      var predictionID = snap.key();
+      self._firebase.child("predictions").child(predictionID).off(
+        "value", predictionHandlers[predictionID]
+      );
+      delete predictionHandlers[predictionID];
+      delete predictions[predictionID];
+      onChange(predictions);
+    });
+    self._handlers.push({
+      ref: list, handler: handler, eventType: "child_removed"
+    });
+  },
+  _getOlderPredictionsForFeed: function(feed, beforeId, count, onComplete, onDone) {
+    var self = this;
+
+    // Feeds are keyed by push IDs, which sort chronologically, so the page
+    // before a cursor is simply the last few keys that sort before it. We ask
+    // for one more than needed (plus the cursor itself, since endAt() is
+    // inclusive) to know whether there is another page after this one.
+    var query = feed.orderByKey().limitToLast(count + 1);
+    if (beforeId) {
+      query = feed.orderByKey().endAt(beforeId).limitToLast(count + 2);
+    }
+    query.once("value", function(pageSnap) {
+      var ids = [];
+      pageSnap.forEach(function(snap) {
+        if (snap.key() != beforeId) {
+          ids.push(snap.key());
+        }
+      });
+      var hasMore = ids.length > count;
+      ids = ids.slice(-count).reverse();
+
+      // Fetch all predictions of the page before reporting any of them, so
+      // that they are reported newest first.
+      var predictions = {};
+      var pending = ids.length;
+      var done = function() {
+        for (var i = 0; i < ids.length; i++) {
+          if (predictions[ids[i]]) {
+            onComplete(ids[i], predictions[ids[i]]);
+          }
+        }
+        onDone(ids.length ? ids[ids.length - 1] : beforeId, hasMore);
+      };
+      if (!pending) {
+        done();
+        return;
+      }
+      for (var i = 0; i < ids.length; i++) {
+        self._firebase.child("predictions").child(ids[i]).once("value", function(predictionSnap) {
+          var ret = predictionSnap.val();
+          var finish = function() {
+            if (--pending === 0) {
+              done();
+            }
+          };
+          if (ret === null) {
+            finish();
+            return;
+          }
+          self._resolvePic(ret.author, ret.by, false, function(pic) {
+            ret.pic = pic;
+            predictions[predictionSnap.key()] = ret;
+            finish();
+          });
+        });
+      }
+    });
+  },
+  _onLoginStateChange: function(user) {
+
+    var self = this;
+    if (user) {
+      // The user is successfully logged in.
+      this.onLogin(user);
+    } else {
+      // No existing session found - the user is logged out.
+      this.onLogout();
+    }
+  },
+  onStateChange: function(cb) {
+    this._firebase.onAuth(cb.bind(this));
+  }
+};
+
+/**
+ * Attach a callback method to be invoked whenever the authentication state
+ * of the user changes. If an error occurs during authentication, the error
+ * object will be non-null. If a user is successfully authenticated, the error
+ * object will be null, and the user object will be non-null. If a user is
+ * simply logged-out, both the error and user objects will be null.
+ */
+PublicPredictions.prototype.onLoginStateChange = function(onLoginStateChange) {
+  var self = this;
+  self._validateCallback(onLoginStateChange, true);
+  this._authHandlers.push(onLoginStateChange);
+};
+
+/**
+ * Get the authentication providers offered by this site, see
+ * ENABLED_PROVIDERS. Returns an array of objects containing the "id" to pass
+ * to login(), the "label" of the provider, and whether it is "readOnly" or
+ * needs "credentials".
+ *
+ * @return   {Array}
+ */
+PublicPredictions.prototype.getProviders = function() {
+  var providers = [];
+  for (var i = 0; i < PublicPredictions.ENABLED_PROVIDERS.length; i++) {
+    var id = PublicPredictions.ENABLED_PROVIDERS[i];
+    var provider = PublicPredictions.PROVIDERS[id];
+    if (provider) {
+      providers.push({
+        id: id,
+        label: provider.label,
+        readOnly: !!provider.readOnly,
+        credentials: !!provider.credentials
+      });
+    }
+  }
+  return providers;
+};
+
+/**
+ * Login a user using Firebase authentication, using the specified
+ * authentication provider (see getProviders()). Providers that need
+ * credentials, like "password", take an object with an "email" and
+ * "password". If the user is successfully authenticated, then the
+ * previously-configured callback will be invoked with a null error and a user
+ * object; if authentication fails, it will be invoked with the error.
+ *
+ * @param    {string}    provider     The authentication provider to use.
+ * @param    {Object}    credentials  Optional. The credentials to log in with.
+ */
+PublicPredictions.prototype.login = function(provider, credentials) {
+  var self = this;
+  if (PublicPredictions.ENABLED_PROVIDERS.indexOf(provider) < 0 ||
+      !PublicPredictions.PROVIDERS[provider]) {
+    throw new Error("Invalid provider provided");
+  }
+  // A successful login is picked up by onAuth, so we only report errors here.
+  PublicPredictions.PROVIDERS[provider].login(self._firebase, credentials || {}, function(err) {
+    if (err) {
+      self._notifyAuthHandlers(err, null);
+    }
+  });
+};
+
+/**
+ * Create an account for the "password" provider, and log in with it. The
+ * provided callback will be called with (err, done) where "err" will be false
+ * if the account was created; the login itself is reported to the callbacks
+ * of onLoginStateChange() as usual.
+ *
+ * @param    {string}    email       The email address of the new account.
+ * @param    {string}    password    The password of the new account.
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+PublicPredictions.prototype.createAccount = function(email, password, onComplete) {
+  var self = this;
+  self._validateString(email, "email");
+  self._validateString(password, "password");
+  self._validateCallback(onComplete, true);
+
+  self._firebase.createUser({email: email, password: password}, function(err) {
+    if (err) {
+      onComplete(new Error("Could not create account: " + err.message), false);
+      return;
+    }
+    self.login("password", {email: email, password: password});
+    onComplete(false, email);
+  });
+};
+
+/**
+ * Logout the current user. The user object may be reused after a logout, but
+ * only after a successful login() has been performed. After a logout occurs,
+ * the session data will be cleared and writing data will no longer be
+ * permitted, as configured by security rules.
+ */
+PublicPredictions.prototype.logout = function() {
+  if (this._uid && !this._readOnly) {
+    // Set presence to offline, reset all instance variables, and return!
+    var peopleRef = this._firebase.child("people").child(this._uid);
+    peopleRef.child("presence").set("offline");
+  }
+  this._firebase.unauth();
+};
+
+/**
+ * On successful authentication, set up Firebase references and hang on to
+ * relevant user data like id and name. Firebase Simple Login automatically
+ * sessions the user using a combination of browser cookies and local storage
+ * so there is no need to do any additional sessioning here.
+ */
+
+PublicPredictions.prototype.onLogin = function(user) {
+  var self = this;
+  if (!user) { return; }
+
+  var provider = PublicPredictions.PROVIDERS[user.provider];
+  if (!provider) {
+    self._notifyAuthHandlers(new Error("Unsupported provider " + user.provider), null);
+    return;
+  }
+  var profile = provider.profile(user);
+
+  this._uid = user.uid;
+  this._facebookId = user.provider == "facebook" ? user.facebook.id : null;
+  this._readOnly = !!provider.readOnly;
+
+  // adapt model to old scheme
+  var displayName = profile.name.split(' ');
+  user.first_name = displayName[0];
+  user.last_name = displayName[displayName.length - 1];
+  user.id = user.uid;
+  user.name = profile.name;
+  user.location = '';
+  user.bio = '';
+  user.pic = PublicPredictionsAvatar.resolve({facebookId: this._facebookId}, user.name, false);
+
+  this._mainUser = self._firebase.child("users").child(this._uid);
+  this._fullName = user.name;
+  this._name = user.first_name;
+
+  // Read-only sessions leave no trace: no search entry, no people record.
+  if (this._readOnly) {
+    self._user = {
+      id: self._uid,
+      name: self._name,
+      fullName: self._fullName,
+      location: "",
+      bio: "",
+      pic: user.pic,
+      readOnly: true
+    };
+    self._notifyAuthHandlers(null, self._user);
+    return;
+  }
+
+  // Populate search index. Names become part of the keys, so strip anything
+  // that is not allowed in a Firebase key.
+  var keyPart = function(str) {
+    return str.replace(/[.#$\/\[\]|]/g, '').toLowerCase();
+  };
+  var firstNameKey = [keyPart(user['first_name']), keyPart(user['last_name']), user['id']].join('|');
+  var lastNameKey = [keyPart(user['last_name']), keyPart(user['first_name']), user['id']].join('|');
+  this._firebase.child('search/firstName').child(firstNameKey).set(user['id']);
+  this._firebase.child('search/lastName').child(lastNameKey).set(user['id']);
+
+  var peopleRef = self._firebase.child("people").child(this._uid);
+  peopleRef.once("value", function(peopleSnap) {
+    var info = {};
+    var val = peopleSnap.val();
+    if (!val) {
+      // If this is a first time login, upload user details.
+      info = {
+        name: self._name,
+        fullName: self._fullName,
+        provider: user.provider,
+        location: "",
+        bio: "",
+        avatar: {}
+      };
+      peopleRef.set(info);
+    } else {
+      info = val;
+    }
+    peopleRef.child("presence").set("online");
+    info.id = self._uid;
+
+    // Keep the avatar record in line with how the user signed in this time.
+    // Only a hash of the email address is stored, for Gravatar.
+    var avatar = info.avatar || {};
+    avatar.facebookId = self._facebookId;
+    peopleRef.child("avatar/facebookId").set(self._facebookId);
+    PublicPredictionsAvatar.hashEmail(profile.email, function(emailHash) {
+      if (emailHash && self._uid == user.uid) {
+        peopleRef.child("avatar/emailHash").set(emailHash);
+      }
+    });
+    self._avatars[self._uid] = avatar;
+    info.pic = PublicPredictionsAvatar.resolve(avatar, info.fullName, false);
+    self._user = info;
+
+    // Notify downstream listeners for new authenticated user state
+    self._notifyAuthHandlers(null, self._user);
+  });
+};
+
+/**
+ * On logout, clean up by removing expired user session data and marking
+ * the current user as offline. Firebase Simple Login automatically handles
+ * user sessions, so there is no need to do any additional sessioning here.
+ */
+PublicPredictions.prototype.onLogout = function() {
+  for (var i = 0; i < this._sessionHandlers.length; i++) {
+    var handler = this._sessionHandlers[i];
+    handler.ref.off(handler.eventType, handler.handler);
+  }
+  this._sessionHandlers = [];
+
+  this._user = null;
+  this._uid = null;
+  this._facebookId = null;
+  this._readOnly = false;
+  this._mainUser = null;
+  this._fullName = null;
+  this._name = null;
+
+  // Notify downstream listeners for new authenticated user state
+  this._notifyAuthHandlers(null, null);
+};
+
+/**
+ * Get information on a particular user, given a user ID. You do not need
+ * to be authenticated to make this call. The onComplete callback will be
+ * provided an object as a single argument, containing the same fields as the
+ * object returned by login(), except that "pic" will point to the URL of a
+ * larger image. The object also has a "scores" field with the number of
+ * scored predictions ("count") and their mean "brier" and "log" scores, or
+ * null if none of the user's predictions have been scored yet.
+ *
+ * onComplete may be called multiple time if user information changes. Make
+ * sure to update your DOM accordingly.
+ *
+ * @param    {string}    user        The user to get information for.
+ * @param    {Function}  onComplete  The callback to call with the user info.
+ */
+PublicPredictions.prototype.getUserInfo = function(user, onComplete,
+                                          onFollower, onFollowersComplete,
+                                          onFollowee, onFolloweesComplete) {
+  var self = this;
+  self._validateCallback(onComplete, true);
+
+  var ref = self._firebase.child("people").child(user);
+  var handler = ref.on("value", function(snap) {
+    var val = snap.val();
+    self._avatars[snap.key()] = val.avatar || {};
+    val.pic = PublicPredictionsAvatar.resolve(val.avatar, val.fullName, true);
+    val.bio = val.bio.substr(0, 141);
+    val.location = val.location.substr(0, 80);
+    var scores = val.scores;
+    val.scores = null;
+    if (scores && scores.count) {
+      val.scores = {
+        count: scores.count,
+        brier: scores.brierTotal / scores.count,
+        log: scores.logTotal / scores.count
+      };
+    }
+    onComplete(val);
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+
+  var userRef = self._firebase.child('users').child(user);
+  var followerRef = userRef.child('followers');
+  var followerHandle = followerRef.on('child_added', function(snapshot) {
+    self._firebase.child('people').child(snapshot.key()).once('value', function(snap) {
+      var userInfo = snap.val();
+      userInfo['userId'] = snapshot.key();
+      userInfo['pic'] = PublicPredictionsAvatar.resolve(userInfo.avatar, userInfo.fullName, false);
+      if (onFollower) onFollower(userInfo);
+    });
+  });
+  self._handlers.push({
+    ref: followerRef, handler: followerHandle, eventType: 'child_added'
+  });
+  followerRef.once('value', function(snap) {
+    if (onFollowersComplete) onFollowersComplete();
+  });
+
+  var followeeRef = userRef.child('following');
+  var followeeHandle = followeeRef.on('child_added', function(snapshot) {
+    self._firebase.child('people').child(snapshot.key()).once('value', function(snap) {
+      var userInfo = snap.val();
+      userInfo['userId'] = snapshot.key();
+      userInfo['pic'] = PublicPredictionsAvatar.resolve(userInfo.avatar, userInfo.fullName, false);
+      if (onFollowee) onFollowee(userInfo);
+    });
+  });
+  self._handlers.push({
+    ref: followeeRef, handler: followeeHandle, eventType: 'child_added'
+  });
+  followeeRef.once('value', function(snap) {
+    if (onFolloweesComplete) onFolloweesComplete();
+  });
+};
+
+
+/**
+ * Start a search session. resultsHandler is called with an array of people
+ * matching the search term, each with a "userId" and "name". The optional
+ * predictionResultsHandler is called with an array of predictions whose
+ * content contains every word of the search term, each with a
+ * "predictionId", "author", "by", "content", "timestamp" and the matched
+ * "terms". Call updateSearchTerm() as the term changes.
+ *
+ * @param    {Function}  resultsHandler            Called with people.
+ * @param    {Function}  predictionResultsHandler  Called with predictions.
+ */
+PublicPredictions.prototype.startSearch = function(resultsHandler, predictionResultsHandler) {
+  this._searchHandler = resultsHandler;
+  this._predictionSearchHandler = predictionResultsHandler || null;
+};
+
+PublicPredictions.prototype.updateSearchTerm = function(term) {
+  var isValidStem = function(stem) {
+    var invalid = ['.', '#', '$', '/', '[', ']'];
+    for (var i = 0; i < invalid.length; ++i) {
+      if (stem.indexOf([invalid[i]]) !== -1) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  if (isValidStem(term) && term.length >= 3) {
+    if (this._currentSearch) {
+      // we have an existing search
+      if (this._currentSearch.containsTerm(term)) {
+        // update the term
+        this._currentSearch.updateTerm(term);
+      } else {
+        // stop the search
+        this._stopNameSearch();
+      }
+    } else {
+      // This is a new search
+      this._currentSearch = new PublicPredictionsSearch(
+        this._firebase, term, this._withPics(this._searchHandler)
+      );
+    }
+  } else {
+    this._stopNameSearch();
+  }
+
+  this._updatePredictionSearch(term);
+};
+
+PublicPredictions.prototype._updatePredictionSearch = function(term) {
+  if (!this._predictionSearchHandler) {
+    return;
+  }
+  // Every change of the term starts a new search, since any word may have
+  // changed.
+  if (this._currentPredictionSearch) {
+    this._currentPredictionSearch.stopSearch();
+    this._currentPredictionSearch = null;
+  }
+  if (PublicPredictionsSearch.tokenize(term).length) {
+    this._currentPredictionSearch = new PublicPredictionsContentSearch(
+      this._firebase, term, this._predictionSearchHandler
+    );
+  } else {
+    this._predictionSearchHandler([]);
+  }
+};
+
+PublicPredictions.prototype._stopNameSearch = function() {
+  if (this._currentSearch) {
+    this._currentSearch.stopSearch();
+    this._currentSearch = null;
+  }
+  this._searchHandler && this._searchHandler([]);
+};
+
+PublicPredictions.prototype.stopSearching = function() {
+  this._stopNameSearch();
+  if (this._currentPredictionSearch) {
+    this._currentPredictionSearch.stopSearch();
+    this._currentPredictionSearch = null;
+  }
+  this._predictionSearchHandler && this._predictionSearchHandler([]);
+};
+
+/**
+ * Get statistics on the predictions posted by a particular user. The
+ * onComplete callback will be provided an object with the number of
+ * predictions "made", "resolved", "correct" and "pending" (not resolved yet),
+ * how many of those were "retracted" (which count as resolved and missed
+ * until they are resolved, see retractPrediction()), the number of
+ * "imported" predictions (which count towards none of the others, see
+ * importPredictions()), and "calibration", an array of ten bins of stated
+ * confidence (0-10%, 10-20%, ...). Each bin has its bounds ("from", "to"),
+ * the number of scored predictions in it ("count"), how many came true
+ * ("hits"), their mean stated "confidence" and their "hitRate" (both null
+ * for empty bins).
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    user        The user to get statistics for.
+ * @param    {Function}  onComplete  The callback to call with the statistics.
+ */
+PublicPredictions.prototype.getPredictionStats = function(user, onComplete) {
+  var self = this;
+  self._validateString(user, "user");
+  self._validateCallback(onComplete, true);
+
+  self._getUserPredictions(user, function(list) {
+    // Imported predictions were not made here, so they are counted apart and
+    // never count towards accuracy.
+    var predictions = [];
+    var stats = {made: 0, resolved: 0, correct: 0, pending: 0, imported: 0, retracted: 0};
+    for (var i = 0; i < list.length; i++) {
+      var prediction = list[i].prediction;
+      if (prediction.imported) {
+        stats.imported++;
+        continue;
+      }
+      // Retracted predictions stay on the record, as misses until they are
+      // resolved, so that retracting one about to fail does not help the
+      // author's accuracy, see retractPrediction().
+      var outcome = prediction.outcome || (prediction.retracted ? "wrong" : null);
+      predictions.push({confidence: prediction.confidence, outcome: outcome});
+      stats.made++;
+      if (prediction.retracted) {
+        stats.retracted++;
+      }
+      if (outcome) {
+        stats.resolved++;
+        if (outcome == "right") {
+          stats.correct++;
+        }
+      } else {
+        stats.pending++;
+      }
+    }
+    stats.calibration = self._calibrationBins(predictions);
+    onComplete(stats);
+  });
+};
+
+/**
+ * Build an Atom or RSS feed of the latest predictions by a user, on a topic,
+ * or on the whole site, from the same lists onNewPredictionFor(),
+ * onNewPredictionForTopic() and onLatestPrediction() read. Each entry links
+ * back to the page of its prediction. The onComplete callback will be
+ * provided an error (or false) and the feed document, see
+ * PublicPredictionsFeed.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {Object}    options     The feed to build: the "user" or "topic"
+ *                                   to build it for (neither for the whole
+ *                                   site), its "format" ("atom", the default,
+ *                                   or "rss"), the "siteURL" predictions link
+ *                                   back to, the URL of the feed itself
+ *                                   ("self", optional), and the number of
+ *                                   predictions to include ("count", 20 by
+ *                                   default).
+ * @param    {Function}  onComplete  The callback to call with the feed.
+ */
+PublicPredictions.prototype.buildFeed = function(options, onComplete) {
+  var self = this;
+  self._validateCallback(onComplete, true);
+  options = options || {};
+  var format = options.format || "atom";
+  if (PublicPredictionsFeed.FORMATS.indexOf(format) < 0) {
+    throw new Error("Invalid feed format provided");
+  }
+  self._validateString(options.siteURL, "site URL");
+
+  var list;
+  var link;
+  var title;
+  var done = function(predictions) {
+    onComplete(false, PublicPredictionsFeed.build(format, {
+      title: title,
+      link: link,
+      self: options.self || null,
+      siteURL: options.siteURL,
+      predictions: predictions
+    }));
+  };
+  var siteURL = options.siteURL.replace(/[?#].*$/, "");
+  if (options.user) {
+    self._validateString(options.user, "user");
+    list = self._firebase.child("users").child(options.user).child("predictions");
+    link = siteURL + "?profile=" + encodeURIComponent(options.user);
+  } else if (options.topic) {
+    var topic = self._validateTopic(options.topic);
+    list = self._firebase.child("topics").child(topic);
+    link = siteURL + "?topic=" + topic;
+    title = "#" + topic + " predictions";
+  } else {
+    list = self._firebase.child("recent-predictions");
+    link = siteURL;
+    title = "Latest predictions";
+  }
+
+  list.limitToLast(options.count || 20).once("value", function(listSnap) {
+    var ids = [];
+    listSnap.forEach(function(snap) {
+      ids.unshift(snap.key());
+    });
+
+    var predictions = {};
+    var pending = ids.length + (options.user ? 1 : 0);
+    var finish = function() {
+      if (--pending > 0) {
+        return;
+      }
+      var ordered = [];
+      for (var i = 0; i < ids.length; i++) {
+        if (predictions[ids[i]]) {
+          ordered.push(predictions[ids[i]]);
+        }
+      }
+      done(ordered);
+    };
+    if (options.user) {
+      self._firebase.child("people").child(options.user).child("fullName").once("value", function(snap) {
+        title = "Predictions by " + (snap.val() || options.user);
+        finish();
+      });
+    }
+    if (!ids.length && !options.user) {
+      done([]);
+      return;
+    }
+    for (var i = 0; i < ids.length; i++) {
+      self._firebase.child("predictions").child(ids[i]).once("value", function(snap) {
+        var prediction = snap.val();
+        if (prediction !== null) {
+          prediction.predictionId = snap.key();
+          predictions[snap.key()] = prediction;
+        }
+        finish();
+      });
+    }
+  });
+};
+
+/**
+ * Export all predictions posted by a particular user, oldest first. The
+ * onComplete callback will be provided an error (or false) and the export
+ * as a string, in one of two formats:
+ *
+ *   "json"  An object with the "user", their full "name", the date it was
+ *           "exportedAt", and "predictions", each with the fields of
+ *           EXPORT_FIELDS.
+ *   "csv"   A header row with the names of EXPORT_FIELDS, and a row for
+ *           each prediction.
+ *
+ * Dates are exported in ISO 8601 format, and confidence as a probability.
+ * Either format can be read back by importPredictions(). The content is the
+ * text as posted; sealed predictions that have not been revealed yet are
+ * left out, as their text is not known.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    user        The user whose predictions to export.
+ * @param    {string}    format      Either "json" or "csv".
+ * @param    {Function}  onComplete  The callback to call with the export.
+ */
+PublicPredictions.prototype.exportPredictions = function(user, format, onComplete) {
+  var self = this;
+  self._validateString(user, "user");
+  self._validateCallback(onComplete, true);
+  if (format != "json" && format != "csv") {
+    throw new Error("Invalid format provided");
+  }
+
+  var date = function(time) {
+    return time ? new Date(time).toISOString() : null;
+  };
+  self._getUserPredictions(user, function(list) {
+    var predictions = [];
+    for (var i = 0; i < list.length; i++) {
+      var prediction = list[i].prediction;
+      if (PublicPredictions.isSealed(prediction)) {
+        continue;
+      }
+      predictions.push({
+        id: list[i].id,
+        content: prediction.content,
+        timestamp: date(prediction.timestamp),
+        deadline: date(prediction.deadline),
+        confidence: prediction.confidence || null,
+        outcome: prediction.outcome || null,
+        resolvedAt: date(prediction.resolvedAt),
+        evidence: prediction.evidence || null,
+        imported: !!prediction.imported,
+        retracted: !!prediction.retracted,
+        retractedAt: date(prediction.retractedAt)
+      });
+    }
+
+    if (format == "json") {
+      self._firebase.child("people").child(user).child("fullName").once("value", function(snap) {
+        onComplete(false, JSON.stringify({
+          user: user, name: snap.val(), exportedAt: date(new Date().getTime()),
+          predictions: predictions
+        }, null, 2));
+      });
+      return;
+    }
+    var fields = PublicPredictions.EXPORT_FIELDS;
+    var rows = [fields];
+    for (i = 0; i < predictions.length; i++) {
+      var row = [];
+      for (var j = 0; j < fields.length; j++) {
+        row.push(predictions[i][fields[j]]);
+      }
+      rows.push(row);
+    }
+    onComplete(false, self._toCSV(rows));
+  });
+};
+
+/**
+ * Import predictions kept elsewhere, on behalf of the user who is currently
+ * logged in. The text is either a JSON or CSV export (see
+ * exportPredictions()), a JSON array of predictions, or a simple CSV with a
+ * header row naming at least the "content" and "timestamp" columns; the
+ * other columns of EXPORT_FIELDS are optional, and confidence may be given
+ * in percent. At most MAX_IMPORT predictions are read.
+ *
+ * Imported predictions keep their original dates and outcomes, and are
+ * marked as "imported". They are added to the user's profile, to search and
+ * to topics, but not to any feeds, and they are never scored: nobody can
+ * tell whether they were really made at the time.
+ *
+ * The onComplete callback is provided an error (or false), and an object
+ * with the number of predictions "imported" and the (1-based) numbers of
+ * the predictions or CSV data rows that were "skipped" for being invalid.
+ *
+ * @param    {string}    text        The contents of the file to import.
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+PublicPredictions.prototype.importPredictions = function(text, onComplete) {
+  var self = this;
+  self._validateString(text, "import");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  var rows;
+  try {
+    rows = self._readImport(text);
+  } catch (e) {
+    onComplete(new Error("Could not read the file: " + e.message), false);
+    return;
+  }
+  if (rows.length > PublicPredictions.MAX_IMPORT) {
+    onComplete(new Error("Cannot import more than " + PublicPredictions.MAX_IMPORT +
+                         " predictions at once"), false);
+    return;
+  }
+
+  var updates = {};
+  var result = {imported: 0, skipped: []};
+  for (var i = 0; i < rows.length; i++) {
+    var prediction = self._importedPrediction(rows[i]);
+    if (!prediction) {
+      result.skipped.push(i + 1);
+      continue;
+    }
+    var id = self._firebase.child("predictions").push().key();
+    updates["predictions/" + id] = prediction;
+    updates["users/" + self._uid + "/predictions/" + id] = true;
+    var tokens = PublicPredictionsSearch.tokenize(prediction.content);
+    for (var j = 0; j < tokens.length; j++) {
+      updates["search/tokens/" + tokens[j] + "/" + id] = true;
+    }
+    for (var topic in prediction.topics || {}) {
+      updates["topics/" + topic + "/" + id] = true;
+    }
+    result.imported++;
+  }
+
+  self._batchedUpdate(updates, function(failedPaths) {
+    if (failedPaths.length) {
+      onComplete(self._partialError(
+        "Could not import all predictions", failedPaths), result);
+      return;
+    }
+    onComplete(false, result);
+  });
+};
+
+PublicPredictions.prototype._readImport = function(text) {
+  // Read the rows of an import as objects keyed by field name.
+  text = text.replace(/^\uFEFF/, "");
+  if (/^\s*[\[{]/.test(text)) {
+    var data = JSON.parse(text);
+    var rows = data instanceof Array ? data : data.predictions;
+    if (!(rows instanceof Array)) {
+      throw new Error("no predictions found");
+    }
+    return rows;
+  }
+
+  var lines = this._parseCSV(text);
+  if (!lines.length) {
+    throw new Error("no predictions found");
+  }
+  var header = [];
+  for (var i = 0; i < lines[0].length; i++) {
+    header.push(lines[0][i].replace(/^\s+|\s+$/g, ""));
+  }
+  if (header.indexOf("content") < 0 || header.indexOf("timestamp") < 0) {
+    throw new Error("the first row must name the content and timestamp columns");
+  }
+  var objects = [];
+  for (i = 1; i < lines.length; i++) {
+    var row = {};
+    for (var j = 0; j < header.length; j++) {
+      row[header[j]] = lines[i][j] === undefined ? "" : lines[i][j];
+    }
+    objects.push(row);
+  }
+  return objects;
+};
+
+/**
+ * Get information on a particular prediction, given a prediction ID. You do not need
+ * to be authenticated to make this call. The onComplete callback will be
+ * provided an object as a single argument, containing the same fields as the
+ * object returned by onNewPrediction().
+ *
+ * onComplete will be called only once as the content of predictions cannot be
+ * modified once they are posted (see rules.json). Use resolvePrediction() to
+ * record an outcome, and amendPrediction() or retractPrediction() to revise a
+ * prediction without losing what was posted; fetch the prediction again to see
+ * those, or use onPrediction() to be notified of them.
+ *
+ * @param    {string}    id          The prediction ID of the prediction to be fetched.
+ * @param    {Function}  onComplete  The callback to call with the prediction.
+ */
+PublicPredictions.prototype.getPrediction = function(id, onComplete) {
+  var self = this;
+  self._validateCallback(onComplete, true);
+  self._firebase.child("predictions").child(id).once("value", function(snap) {
+    onComplete(snap.val());
+  });
+};
+
+/**
+ * Register a callback to be notified of a prediction, given a prediction ID,
+ * and again whenever it changes, e.g. when it is resolved. The callback is
+ * provided the same object as in getPrediction(), with a "pic" property for
+ * the author's picture, or null if there is no such prediction (anymore).
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    id          The prediction ID of the prediction.
+ * @param    {Function}  onComplete  The callback to call with the prediction.
+ */
+PublicPredictions.prototype.onPrediction = function(id, onComplete) {
+  var self = this;
+  self._validateString(id, "prediction ID");
+  self._validateCallback(onComplete, true);
+
+  var ref = self._firebase.child("predictions").child(id);
+  var handler = ref.on("value", function(snap) {
+    var prediction = snap.val();
+    if (prediction === null) {
+      onComplete(null);
+      return;
+    }
+    self._resolvePic(prediction.author, prediction.by, true, function(pic) {
+      prediction.pic = pic;
+      onComplete(prediction);
+    });
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+};
+
+/**
+ * Follow a particular user, on behalf of the user who is currently logged in.
+ * The provided callback will be called with (err, done) where "err" will be
+ * false if the follow operation succeeded. You need to be authenticated
+ * through login() to use this function.
+ *
+ * The following / followers link is written atomically. The followed user's
+ * past predictions are then copied to the current user's feed in batches; if
+ * only some of those batches could be written, "err" will have its "partial"
+ * property set to true and a "failedPaths" array listing what is missing.
+ *
+ * @param    {string}    user        The user to follow.
+ * @param    {Function}  onComplete  The callback to call when follow is done.
+ */
+PublicPredictions.prototype.follow = function(user, onComplete) {
+  var self = this;
+  self._validateString(user, "user");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  // First, we add the user to the "following" list of the current user, and
+  // the current user to the followers list of user just followed.
+  var link = {};
+  link["users/" + self._uid + "/following/" + user] = true;
+  link["users/" + user + "/followers/" + self._uid] = true;
+  self._firebase.update(link, function(err) {
+    if (err) {
+      onComplete(new Error("Could not follow user"), false);
+      return;
+    }
+    self._notify(user, "follow");
+
+    // Then, we copy all previous predictions generated by the user just followed
+    // to the feed of the current user so they will be displayed.
+    // NOTE: this will result in the onNewPrediction callback being called, so
+    // as soon as a follow is complete, predictions will instantly appear!
+    var followUser = self._firebase.child("users").child(user);
+    followUser.child("predictions").once("value", function(predictionSnap) {
+      var history = {};
+      predictionSnap.forEach(function(prediction) {
+        self._addDelivery(history, self._uid, prediction.key());
+      });
+      self._batchedUpdate(history, function(failedPaths) {
+        if (failedPaths.length) {
+          onComplete(self._partialError(
+            "Followed user, but could not copy " + failedPaths.length / 2 +
+            " of their predictions to your feed", failedPaths), user);
+          return;
+        }
+
+        // All done!
+        onComplete(false, user);
+      });
+    });
+  });
+};
+
+/**
+ * Stop following a particular user, on behalf of the user who is currently
+ * logged in. This undoes everything follow() does: both sides of the
+ * following / followers link are removed, and so are the followed user's
+ * predictions from the current user's feed (except those on a topic the
+ * current user follows, see followTopic()). The provided callback will be
+ * called with (err, done) where "err" will be false if the unfollow operation
+ * succeeded, or a partial error as described in follow(). You need to be
+ * authenticated through login() to use this function.
+ *
+ * NOTE: removing predictions from the feed will result in the onOverflow
+ * callback of onNewPrediction being called, so they will instantly disappear!
+ *
+ * @param    {string}    user        The user to unfollow.
+ * @param    {Function}  onComplete  The callback to call when unfollow is done.
+ */
+PublicPredictions.prototype.unfollow = function(user, onComplete) {
+  var self = this;
+  self._validateString(user, "user");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  // First, we remove both sides of the following / followers link.
+  var link = {};
+  link["users/" + self._uid + "/following/" + user] = null;
+  link["users/" + user + "/followers/" + self._uid] = null;
+  self._firebase.update(link, function(err) {
+    if (err) {
+      onComplete(new Error("Could not unfollow user"), false);
+      return;
+    }
+
+    // Then, we remove all predictions by that user from our own feed, unless
+    // they are on a topic we follow.
+    var followUser = self._firebase.child("users").child(user);
+    followUser.child("predictions").once("value", function(predictionSnap) {
+      var history = [];
+      predictionSnap.forEach(function(prediction) {
+        history.push(prediction.key());
+      });
+      self._pruneFeed(history, function(failedPaths) {
+        if (failedPaths.length) {
+          onComplete(self._partialError(
+            "Unfollowed user, but could not remove " + failedPaths.length +
+            " of their predictions from your feed", failedPaths), user);
+          return;
+        }
+
+        // All done!
+        onComplete(false, user);
+      });
+    });
+  });
+};
+
+/**
+ * Follow a topic, on behalf of the user who is currently logged in. Topics
+ * are the #hashtags in the content of predictions. Just like with follow(),
+ * all previous predictions on the topic are copied to the current user's
+ * feed, and new ones will be delivered to it as they are posted. The provided
+ * callback will be called with (err, done) where "err" will be false if the
+ * follow operation succeeded, or a partial error as described in follow().
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    topic       The topic to follow, with or without "#".
+ * @param    {Function}  onComplete  The callback to call when follow is done.
+ */
+PublicPredictions.prototype.followTopic = function(topic, onComplete) {
+  var self = this;
+  topic = self._validateTopic(topic);
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  var link = {};
+  link["users/" + self._uid + "/topics/" + topic] = true;
+  link["topic-followers/" + topic + "/" + self._uid] = true;
+  self._firebase.update(link, function(err) {
+    if (err) {
+      onComplete(new Error("Could not follow topic"), false);
+      return;
+    }
+
+    self._firebase.child("topics").child(topic).once("value", function(predictionSnap) {
+      var history = {};
+      predictionSnap.forEach(function(prediction) {
+        self._addDelivery(history, self._uid, prediction.key());
+      });
+      self._batchedUpdate(history, function(failedPaths) {
+        if (failedPaths.length) {
+          onComplete(self._partialError(
+            "Followed topic, but could not copy " + failedPaths.length / 2 +
+            " of its predictions to your feed", failedPaths), topic);
+          return;
+        }
+        onComplete(false, topic);
+      });
+    });
+  });
+};
+
+/**
+ * Stop following a topic, on behalf of the user who is currently logged in.
+ * The topic's predictions are removed from the current user's feed, except
+ * for those by users that the current user still follows. The provided
+ * callback will be called with (err, done) as in unfollow(). You need to be
+ * authenticated through login() to use this function.
+ *
+ * @param    {string}    topic       The topic to unfollow, with or without "#".
+ * @param    {Function}  onComplete  The callback to call when unfollow is done.
+ */
+PublicPredictions.prototype.unfollowTopic = function(topic, onComplete) {
+  var self = this;
+  topic = self._validateTopic(topic);
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  var link = {};
+  link["users/" + self._uid + "/topics/" + topic] = null;
+  link["topic-followers/" + topic + "/" + self._uid] = null;
+  self._firebase.update(link, function(err) {
+    if (err) {
+      onComplete(new Error("Could not unfollow topic"), false);
+      return;
+    }
+
+    self._firebase.child("topics").child(topic).once("value", function(predictionSnap) {
+      var history = [];
+      predictionSnap.forEach(function(prediction) {
+        history.push(prediction.key());
+      });
+      self._pruneFeed(history, function(failedPaths) {
+        if (failedPaths.length) {
+          onComplete(self._partialError(
+            "Unfollowed topic, but could not remove " + failedPaths.length +
+            " of its predictions from your feed", failedPaths), topic);
+          return;
+        }
+        onComplete(false, topic);
+      });
+    });
+  });
+};
+
+/**
+ * Register a callback to be notified whether the current user follows a
+ * topic. The callback is invoked with true or false, and again whenever that
+ * changes.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    topic       The topic to check, with or without "#".
+ * @param    {Function}  onComplete  The callback to call with the state.
+ */
+PublicPredictions.prototype.onTopicFollowStatus = function(topic, onComplete) {
+  var self = this;
+  topic = self._validateTopic(topic);
+  self._validateCallback(onComplete);
+
+  var ref = self._mainUser.child("topics").child(topic);
+  var handler = ref.on("value", function(snap) {
+    onComplete(!!snap.val());
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+};
+
+/**
+ * Register a callback to be notified whether the current user follows a
+ * particular user. The callback is invoked with true or false, and again
+ * whenever that changes.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    user        The user to check.
+ * @param    {Function}  onComplete  The callback to call with the state.
+ */
+PublicPredictions.prototype.onFollowStatus = function(user, onComplete) {
+  var self = this;
+  self._validateString(user, "user");
+  self._validateCallback(onComplete);
+
+  var ref = self._mainUser.child("following").child(user);
+  var handler = ref.on("value", function(snap) {
+    onComplete(!!snap.val());
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+};
+
+/**
+ * Post a prediction as the current user. The provided callback will be called with
+ * (err, done) where "err" will be false if the post succeeded, and done will
+ * be set to the ID of the prediction just posted. You need to be authenticated
+ * through login() to use this function.
+ *
+ * The callback is only called once the prediction has been delivered to the
+ * feeds of all followers. If the prediction was posted but some of those
+ * feeds could not be written, "err" will have its "partial" property set to
+ * true and a "failedPaths" array listing the missing feed entries, and done
+ * will still be set to the ID of the prediction.
+ *
+ * The optional options object may contain a "deadline" (a timestamp in ms)
+ * by which the prediction should be resolved, see resolvePrediction(), and a
+ * "confidence" (a probability between 0.01 and 0.99) that the prediction
+ * comes true. Only predictions with a confidence are scored. The content is
+ * limited to MAX_LENGTH characters.
+ *
+ * Any #topics in the content are indexed, and the prediction is delivered to
+ * the feeds of everyone following those topics as well, see followTopic().
+ * Users mentioned as "@first.last" or "@<user ID>" are notified, and kept
+ * in the prediction's "mentions", which maps their user IDs to how they were
+ * mentioned. A name shared by several users mentions none of them.
+ *
+ * The "timestamp" of the prediction is set by the server, and the time of
+ * the client is kept as "clientTimestamp", see PublicPredictions.SERVER_TIMESTAMP.
+ *
+ * The options may also contain a "revealAt" timestamp (in ms), to seal the
+ * prediction until then: only a commitment to the content is published (see
+ * PublicPredictions.commitment), along with the reveal date, and the callback
+ * gets the salt the content was sealed with as a third argument. Keep the
+ * content and the salt, and pass them to revealPrediction() to publish the
+ * content; until then the prediction has an empty "content", is not indexed
+ * under topics or in search, and cannot be forecast or resolved. Its
+ * timestamp is still that of the post, which is what proves the prediction
+ * was made before the reveal.
+ *
+ * @param    {string}    content     The content of the prediction in text form.
+ * @param    {Object}    options     Optional. Extra fields, e.g.
+ *                                   {deadline: ms, confidence: 0.7}.
+ * @param    {Function}  onComplete  The callback to call when the post is done.
+ */
+PublicPredictions.prototype.post = function(content, options, onComplete) {
+  var self = this;
+  if (typeof options == "function") {
+    onComplete = options;
+    options = {};
+  }
+  options = options || {};
+  self._validateString(content, "prediction");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+  if (content.length > PublicPredictions.MAX_LENGTH) {
+    throw new Error("Invalid prediction provided");
+  }
+  if (options.deadline !== undefined && options.deadline !== null) {
+    self._validateDeadline(options.deadline);
+  }
+  if (options.confidence !== undefined && options.confidence !== null) {
+    self._validateProbability(options.confidence, "confidence");
+  }
+
+  var fields = {};
+  if (options.deadline) {
+    fields.deadline = options.deadline;
+  }
+  if (options.confidence) {
+    fields.confidence = options.confidence;
+  }
+  if (options.revealAt === undefined || options.revealAt === null) {
+    self._resolveMentions(content, function(mentions) {
+      if (mentions) {
+        fields.mentions = mentions;
+      }
+      self._publish(content, fields, onComplete);
+    });
+    return;
+  }
+
+  // A sealed prediction is published with its commitment instead of its
+  // content, see revealPrediction().
+  if (typeof options.revealAt != "number" || isNaN(options.revealAt) ||
+      options.revealAt <= new Date().getTime()) {
+    throw new Error("Invalid reveal date provided");
+  }
+  var salt = PublicPredictions.newSalt();
+  PublicPredictions.commitment(content, salt, function(commitment) {
+    if (!salt || !commitment) {
+      onComplete(new Error("Could not seal prediction"), false);
+      return;
+    }
+    fields.sealed = true;
+    fields.commitment = commitment;
+    fields.revealAt = options.revealAt;
+    self._publish("", fields, function(err, id) {
+      onComplete(err, id, salt);
+    });
+  });
+};
+
+PublicPredictions.prototype._publish = function(content, fields, onComplete) {
+  // Write a new prediction of the current user, with the given extra fields.
+  var self = this;
+
+  // First, we add the prediction to the global predictions list. push() ensures that
+  // we get a unique ID for the prediction that is chronologically ordered.
+  var predictionRef = self._firebase.child("predictions").push();
+  var predictionRefId = predictionRef.key();
+  var prediction = {
+    author: self._uid, // uid for v2 security rules
+    by: self._fullName,
+    content: content,
+    timestamp: PublicPredictions.SERVER_TIMESTAMP,
+    clientTimestamp: new Date().getTime()
+  };
+  for (var key in fields) {
+    prediction[key] = fields[key];
+  }
+  var predictionTopics = self._extractTopics(content);
+  if (predictionTopics.length) {
+    prediction.topics = {};
+    for (var t = 0; t < predictionTopics.length; t++) {
+      prediction.topics[predictionTopics[t]] = true;
+    }
+  }
+
+  // Everything that describes the prediction is written in a single atomic
+  // update, so it is either posted completely or not at all:
+  //  - the prediction itself,
+  //  - a "reference" to it in the predictions list for the current user,
+  //  - the prediction ID in the users own feed,
+  //  - ourself (with priority) in a list of users with recent activity which
+  //    we can use elsewhere to see "active" users,
+  //  - the prediction in a separate list of most recent predictions which can
+  //    be displayed elsewhere, just like active users above,
+  //  - the words of the prediction in the content search index,
+  //  - the prediction under each of its topics.
+  var time = PublicPredictions.SERVER_TIMESTAMP;
+  var updates = {};
+  updates["predictions/" + predictionRefId] = prediction;
+  updates["users/" + self._uid + "/predictions/" + predictionRefId] = true;
+  updates["users/" + self._uid + "/feed/" + predictionRefId] = true;
+  updates["recent-users/" + self._uid] = {".value": true, ".priority": time};
+  updates["recent-predictions/" + predictionRefId] = {".value": true, ".priority": time};
+
+  // The words of the prediction go into the content search index.
+  var tokens = PublicPredictionsSearch.tokenize(content);
+  for (var i = 0; i < tokens.length; i++) {
+    updates["search/tokens/" + tokens[i] + "/" + predictionRefId] = true;
+  }
+
+  // And the prediction is listed under each of its #topics.
+  for (i = 0; i < predictionTopics.length; i++) {
+    updates["topics/" + predictionTopics[i] + "/" + predictionRefId] = true;
+  }
+
+  self._firebase.update(updates, function(err) {
+    if (err) {
+      onComplete(new Error("Could not post prediction"), false);
+      return;
+    }
+
+    // Let everyone mentioned in the prediction know about it.
+    for (var mentioned in prediction.mentions || {}) {
+      self._notify(mentioned, "mention", {predictionId: predictionRefId});
+    }
+
+    // Finally, we add the prediction ID to the feed of everyone who follows
+    // the current user or one of the prediction's topics, in batches so that
+    // large follower counts don't end up in one huge write.
+    self._getRecipients(predictionTopics, function(recipients) {
+      var fanOut = {};
+      for (var uid in recipients) {
+        if (recipients.hasOwnProperty(uid) && uid != self._uid) {
+          self._addDelivery(fanOut, uid, predictionRefId);
+        }
+      }
+      self._batchedUpdate(fanOut, function(failedPaths) {
+        if (failedPaths.length) {
+          onComplete(self._partialError(
+            "Prediction posted, but could not be delivered to " +
+            failedPaths.length / 2 + " followers", failedPaths), predictionRefId);
+          return;
+        }
+
+        // All done!
+        onComplete(false, predictionRefId);
+      });
+    });
+  });
+};
+
+/**
+ * Record the outcome of a prediction posted by the current user. Predictions
+ * with a deadline can only be resolved once that deadline has passed, and a
+ * prediction can only be resolved once. The provided callback will be called
+ * with (err, done) where "err" will be false if the prediction was resolved,
+ * and done will be set to the recorded outcome.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the prediction to resolve.
+ * @param    {string}    outcome     One of "right", "wrong" or "void".
+ * @param    {string}    evidenceUrl Optional. A link backing up the outcome.
+ * @param    {Function}  onComplete  The callback to call when resolution is
+ *                                   done.
+ */
+PublicPredictions.prototype.resolvePrediction = function(id, outcome, evidenceUrl,
+                                                         onComplete) {
+  var self = this;
+  self._validateString(id, "prediction ID");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+  if (PublicPredictions.OUTCOMES.indexOf(outcome) < 0) {
+    throw new Error("Invalid outcome provided");
+  }
+  if (evidenceUrl && !/^https?:\/\//i.test(evidenceUrl)) {
+    throw new Error("Invalid evidence URL provided");
+  }
+
+  var predictionRef = self._firebase.child("predictions").child(id);
+  predictionRef.once("value", function(snap) {
+    var prediction = snap.val();
+    if (!prediction || prediction.author != self._uid) {
+      onComplete(new Error("Only the author can resolve a prediction"), false);
+      return;
+    }
+    if (prediction.outcome) {
+      onComplete(new Error("Prediction has already been resolved"), false);
+      return;
+    }
+    if (PublicPredictions.isSealed(prediction)) {
+      onComplete(new Error("Prediction must be revealed before it is resolved"), false);
+      return;
+    }
+    if (prediction.deadline && prediction.deadline > new Date().getTime()) {
+      onComplete(new Error("Prediction cannot be resolved before its deadline"),
+                 false);
+      return;
+    }
+
+    var resolution = {
+      outcome: outcome,
+      resolvedAt: PublicPredictions.SERVER_TIMESTAMP,
+      clientResolvedAt: new Date().getTime()
+    };
+    if (evidenceUrl) {
+      resolution.evidence = evidenceUrl;
+    }
+    predictionRef.update(resolution, function(err) {
+      if (err) {
+        onComplete(new Error("Could not resolve prediction"), false);
+        return;
+      }
+      // Imported predictions may have been written after the fact, so only
+      // forecasts made here are scored for them.
+      if (!prediction.imported) {
+        self._recordScore(self._uid, id, prediction, prediction.confidence, outcome);
+      }
+
+      // Everyone who put a forecast on the prediction is scored as well.
+      self._firebase.child("forecasts").child(id).once("value", function(forecastsSnap) {
+        forecastsSnap.forEach(function(forecastSnap) {
+          var forecast = forecastSnap.val();
+          self._recordScore(forecastSnap.key(), id, prediction,
+                            forecast.probability, outcome);
+          self._notify(forecastSnap.key(), "resolved", {
+            predictionId: id, outcome: outcome
+          });
+        });
+      });
+      onComplete(false, outcome);
+    });
+  });
+};
+
+/**
+ * Reveal a sealed prediction of the current user (see post()), publishing
+ * its content. The content and salt must hash to the commitment the
+ * prediction was posted with, which proves the content is what was predicted
+ * at the time of the post; both are stored so that anyone can check it with
+ * PublicPredictions.commitment(). A prediction can be revealed before its
+ * reveal date. Once revealed, the prediction is indexed like any other, and
+ * delivered to the feeds of everyone following its topics. The provided
+ * callback will be called with (err, done) where "err" will be false if the
+ * prediction was revealed; as with post(), "err" may be a partial error
+ * listing the feed entries that could not be written.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the prediction to reveal.
+ * @param    {string}    content     The content the prediction was sealed with.
+ * @param    {string}    salt        The salt post() returned for it.
+ * @param    {Function}  onComplete  The callback to call when the prediction
+ *                                   is revealed.
+ */
+PublicPredictions.prototype.revealPrediction = function(id, content, salt, onComplete) {
+  var self = this;
+  self._validateString(id, "prediction ID");
+  self._validateString(content, "prediction");
+  self._validateString(salt, "salt");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  self._firebase.child("predictions").child(id).once("value", function(snap) {
+    var prediction = snap.val();
+    if (!prediction || prediction.author != self._uid) {
+      onComplete(new Error("Only the author can reveal a prediction"), false);
+      return;
+    }
+    if (!PublicPredictions.isSealed(prediction)) {
+      onComplete(new Error("Prediction is not sealed"), false);
+      return;
+    }
+    PublicPredictions.commitment(content, salt, function(commitment) {
+      if (commitment === null) {
+        onComplete(new Error("Could not check prediction"), false);
+        return;
+      }
+      if (commitment != prediction.commitment) {
+        onComplete(new Error("Content does not match the sealed prediction"), false);
+        return;
+      }
+
+      // The content and everything post() would have indexed for it, along
+      // with who it mentions, go in a single atomic update.
+      self._resolveMentions(content, function(mentions) {
+        var topics = self._extractTopics(content);
+        var updates = {};
+        updates["predictions/" + id + "/content"] = content;
+        updates["predictions/" + id + "/salt"] = salt;
+        updates["predictions/" + id + "/revealedAt"] = PublicPredictions.SERVER_TIMESTAMP;
+        updates["predictions/" + id + "/clientRevealedAt"] = new Date().getTime();
+        updates["predictions/" + id + "/mentions"] = mentions;
+        var tokens = PublicPredictionsSearch.tokenize(content);
+        for (var i = 0; i < tokens.length; i++) {
+          updates["search/tokens/" + tokens[i] + "/" + id] = true;
+        }
+        for (i = 0; i < topics.length; i++) {
+          updates["predictions/" + id + "/topics/" + topics[i]] = true;
+          updates["topics/" + topics[i] + "/" + id] = true;
+        }
+        self._firebase.update(updates, function(err) {
+          if (err) {
+            onComplete(new Error("Could not reveal prediction"), false);
+            return;
+          }
+          for (var mentioned in mentions || {}) {
+            self._notify(mentioned, "mention", {predictionId: id});
+          }
+
+          // Followers of the user already have the prediction in their feed;
+          // followers of its topics get it now.
+          self._getRecipients(topics, function(recipients) {
+            var fanOut = {};
+            for (var uid in recipients) {
+              if (recipients.hasOwnProperty(uid) && uid != self._uid) {
+                self._addDelivery(fanOut, uid, id);
+              }
+            }
+            self._batchedUpdate(fanOut, function(failedPaths) {
+              if (failedPaths.length) {
+                onComplete(self._partialError(
+                  "Prediction revealed, but could not be delivered to " +
+                  failedPaths.length / 2 + " followers", failedPaths), true);
+                return;
+              }
+              onComplete(false, true);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Amend the text of a prediction posted by the current user, e.g. to fix a
+ * typo. The text as posted is never overwritten: the new text is appended,
+ * with a timestamp, to the revisions of the prediction, so that anyone can
+ * see what changed and when (see PublicPredictions.revisionHistory). Search
+ * finds the prediction by the words of the amended text. Only the text can
+ * be amended; the confidence and deadline the prediction is scored by, and
+ * the topics it is listed under, stay as posted. Resolved, retracted
+ * and sealed predictions cannot be amended, and like a post the amended
+ * text is limited to MAX_LENGTH characters. The provided callback will be
+ * called with (err, done) where "err" will be false if the amendment was
+ * recorded.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the prediction to amend.
+ * @param    {string}    content     The amended text.
+ * @param    {Function}  onComplete  The callback to call when the amendment
+ *                                   is recorded.
+ */
+PublicPredictions.prototype.amendPrediction = function(id, content, onComplete) {
+  var self = this;
+  self._validateString(id, "prediction ID");
+  self._validateString(content, "prediction");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+  if (content.length > PublicPredictions.MAX_LENGTH) {
+    throw new Error("Invalid prediction provided");
+  }
+
+  self._addRevision(id, {type: "amend", content: content}, {}, function(err) {
+    onComplete(err, !err);
+  });
+};
+
+/**
+ * Retract a prediction posted by the current user, e.g. to withdraw a bad
+ * call. The prediction stays where it was posted, marked as "retracted" with
+ * a timestamped revision giving the reason, and no longer takes forecasts.
+ * Retracting does not take it off the author's record: getPredictionStats()
+ * counts it as missed until it is resolved, and it is still resolved and
+ * scored as it was posted.
+ * Resolved predictions cannot be retracted. Everyone who forecast the
+ * prediction is notified. The provided callback will be called with
+ * (err, done) where "err" will be false if the retraction was recorded.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the prediction to retract.
+ * @param    {string}    reason      Optional. Why the prediction is retracted.
+ * @param    {Function}  onComplete  The callback to call when the retraction
+ *                                   is recorded.
+ */
+PublicPredictions.prototype.retractPrediction = function(id, reason, onComplete) {
+  var self = this;
+  self._validateString(id, "prediction ID");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+  if (reason !== undefined && reason !== null) {
+    self._validateString(reason, "reason");
+  }
+
+  var revision = {type: "retract"};
+  if (reason) {
+    revision.reason = reason;
+  }
+  var fields = {
+    retracted: true,
+    retractedAt: PublicPredictions.SERVER_TIMESTAMP,
+    clientRetractedAt: new Date().getTime()
+  };
+  self._addRevision(id, revision, fields, function(err) {
+    if (err) {
+      onComplete(err, false);
+      return;
+    }
+    self._firebase.child("forecasts").child(id).once("value", function(forecastsSnap) {
+      forecastsSnap.forEach(function(forecastSnap) {
+        self._notify(forecastSnap.key(), "retracted", {predictionId: id});
+      });
+    });
+    onComplete(false, true);
+  });
+};
+
+/**
+ * Delete a prediction posted by the current user, e.g. to undo a mistake or
+ * to honour a takedown request. Every reference post() created is removed:
+ * the prediction itself, its entries in the user's predictions list and in
+ * the latest predictions, in the content search index and under its topics,
+ * its forecasts and comments, and its entry in the feed of the user and of
+ * everyone it was delivered to. Lists registered with onNewPrediction() and
+ * the like report the removal through their onOverflow callback.
+ *
+ * Predictions that were resolved or retracted, or whose deadline has passed,
+ * count on the author's record, so they cannot be deleted: use
+ * retractPrediction() for open predictions that should no longer stand. Scores already recorded for forecasts (see
+ * the ledger) are kept, so deleting a prediction does not change anyone's
+ * record.
+ *
+ * The prediction and its own references are removed in a single atomic
+ * update, then the followers' feeds in batches; if only some of those
+ * batches could be written, "err" will have its "partial" property set to
+ * true and a "failedPaths" array listing what is left. The provided callback
+ * will be called with (err, done) where "err" will be false if the
+ * prediction was deleted everywhere.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the prediction to delete.
+ * @param    {Function}  onComplete  The callback to call when the prediction
+ *                                   is deleted.
+ */
+PublicPredictions.prototype.deletePrediction = function(id, onComplete) {
+  var self = this;
+  self._validateString(id, "prediction ID");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  self._firebase.child("predictions").child(id).once("value", function(snap) {
+    var prediction = snap.val();
+    if (!prediction || prediction.author != self._uid) {
+      onComplete(new Error("Only the author can delete a prediction"), false);
+      return;
+    }
+    if (prediction.outcome || prediction.retracted) {
+      onComplete(new Error("Resolved and retracted predictions cannot be deleted"), false);
+      return;
+    }
+    if (prediction.deadline && prediction.deadline <= new Date().getTime()) {
+      onComplete(new Error("Predictions past their deadline cannot be deleted"), false);
+      return;
+    }
+
+    // The same paths post() and importPredictions() wrote, set to null. The
+    // search index has the words of the latest text, see amendPrediction().
+    var topics = prediction.topics ? Object.keys(prediction.topics) :
+      self._extractTopics(prediction.content);
+    var updates = {};
+    updates["predictions/" + id] = null;
+    updates["users/" + self._uid + "/predictions/" + id] = null;
+    updates["users/" + self._uid + "/feed/" + id] = null;
+    updates["recent-predictions/" + id] = null;
+    updates["forecasts/" + id] = null;
+    updates["comments/" + id] = null;
+    updates["deliveries/" + id] = null;
+    var tokens = PublicPredictionsSearch.tokenize(self._currentContent(prediction));
+    for (var i = 0; i < tokens.length; i++) {
+      updates["search/tokens/" + tokens[i] + "/" + id] = null;
+    }
+    for (i = 0; i < topics.length; i++) {
+      updates["topics/" + topics[i] + "/" + id] = null;
+    }
+
+    // Predictions posted before deliveries were recorded only have their
+    // current recipients to go by.
+    self._firebase.child("deliveries").child(id).once("value", function(deliveriesSnap) {
+      var delivered = deliveriesSnap.val() || {};
+      self._getRecipients(topics, function(recipients) {
+        for (var uid in recipients) {
+          if (recipients.hasOwnProperty(uid)) {
+            delivered[uid] = true;
+          }
+        }
+        self._removeDeliveries(id, delivered, updates, onComplete);
+      });
+    });
+  });
+};
+
+PublicPredictions.prototype._removeDeliveries = function(id, delivered, updates, onComplete) {
+  // Write the atomic part of deletePrediction(), then remove the prediction
+  // from the feed of everyone it was delivered to, in batches.
+  var self = this;
+  self._firebase.update(updates, function(err) {
+    if (err) {
+      onComplete(new Error("Could not delete prediction"), false);
+      return;
+    }
+    var fanOut = {};
+    for (var uid in delivered) {
+      if (delivered.hasOwnProperty(uid) && uid != self._uid) {
+        fanOut["users/" + uid + "/feed/" + id] = null;
+      }
+    }
+    self._batchedUpdate(fanOut, function(failedPaths) {
+      if (failedPaths.length) {
+        onComplete(self._partialError(
+          "Prediction deleted, but not from the feeds of " +
+          failedPaths.length + " followers", failedPaths), false);
+        return;
+      }
+      onComplete(false, true);
+    });
+  });
+};
+
+/**
+ * Put the current user's own probability on someone else's prediction. Each
+ * user has at most one forecast per prediction; calling this again replaces
+ * it. Forecasts are accepted until the prediction's deadline passes or it is
+ * resolved, and are scored along with the author's confidence once it is.
+ * The provided callback will be called with (err, done) where "err" will be
+ * false if the forecast was recorded.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    predictionId  The ID of the prediction to forecast.
+ * @param    {number}    probability   The probability (between 0.01 and 0.99)
+ *                                     that the prediction comes true.
+ * @param    {Function}  onComplete    The callback to call when the forecast
+ *                                     is recorded.
+ */
+PublicPredictions.prototype.forecast = function(predictionId, probability, onComplete) {
+  var self = this;
+  self._validateString(predictionId, "prediction ID");
+  self._validateProbability(probability, "probability");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  self._firebase.child("predictions").child(predictionId).once("value", function(snap) {
+    var prediction = snap.val();
+    if (!prediction) {
+      onComplete(new Error("Prediction does not exist"), false);
+      return;
+    }
+    if (prediction.author == self._uid) {
+      onComplete(new Error("You cannot forecast your own prediction"), false);
+      return;
+    }
+    if (prediction.outcome || prediction.retracted || PublicPredictions.isSealed(prediction) ||
+        (prediction.deadline && prediction.deadline <= new Date().getTime())) {
+      onComplete(new Error("Prediction is no longer open for forecasts"), false);
+      return;
+    }
+
+    var forecastRef = self._firebase.child("forecasts").child(predictionId).child(self._uid);
+    forecastRef.set({
+      probability: probability,
+      timestamp: new Date().getTime()
+    }, function(err) {
+      if (err) {
+        onComplete(new Error("Could not record forecast"), false);
+        return;
+      }
+      self._notify(prediction.author, "forecast", {predictionId: predictionId});
+      onComplete(false, probability);
+    });
+  });
+};
+
+/**
+ * Register a callback to be notified of the community forecast on a
+ * prediction. The callback is invoked with an object containing the number of
+ * forecasts ("count"), their "mean" and "median" (both null when there are no
+ * forecasts yet), and a "forecasts" object mapping user IDs to their
+ * probability. It is called again whenever a forecast is added or changed.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    predictionId  The ID of the prediction.
+ * @param    {Function}  onComplete    The callback to call with the summary.
+ */
+PublicPredictions.prototype.onForecasts = function(predictionId, onComplete) {
+  var self = this;
+  self._validateString(predictionId, "prediction ID");
+  self._validateCallback(onComplete, true);
+
+  var ref = self._firebase.child("forecasts").child(predictionId);
+  var handler = ref.on("value", function(snap) {
+    var forecasts = snap.val() || {};
+    var summary = self._summarizeForecasts(forecasts);
+    summary.forecasts = {};
+    for (var uid in forecasts) {
+      if (forecasts.hasOwnProperty(uid)) {
+        summary.forecasts[uid] = forecasts[uid].probability;
+      }
+    }
+    onComplete(summary);
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+};
+
+/**
+ * Ask a question, as the current user, for everyone to forecast. Unlike a
+ * prediction, a question is not a claim of its owner's: it describes an
+ * event, and collects the forecasts of many users on it, see
+ * forecastQuestion(). The owner resolves it for everyone at once, see
+ * resolveQuestion(). The provided callback will be called with (err, done)
+ * where "err" will be false if the question was created, and done will be
+ * set to its ID.
+ *
+ * The question object must contain a "title", the "criteria" it will be
+ * resolved by, a "deadline" (a timestamp in ms) after which it is resolved,
+ * and a "type", one of:
+ *
+ *   binary   Forecasts are probabilities (0.01 to 0.99) that the answer is
+ *            yes, and the answer is "yes" or "no".
+ *   numeric  Forecasts and the answer are numbers, and forecasts must be
+ *            within the "min" and "max" the question also contains.
+ *   choice   Forecasts are arrays of probabilities, one for each of the
+ *            "choices" (2 to MAX_CHOICES strings) the question also contains,
+ *            adding up to 1, and the answer is the index of a choice.
+ *
+ * Any question can also be answered "void" if it cannot be resolved.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Object}    question    The question, see above.
+ * @param    {Function}  onComplete  The callback to call when the question
+ *                                   is created.
+ */
+PublicPredictions.prototype.createQuestion = function(question, onComplete) {
+  var self = this;
+  question = question || {};
+  self._validateString(question.title, "title");
+  self._validateString(question.criteria, "resolution criteria");
+  self._validateDeadline(question.deadline);
+  self._validateCallback(onComplete);
+  self._validateWritable();
+  if (PublicPredictions.QUESTION_TYPES.indexOf(question.type) < 0) {
+    throw new Error("Invalid question type provided");
+  }
+
+  var stored = {
+    owner: self._uid,
+    by: self._fullName,
+    title: question.title,
+    criteria: question.criteria,
+    deadline: question.deadline,
+    type: question.type,
+    timestamp: PublicPredictions.SERVER_TIMESTAMP,
+    clientTimestamp: new Date().getTime()
+  };
+  if (question.type == "numeric") {
+    if (typeof question.min != "number" || typeof question.max != "number" ||
+        !isFinite(question.min) || !isFinite(question.max) || question.min >= question.max) {
+      throw new Error("Invalid range provided");
+    }
+    stored.min = question.min;
+    stored.max = question.max;
+  } else if (question.type == "choice") {
+    var choices = question.choices;
+    if (!Array.isArray(choices) || choices.length < 2 ||
+        choices.length > PublicPredictions.MAX_CHOICES) {
+      throw new Error("Invalid choices provided");
+    }
+    for (var i = 0; i < choices.length; i++) {
+      self._validateString(choices[i], "choice");
+    }
+    stored.choices = choices;
+  }
+
+  // The question, a reference to it for its owner, and its place in the
+  // latest questions are written atomically, as in post().
+  var id = self._firebase.child("questions").push().key();
+  var updates = {};
+  updates["questions/" + id] = stored;
+  updates["users/" + self._uid + "/questions/" + id] = true;
+  updates["recent-questions/" + id] = {
+    ".value": true, ".priority": PublicPredictions.SERVER_TIMESTAMP
+  };
+  self._firebase.update(updates, function(err) {
+    if (err) {
+      onComplete(new Error("Could not create question"), false);
+      return;
+    }
+    onComplete(false, id);
+  });
+};
+
+/**
+ * Register a callback to be notified of a question, given its ID, and again
+ * whenever it changes, e.g. when it is resolved. The callback is provided the
+ * question as stored (see createQuestion()), with "outcome" and "resolvedAt"
+ * once it is resolved, or null if there is no such question.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    id          The ID of the question.
+ * @param    {Function}  onComplete  The callback to call with the question.
+ */
+PublicPredictions.prototype.onQuestion = function(id, onComplete) {
+  var self = this;
+  self._validateString(id, "question ID");
+  self._validateCallback(onComplete, true);
+
+  var ref = self._firebase.child("questions").child(id);
+  var handler = ref.on("value", function(snap) {
+    onComplete(self._readQuestion(snap));
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+};
+
+/**
+ * Register a callback to get the latest questions (default 10). The
+ * onComplete callback is invoked with the ID of each question and the
+ * question, as in onQuestion(), and again whenever a question changes. As
+ * with onLatestPrediction(), onOverflow is invoked with the ID of a question
+ * that is no longer among the latest.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {number}    count       The maximum number of questions to report.
+ * @param    {Function}  onComplete  The callback to call with each question.
+ * @param    {Function}  onOverflow  The callback to call when a question
+ *                                   needs to be evicted.
+ */
+PublicPredictions.prototype.onLatestQuestion = function(count, onComplete, onOverflow) {
+  var self = this;
+  self._validateCallback(onComplete, true);
+  self._validateCallback(onOverflow, true);
+
+  var questionHandlers = {};
+  var list = self._firebase.child("recent-questions").limitToLast(count || 10);
+  var handler = list.on("child_added", function(snap) {
+    var questionID = snap.key();
+    var questionRef = self._firebase.child("questions").child(questionID);
+    var handler = questionRef.on("value", function(questionSnap) {
+      var question = self._readQuestion(questionSnap);
+      if (question !== null) {
+        onComplete(questionID, question);
+      }
+    });
+    questionHandlers[questionID] = handler;
+    self._handlers.push({
+      ref: questionRef, handler: handler, eventType: "value"
+    });
+  });
+  self._handlers.push({
+    ref: list, handler: handler, eventType: "child_added"
+  });
+
+  handler = list.on("child_removed", function(snap) {
+    var questionID = snap.key();
+    if (questionHandlers[questionID]) {
+      self._firebase.child("questions").child(questionID).off(
+        "value", questionHandlers[questionID]
+      );
+      delete questionHandlers[questionID];
+    }
+    onOverflow(questionID);
+  });
+  self._handlers.push({
+    ref: list, handler: handler, eventType: "child_removed"
+  });
+};
+
+/**
+ * Put the current user's forecast on a question, see createQuestion() for
+ * what a forecast is for each type of question. Each user has one forecast
+ * per question; calling this again replaces it, but every forecast is kept
+ * in the question's history, which onQuestionForecasts() reports the
+ * community's forecasts over time from. Forecasts are accepted until the
+ * question's deadline passes or it is resolved. The provided callback will be
+ * called with (err, done) where "err" will be false if the forecast was
+ * recorded.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the question.
+ * @param    {*}         value       The forecast.
+ * @param    {Function}  onComplete  The callback to call when the forecast is
+ *                                   recorded.
+ */
+PublicPredictions.prototype.forecastQuestion = function(id, value, onComplete) {
+  var self = this;
+  self._validateString(id, "question ID");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  self._firebase.child("questions").child(id).once("value", function(snap) {
+    var question = self._readQuestion(snap);
+    if (!question) {
+      onComplete(new Error("Question does not exist"), false);
+      return;
+    }
+    if (question.outcome !== undefined || question.deadline <= new Date().getTime()) {
+      onComplete(new Error("Question is no longer open for forecasts"), false);
+      return;
+    }
+    var forecast = self._questionValue(question, value);
+    if (forecast === null) {
+      onComplete(new Error("Invalid forecast provided"), false);
+      return;
+    }
+
+    var updates = {};
+    updates["question-forecasts/" + id + "/" + self._uid] = {
+      value: forecast, timestamp: PublicPredictions.SERVER_TIMESTAMP
+    };
+    var historyId = self._firebase.child("question-history").child(id).push().key();
+    updates["question-history/" + id + "/" + historyId] = {
+      user: self._uid, value: forecast, timestamp: PublicPredictions.SERVER_TIMESTAMP
+    };
+    self._firebase.update(updates, function(err) {
+      if (err) {
+        onComplete(new Error("Could not record forecast"), false);
+        return;
+      }
+      onComplete(false, true);
+    });
+  });
+};
+
+/**
+ * Register a callback to be notified of the community's forecasts on a
+ * question. The callback is invoked with a summary of the latest forecast of
+ * each user: the number of forecasts ("count"), and
+ *
+ *   binary   their "mean" and "median" probability,
+ *   numeric  their "mean" and "median", and "bins", the number of forecasts
+ *            in each of QUESTION_BINS equal parts of the question's range,
+ *   choice   "choices", the mean probability of each choice,
+ *
+ * all of which are null when there are no forecasts yet. The summary also
+ * has a "forecasts" object mapping user IDs to their forecast, and a
+ * "timeline", an array with the same summary (without those two fields) as
+ * of each forecast that was made, oldest first, each with its "timestamp".
+ * It is called again whenever a forecast is made, or once with null if there
+ * is no such question.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    id          The ID of the question.
+ * @param    {Function}  onComplete  The callback to call with the summary.
+ */
+PublicPredictions.prototype.onQuestionForecasts = function(id, onComplete) {
+  var self = this;
+  self._validateString(id, "question ID");
+  self._validateCallback(onComplete, true);
+
+  // The summary depends on the type of the question, which never changes.
+  // Both listeners are registered right away, so that unload() removes them
+  // even if it is called before either has been answered.
+  var question;
+  var history = null;
+  var summarize = function() {
+    if (!question || !history) {
+      return;
+    }
+    // Replay the history, oldest first, keeping the latest forecast of each
+    // user.
+    var tally = self._questionTally(question);
+    var timeline = [];
+    history.forEach(function(entrySnap) {
+      var entry = entrySnap.val();
+      tally.add(entry.user, question.type == "choice" ?
+        self._toArray(entry.value) : entry.value);
+      var point = tally.summary();
+      point.timestamp = entry.timestamp;
+      timeline.push(point);
+    });
+    var summary = tally.summary();
+    summary.forecasts = tally.forecasts;
+    summary.timeline = timeline;
+    onComplete(summary);
+  };
+
+  var questionRef = self._firebase.child("questions").child(id);
+  var questionHandler = questionRef.on("value", function(questionSnap) {
+    var first = question === undefined;
+    question = self._readQuestion(questionSnap);
+    if (!question) {
+      onComplete(null);
+    } else if (first) {
+      summarize();
+    }
+  });
+  var historyRef = self._firebase.child("question-history").child(id);
+  var historyHandler = historyRef.on("value", function(historySnap) {
+    history = historySnap;
+    summarize();
+  });
+  self._handlers.push({
+    ref: questionRef, handler: questionHandler, eventType: "value"
+  });
+  self._handlers.push({
+    ref: historyRef, handler: historyHandler, eventType: "value"
+  });
+};
+
+/**
+ * Resolve a question owned by the current user, for everyone who forecast
+ * it. Questions can only be resolved once their deadline has passed, and
+ * only once. The outcome depends on the type of the question, see
+ * createQuestion(). Forecasts on binary questions are then scored, like
+ * forecasts on predictions, and count on the leaderboard; everyone who
+ * forecast the question is notified. The provided callback will be called
+ * with (err, done) where "err" will be false if the question was resolved,
+ * and done will be set to the recorded outcome.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    id          The ID of the question to resolve.
+ * @param    {*}         outcome     The answer to the question, or "void".
+ * @param    {Function}  onComplete  The callback to call when resolution is
+ *                                   done.
+ */
+PublicPredictions.prototype.resolveQuestion = function(id, outcome, onComplete) {
+  var self = this;
+  self._validateString(id, "question ID");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+
+  var questionRef = self._firebase.child("questions").child(id);
+  questionRef.once("value", function(snap) {
+    var question = self._readQuestion(snap);
+    if (!question || question.owner != self._uid) {
+      onComplete(new Error("Only the owner can resolve a question"), false);
+      return;
+    }
+    if (question.outcome !== undefined) {
+      onComplete(new Error("Question has already been resolved"), false);
+      return;
+    }
+    if (question.deadline > new Date().getTime()) {
+      onComplete(new Error("Question cannot be resolved before its deadline"), false);
+      return;
+    }
+    if (self._questionOutcome(question, outcome) === null) {
+      onComplete(new Error("Invalid outcome provided"), false);
+      return;
+    }
+
+    questionRef.update({
+      outcome: outcome,
+      resolvedAt: PublicPredictions.SERVER_TIMESTAMP,
+      clientResolvedAt: new Date().getTime()
+    }, function(err) {
+      if (err) {
+        onComplete(new Error("Could not resolve question"), false);
+        return;
+      }
+      // Scores go into the ledger under the question's ID, with the topics
+      // of its title.
+      var scored = {author: null, content: question.title};
+      var binaryOutcome = {yes: "right", no: "wrong"}[outcome] || "void";
+      self._firebase.child("question-forecasts").child(id).once("value", function(forecastsSnap) {
+        forecastsSnap.forEach(function(forecastSnap) {
+          if (question.type == "binary") {
+            self._recordScore(forecastSnap.key(), id, scored,
+                              forecastSnap.val().value, binaryOutcome);
+          }
+          self._notify(forecastSnap.key(), "question-resolved", {questionId: id});
+        });
+      });
+      onComplete(false, outcome);
+    });
+  });
+};
+
+/**
+ * Register a callback to be notified of the leaderboard, which ranks users by
+ * the mean Brier score of their scored predictions and forecasts (lower is
+ * better, ties go to the user with more scored forecasts). The callback is
+ * invoked with an array of objects containing "userId", "fullName", "count",
+ * "brier" and "log", and is called again whenever a prediction is resolved.
+ *
+ * The options object may contain "minResolved" (the minimum number of scored
+ * forecasts to be ranked, default 1), "window" (only count forecasts resolved
+ * in the last this many ms, as of each time the leaderboard is reported),
+ * "since" (only count forecasts resolved after this timestamp in ms) and
+ * "topic" (only count predictions tagged with this topic).
+ *
+ * Without a window, since or topic, the leaderboard comes from each user's
+ * running totals. Filtered leaderboards read the forecasts scored since the
+ * start of the window (on the topic, if any) again each time a prediction is
+ * resolved, and when the oldest of those leaves the window.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {Object}    options     The filters to apply, see above.
+ * @param    {Function}  onComplete  The callback to call with the rankings.
+ */
+PublicPredictions.prototype.onLeaderboard = function(options, onComplete) {
+  var self = this;
+  options = options || {};
+  self._validateCallback(onComplete, true);
+
+  var minResolved = options.minResolved || 1;
+  var topic = options.topic ? options.topic.replace(/^#/, "").toLowerCase() : null;
+  var filtered = !!(options.window || options.since || topic);
+  var people = {};
+  var generation = 0;
+
+  var report = function(current, totals) {
+    // Turn totals, by user ID, into rankings. Names are looked up once per
+    // user and reused as the rankings change. If the leaderboard changes
+    // again while names are loading, only the newest rankings are reported.
+    var rankings = [];
+    for (var uid in totals) {
+      var total = totals[uid];
+      if (totals.hasOwnProperty(uid) && total.count >= minResolved) {
+        rankings.push({
+          userId: uid, count: total.count,
+          brier: total.brierTotal / total.count, log: total.logTotal / total.count
+        });
+      }
+    }
+    rankings.sort(function(a, b) {
+      return (a.brier - b.brier) || (b.count - a.count);
+    });
+
+    var pending = 0;
+    var done = function() {
+      if (current != generation) {
+        return;
+      }
+      for (var i = 0; i < rankings.length; i++) {
+        rankings[i].fullName = people[rankings[i].userId];
+      }
+      onComplete(rankings);
+    };
+    var lookUp = function(uid) {
+      self._firebase.child("people").child(uid).child("fullName").once("value", function(snap) {
+        people[uid] = snap.val();
+        if (--pending === 0) {
+          done();
+        }
+      });
+    };
+    for (var i = 0; i < rankings.length; i++) {
+      if (!people.hasOwnProperty(rankings[i].userId)) {
+        pending++;
+        lookUp(rankings[i].userId);
       }
     }
-    return true;
+    if (pending === 0) {
+      done();
+    }
   };
 
-  if (isValidStem(term) && term.length >= 3) {
-    if (this._currentSearch) {
-      // we have an existing search
-      if (this._currentSearch.containsTerm(term)) {
-        // update the term
-        this._currentSearch.updateTerm(term);
-      } else {
-        // stop the search
-        this.stopSearching();
+  var timer = null;
+  var refresh = function() {
+    var current = ++generation;
+    var now = new Date().getTime();
+    var since = Math.max(options.since || 0, options.window ? now - options.window : 0);
+    var query = topic ? self._firebase.child("ledger-by-topic").child(topic) :
+      self._firebase.child("ledger-by-time");
+    query.orderByChild("resolvedAt").startAt(since).once("value", function(ledgerSnap) {
+      if (current != generation) {
+        return;
       }
+      var totals = {};
+      var oldest = null;
+      ledgerSnap.forEach(function(entrySnap) {
+        var entry = entrySnap.val();
+        var total = totals[entry.user] || {count: 0, brierTotal: 0, logTotal: 0};
+        total.count++;
+        total.brierTotal += entry.brier;
+        total.logTotal += entry.log;
+        totals[entry.user] = total;
+        if (oldest === null || entry.resolvedAt < oldest) {
+          oldest = entry.resolvedAt;
+        }
+      });
+
+      // Report again when the oldest score leaves the window. Timers cannot
+      // be set further ahead than 2^31 - 1 ms, so long waits are split up.
+      var index = self._timers.indexOf(timer);
+      if (index >= 0) {
+        clearTimeout(timer);
+        self._timers.splice(index, 1);
+      }
+      if (options.window && oldest !== null) {
+        var delay = Math.min(oldest + options.window - now + 1, 0x7fffffff);
+        timer = setTimeout(refresh, Math.max(delay, 0));
+        self._timers.push(timer);
+      }
+      report(current, totals);
+    });
+  };
+
+  // The running totals change with every resolution, so they are also what
+  // filtered leaderboards are refreshed on.
+  var ref = self._firebase.child("scores");
+  var handler = ref.on("value", function(scoresSnap) {
+    if (filtered) {
+      refresh();
     } else {
-      // This is a new search
-      this._currentSearch = new PublicPredictionsSearch(this._firebase, term, this._searchHandler);
+      report(++generation, scoresSnap.val() || {});
     }
-  } else {
-    this.stopSearching();
-  }
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
 };
 
-PublicPredictions.prototype.stopSearching = function() {
-  if (this._currentSearch) {
-    this._currentSearch.stopSearch();
-    this._currentSearch = null;
+/**
+ * Add a comment to the discussion thread of a prediction, as the current
+ * user. Comments are limited to MAX_LENGTH characters. The provided callback
+ * will be called with (err, done) where "err" will be false if the comment
+ * was posted, and done will be set to the ID of the new comment.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    predictionId  The ID of the prediction to comment on.
+ * @param    {string}    content       The content of the comment.
+ * @param    {Function}  onComplete    The callback to call when the comment
+ *                                     is posted.
+ */
+PublicPredictions.prototype.addComment = function(predictionId, content, onComplete) {
+  var self = this;
+  self._validateString(predictionId, "prediction ID");
+  self._validateString(content, "comment");
+  self._validateCallback(onComplete);
+  self._validateWritable();
+  if (content.length > PublicPredictions.MAX_LENGTH) {
+    throw new Error("Invalid comment provided");
   }
-  this._searchHandler && this._searchHandler([]);
+
+  var commentRef = self._firebase.child("comments").child(predictionId).push();
+  commentRef.set({
+    author: self._uid,
+    by: self._fullName,
+    content: content,
+    timestamp: new Date().getTime()
+  }, function(err) {
+    if (err) {
+      onComplete(new Error("Could not post comment"), false);
+      return;
+    }
+
+    // Let the author of the prediction, and anyone mentioned, know about it.
+    self.getPrediction(predictionId, function(prediction) {
+      if (prediction) {
+        self._notify(prediction.author, "comment", {predictionId: predictionId});
+      }
+    });
+    self._resolveMentions(content, function(mentions) {
+      for (var mentioned in mentions || {}) {
+        self._notify(mentioned, "mention", {predictionId: predictionId});
+      }
+    });
+    onComplete(false, commentRef.key());
+  });
 };
 
 /**
- * Get information on a particular prediction, given a prediction ID. You do not need
- * to be authenticated to make this call. The onComplete callback will be
- * provided an object as a single argument, containing the same fields as the
- * object returned by onNewPrediction().
+ * Register callbacks to be notified of the comments on a prediction. The
+ * onComplete callback is invoked with the comment ID and an object containing
+ * the "author", "by", "pic", "content" and "timestamp" properties, once for
+ * each existing comment and then for every new comment in real time. The
+ * onRemoved callback is invoked with the comment ID when a comment is deleted.
  *
- * onComplete will be called only once as predictions cannot be modified once they
- * are posted (see rules.json).
+ * You do not need to be authenticated to use this function.
  *
- * @param    {string}    id          The prediction ID of the prediction to be fetched.
- * @param    {Function}  onComplete  The callback to call with the prediction.
+ * @param    {string}    predictionId  The ID of the prediction.
+ * @param    {Function}  onComplete    The callback to call for each comment.
+ * @param    {Function}  onRemoved     The callback to call when a comment is
+ *                                     deleted.
  */
-PublicPredictions.prototype.getPrediction = function(id, onComplete) {
+PublicPredictions.prototype.onComment = function(predictionId, onComplete, onRemoved) {
   var self = this;
+  self._validateString(predictionId, "prediction ID");
   self._validateCallback(onComplete, true);
-  self._firebase.child("predictions").child(id).once("value", function(snap) {
-    onComplete(snap.val());
+  self._validateCallback(onRemoved, true);
+
+  var ref = self._firebase.child("comments").child(predictionId);
+  var handler = ref.on("child_added", function(snap) {
+    var comment = snap.val();
+    self._resolvePic(comment.author, comment.by, false, function(pic) {
+      comment.pic = pic;
+      onComplete(snap.key(), comment);
+    });
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "child_added"
+  });
+
+  handler = ref.on("child_removed", function(snap) {
+    onRemoved(snap.key());
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "child_removed"
   });
 };
 
 /**
- * Follow a particular user, on behalf of the user who is currently logged in.
- * The provided callback will be called with (err, done) where "err" will be
- * false if the follow operation succeeded. You need to be authenticated
- * through login() to use this function.
+ * Delete a comment from the discussion thread of a prediction. Only the
+ * author of the comment, or of the prediction, may delete it. The provided
+ * callback will be called with (err, done) where "err" will be false if the
+ * comment was deleted.
  *
- * @param    {string}    user        The user to follow.
- * @param    {Function}  onComplete  The callback to call when follow is done.
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    predictionId  The ID of the prediction.
+ * @param    {string}    commentId     The ID of the comment to delete.
+ * @param    {Function}  onComplete    The callback to call when the comment
+ *                                     is deleted.
  */
-PublicPredictions.prototype.follow = function(user, onComplete) {
+PublicPredictions.prototype.deleteComment = function(predictionId, commentId, onComplete) {
   var self = this;
-  self._validateString(user, "user");
+  self._validateString(predictionId, "prediction ID");
+  self._validateString(commentId, "comment ID");
   self._validateCallback(onComplete);
+  self._validateWritable();
 
-  // First, we add the user to the "following" list of the current user.
-  self._mainUser.child("following").child(user).set(true, function(err) {
-    if (err) {
-      onComplete(new Error("Could not follow user"), false);
+  var commentRef = self._firebase.child("comments").child(predictionId).child(commentId);
+  commentRef.once("value", function(commentSnap) {
+    var comment = commentSnap.val();
+    if (!comment) {
+      onComplete(new Error("Comment does not exist"), false);
       return;
     }
-
-    // Then, we add the current user to the followers list of user just followed.
-    var followUser = self._firebase.child("users").child(user);
-    followUser.child("followers").child(self._uid).set(true);
-
-    // Last, we copy all previous predictions generated by the user just followed
-    // to the feed of the current user so they will be displayed.
-    // NOTE: this will result in the onNewPrediction callback being called, so
-    // as soon as a follow is complete, predictions will instantly appear!
-    var myFeed = self._mainUser.child("feed");
-    followUser.child("predictions").once("value", function(predictionSnap) {
-      predictionSnap.forEach(function(prediction) {
-        myFeed.child(prediction.name()).set(true);
+    self.getPrediction(predictionId, function(prediction) {
+      if (comment.author != self._uid && !(prediction && prediction.author == self._uid)) {
+        onComplete(new Error("You cannot delete this comment"), false);
+        return;
+      }
+      commentRef.remove(function(err) {
+        if (err) {
+          onComplete(new Error("Could not delete comment"), false);
+          return;
+        }
+        onComplete(false, commentId);
       });
     });
-
-    // All done!
-    onComplete(false, user);
   });
 };
 
 /**
- * Post a prediction as the current user. The provided callback will be called with
- * (err, done) where "err" will be false if the post succeeded, and done will
- * be set to the ID of the prediction just posted. You need to be authenticated
- * through login() to use this function.
+ * Register callbacks to be notified of the current user's notifications,
+ * which are written whenever someone follows the user, comments on or
+ * forecasts against one of their predictions, mentions them (as "@" followed
+ * by their first and last name joined with a dot, or by their user ID),
+ * resolves or retracts a prediction they forecast, or resolves a question
+ * they forecast. The parameters behave like onNewPrediction: onComplete is
+ * called with the notification ID and an object containing "type" (one of
+ * "follow", "comment", "forecast", "mention", "resolved", "retracted" or
+ * "question-resolved"), "from", "fromName", "pic", "timestamp", "read" and,
+ * where relevant, "predictionId", "questionId" and "outcome". onComplete is
+ * called again when a notification changes (e.g. is marked read), and
+ * onOverflow is called with the notification ID when one is evicted.
  *
- * @param    {string}    content     The content of the prediction in text form.
- * @param    {Function}  onComplete  The callback to call when the post is done.
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {number}    count       The maximum number of notifications to
+ *                                   report. Defaults to 50.
+ * @param    {Function}  onComplete  The callback to call for each
+ *                                   notification.
+ * @param    {Function}  onOverflow  The callback to call when a notification
+ *                                   needs to be evicted.
  */
-PublicPredictions.prototype.post = function(content, onComplete) {
+PublicPredictions.prototype.onNotification = function(count, onComplete, onOverflow) {
   var self = this;
-  self._validateString(content, "prediction");
   self._validateCallback(onComplete);
+  self._validateCallback(onOverflow);
 
-  // First, we add the prediction to the global predictions list. push() ensures that
-  // we get a unique ID for the prediction that is chronologically ordered.
-  var predictionRef = self._firebase.child("predictions").push();
-  var predictionRefId = predictionRef.name();
-  var prediction = {
-    author: self._uid, // uid for v2 security rules
-    by: self._fullName,
-    content: content,
-    timestamp: new Date().getTime()
+  var ref = self._firebase.child("notifications").child(self._uid).limitToLast(count || 50);
+  var report = function(snap) {
+    var notification = snap.val();
+    self._resolvePic(notification.from, notification.fromName, false, function(pic) {
+      notification.pic = pic;
+      onComplete(snap.key(), notification);
+    });
   };
+  var handler = ref.on("child_added", report);
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "child_added"
+  });
+  handler = ref.on("child_changed", report);
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "child_changed"
+  });
+  handler = ref.on("child_removed", function(snap) {
+    onOverflow(snap.key());
+  });
+  self._handlers.push({
+    ref: ref, handler: handler, eventType: "child_removed"
+  });
+};
 
-  predictionRef.set(prediction, function(err) {
-    if (err) {
-      onComplete(new Error("Could not post prediction"), false);
-      return;
-    }
+/**
+ * Register a callback to be notified of the number of unread notifications
+ * of the current user, e.g. for a badge. Unlike other handlers, this one is
+ * not removed by unload() but stays registered until the user logs out.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call with the count.
+ */
+PublicPredictions.prototype.onUnreadNotificationCount = function(onComplete) {
+  var self = this;
+  self._validateCallback(onComplete);
 
-    // Now we add a "reference" to the prediction we just pushed, by adding it to
-    // the predictions list for the current user.
-    var feedPredictionRef = self._mainUser.child("predictions").child(predictionRefId);
-    feedPredictionRef.set(true, function(err) {
-      if (err) {
-        onComplete(new Error("Could not add prediction to feed"), false);
-        return;
-      }
+  var ref = self._firebase.child("notifications").child(self._uid).
+    orderByChild("read").equalTo(false);
+  var handler = ref.on("value", function(snap) {
+    onComplete(snap.numChildren());
+  });
+  self._sessionHandlers.push({
+    ref: ref, handler: handler, eventType: "value"
+  });
+};
 
-      // Then, we add the prediction ID to the users own feed.
-      self._mainUser.child("feed").child(predictionRefId).set(true);
+/**
+ * Mark some of the current user's notifications as read, typically those
+ * that were shown (see onNotification()); the others stay unread. The
+ * provided callback will be called with (err, done) where "err" will be
+ * false if the notifications were updated, and done will be set to how many
+ * were marked.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     ids         The IDs of the notifications to mark.
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+PublicPredictions.prototype.markNotificationsRead = function(ids, onComplete) {
+  var self = this;
+  self._validateCallback(onComplete);
+  if (!Array.isArray(ids)) {
+    throw new Error("Invalid notification IDs provided");
+  }
 
-      // We also add ourself (with priority) to a list of users with recent
-      // activity which we can use elsewhere to see "active" users.
-      var time = new Date().getTime();
-      var recentUsersRef = self._firebase.child("recent-users");
+  var updates = {};
+  for (var i = 0; i < ids.length; i++) {
+    self._validateString(ids[i], "notification ID");
+    updates["notifications/" + self._uid + "/" + ids[i] + "/read"] = true;
+  }
+  self._batchedUpdate(updates, function(failedPaths) {
+    if (failedPaths.length) {
+      onComplete(new Error("Could not mark notifications read"), false);
+      return;
+    }
+    onComplete(false, ids.length);
+  });
+};
 
-      recentUsersRef.child(self._uid).setWithPriority(true, time);
+/**
+ * Register a callback to be notified of the current user's predictions that
+ * are past their deadline but have not been resolved yet, i.e. those waiting
+ * for resolvePrediction(). The callback is invoked with an array of objects
+ * containing the "predictionId" and the same fields as onNewPrediction,
+ * oldest deadline first, and again whenever that list changes.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call with the list.
+ */
+PublicPredictions.prototype.onDuePredictions = function(onComplete) {
+  var self = this;
+  self._validateCallback(onComplete);
 
-      // We'll also add the prediction to a separate list of most recent predictions
-      // which can be displayed elsewhere, just like active users above.
-      var recentPredictionRef = self._firebase.child("recent-predictions");
-      recentPredictionRef.child(predictionRefId).setWithPriority(true, time);
+  self._onOwnPredictions(function(predictions) {
+    var now = new Date().getTime();
+    onComplete(self._predictionsByDeadline(predictions, function(prediction) {
+      return prediction.deadline <= now;
+    }));
+  });
+};
 
-      // Finally, we add the prediction ID to the feed of everyone who follows
-      // the current user.
-      self._mainUser.child("followers").once("value", function(followerList) {
-        followerList.forEach(function(follower) {
-          if (!follower.val()) {
-            return;
-          }
-          var childRef = self._firebase.child("users").child(follower.name());
-          childRef.child("feed").child(predictionRefId).set(true);
-        });
-      });
+/**
+ * Register a callback to be notified of the current user's unresolved
+ * predictions whose deadline is less than the given number of days away. The
+ * callback is invoked like the one of onDuePredictions().
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {number}    days        How many days ahead to look. Defaults to
+ *                                   DEFAULT_REMINDER_DAYS.
+ * @param    {Function}  onComplete  The callback to call with the list.
+ */
+PublicPredictions.prototype.onUpcomingDeadlines = function(days, onComplete) {
+  var self = this;
+  self._validateCallback(onComplete);
+  days = days || PublicPredictions.DEFAULT_REMINDER_DAYS;
 
-      // All done!
-      onComplete(false, predictionRefId);
-    });
+  self._onOwnPredictions(function(predictions) {
+    var now = new Date().getTime();
+    var horizon = now + days * 24 * 60 * 60 * 1000;
+    onComplete(self._predictionsByDeadline(predictions, function(prediction) {
+      return prediction.deadline > now && prediction.deadline <= horizon;
+    }));
   });
 };
 
@@ -508,7 +3921,7 @@ PublicPredictions.prototype.getSuggestedUsers = function(onSuggestedUser) {
 
     // We limit to 20 to try to ensure that there are at least 5 you aren't
     // already following.
-    var recentUsersQuery = self._firebase.child("recent-users").limit(20);
+    var recentUsersQuery = self._firebase.child("recent-users").limitToLast(20);
     var count = 0;
 
     var recentUsersRef = self._firebase.child("recent-users");
@@ -517,7 +3930,7 @@ PublicPredictions.prototype.getSuggestedUsers = function(onSuggestedUser) {
         if (count >= 5) {
           return true; // Stop enumerating.
         }
-        var userid = recentUserSnap.name();
+        var userid = recentUserSnap.key();
         if (userid == self._uid || followerList.indexOf(userid) >= 0) {
           return; // Skip this one.
         }
@@ -538,10 +3951,44 @@ PublicPredictions.prototype.getSuggestedUsers = function(onSuggestedUser) {
  * @param    {Object}    value       The new value to write.
  */
 PublicPredictions.prototype.setProfileField = function(field, value) {
+  this._validateWritable();
   var peopleRef = this._firebase.child("people").child(this._uid);
   peopleRef.child(field).set(value);
 };
 
+/**
+ * Set the picture of the current user to an uploaded image, given as a
+ * base64 encoded PNG, JPEG or GIF data URL of at most MAX_AVATAR_LENGTH
+ * characters; scale the image down before calling this. Pass null to remove
+ * the uploaded picture, after which the user's Facebook picture, Gravatar or
+ * initials are shown again, see PublicPredictionsAvatar.
+ *
+ * @param    {string}    dataURL     The image, or null.
+ * @param    {Function}  onComplete  The callback to call when the picture
+ *                                   has been saved, with an error or false.
+ */
+PublicPredictions.prototype.setAvatar = function(dataURL, onComplete) {
+  var self = this;
+  self._validateWritable();
+  self._validateCallback(onComplete, true);
+  if (dataURL !== null && (!PublicPredictionsAvatar.isImageDataURL(dataURL) ||
+      dataURL.length > PublicPredictions.MAX_AVATAR_LENGTH)) {
+    throw new Error("Invalid picture provided");
+  }
+
+  var ref = self._firebase.child("people").child(self._uid).child("avatar/dataURL");
+  ref.set(dataURL, function(err) {
+    if (err) {
+      onComplete(new Error("Could not save picture"));
+      return;
+    }
+    var avatar = self._avatars[self._uid] || {};
+    avatar.dataURL = dataURL;
+    self._avatars[self._uid] = avatar;
+    onComplete(false);
+  });
+};
+
 /**
  * Register a callback to be notified whenever a new prediction appears on the
  * current user's list. This is usually triggered by another user posting a
@@ -580,15 +4027,18 @@ PublicPredictions.prototype.setProfileField = function(field, value) {
  *                                   onComplete has already been called
  *                                   totalCount times, to keep the total number
  *                                   of reported predictions capped at totalCount.
- *                                   This will be called with one argument,
- *                                   the prediction ID of the prediction expected to
- *                                   removed (the oldest prediction).
+ *                                   This will be called with the prediction ID
+ *                                   of the prediction expected to removed (the
+ *                                   oldest prediction), and a boolean that is
+ *                                   true if the prediction was actually removed
+ *                                   from the feed (e.g. after an unfollow)
+ *                                   rather than just pushed out of the window.
  */
 PublicPredictions.prototype.onNewPrediction = function(totalCount, onComplete, onOverflow) {
   this._validateCallback(onComplete);
   this._validateCallback(onOverflow);
 
-  var feed = this._mainUser.child("feed").limit(totalCount || 100);
+  var feed = this._mainUser.child("feed").limitToLast(totalCount || 100);
   this._onNewPredictionForFeed(feed, onComplete, onOverflow);
 };
 
@@ -617,11 +4067,37 @@ PublicPredictions.prototype.onNewPredictionFor = function(id, count, onComplete,
   this._validateCallback(onOverflow, true);
 
   var feed = this._firebase.child("users").child(id).child("predictions");
-  feed = feed.limit(count || 10);
+  feed = feed.limitToLast(count || 10);
 
   this._onNewPredictionForFeed(feed, onComplete, onOverflow);
 }
 
+/**
+ * Register a callback to be notified whenever a prediction is posted on a
+ * topic. The parameters of this function behave exactly like
+ * onNewPredictionFor, except that the predictions are those whose content
+ * contains the #topic.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    topic       The topic, with or without "#".
+ * @param    {number}    count       The maximum number of predictions to
+ *                                   report. Defaults to 10.
+ * @param    {Function}  onComplete  The callback to call whenever a new
+ *                                   prediction is posted on the topic.
+ * @param    {Function}  onOverflow  The callback that will be called when
+ *                                   a prediction needs to be evicted.
+ */
+PublicPredictions.prototype.onNewPredictionForTopic = function(topic, count, onComplete,
+                                                                onOverflow) {
+  topic = this._validateTopic(topic);
+  this._validateCallback(onComplete, true);
+  this._validateCallback(onOverflow, true);
+
+  var feed = this._firebase.child("topics").child(topic).limitToLast(count || 10);
+  this._onNewPredictionForFeed(feed, onComplete, onOverflow);
+};
+
 /**
  * Register a callback to get the latest predictions (default 5). The onComplete and
  * onOverflow handlers will be invoked in the same manner as onNewPredictionFor.
@@ -642,11 +4118,106 @@ PublicPredictions.prototype.onLatestPrediction = function(count, onComplete, onO
   this._validateCallback(onOverflow, true);
 
   var feed = this._firebase.child("recent-predictions");
-  feed = feed.limit(count || 5);
+  feed = feed.limitToLast(count || 5);
 
   this._onNewPredictionForFeed(feed, onComplete, onOverflow);
 };
 
+/**
+ * Fetch a page of older predictions from the current user's feed, for
+ * "load older" style paging below the live list of onNewPrediction(). The
+ * page consists of the count predictions that come right before beforeId, or
+ * the count latest predictions if beforeId is null. onComplete is called for
+ * each of them, newest first, with the same arguments as in onNewPrediction.
+ * Then onDone is called with the cursor to pass as beforeId to get the next
+ * page, and a boolean that is false once there are no older predictions left.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    beforeId    The ID of the oldest prediction shown so
+ *                                   far, or null.
+ * @param    {number}    count       The number of predictions to fetch.
+ * @param    {Function}  onComplete  The callback to call for each prediction.
+ * @param    {Function}  onDone      The callback to call after the page.
+ */
+PublicPredictions.prototype.getOlderPredictions = function(beforeId, count, onComplete,
+                                                           onDone) {
+  this._validateCallback(onComplete);
+  this._validateCallback(onDone);
+
+  var feed = this._mainUser.child("feed");
+  this._getOlderPredictionsForFeed(feed, beforeId, count || 10, onComplete, onDone);
+};
+
+/**
+ * Fetch a page of older predictions posted by a given user. The parameters
+ * behave exactly like getOlderPredictions, except that the predictions are
+ * always for the specified user.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    id          The user ID from whom the predictions are
+ *                                   fetched.
+ * @param    {string}    beforeId    The ID of the oldest prediction shown so
+ *                                   far, or null.
+ * @param    {number}    count       The number of predictions to fetch.
+ * @param    {Function}  onComplete  The callback to call for each prediction.
+ * @param    {Function}  onDone      The callback to call after the page.
+ */
+PublicPredictions.prototype.getOlderPredictionsFor = function(id, beforeId, count,
+                                                              onComplete, onDone) {
+  this._validateCallback(onComplete, true);
+  this._validateCallback(onDone, true);
+
+  var feed = this._firebase.child("users").child(id).child("predictions");
+  this._getOlderPredictionsForFeed(feed, beforeId, count || 10, onComplete, onDone);
+};
+
+/**
+ * Fetch a page of older predictions on a topic. The parameters behave
+ * exactly like getOlderPredictions, except that the predictions are always
+ * on the specified topic.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    topic       The topic, with or without "#".
+ * @param    {string}    beforeId    The ID of the oldest prediction shown so
+ *                                   far, or null.
+ * @param    {number}    count       The number of predictions to fetch.
+ * @param    {Function}  onComplete  The callback to call for each prediction.
+ * @param    {Function}  onDone      The callback to call after the page.
+ */
+PublicPredictions.prototype.getOlderPredictionsForTopic = function(topic, beforeId, count,
+                                                                   onComplete, onDone) {
+  topic = this._validateTopic(topic);
+  this._validateCallback(onComplete, true);
+  this._validateCallback(onDone, true);
+
+  var feed = this._firebase.child("topics").child(topic);
+  this._getOlderPredictionsForFeed(feed, beforeId, count || 10, onComplete, onDone);
+};
+
+/**
+ * Fetch a page of older predictions from the list of latest predictions. The
+ * parameters behave exactly like getOlderPredictions.
+ *
+ * You do not need to be authenticated to use this function.
+ *
+ * @param    {string}    beforeId    The ID of the oldest prediction shown so
+ *                                   far, or null.
+ * @param    {number}    count       The number of predictions to fetch.
+ * @param    {Function}  onComplete  The callback to call for each prediction.
+ * @param    {Function}  onDone      The callback to call after the page.
+ */
+PublicPredictions.prototype.getOlderLatestPredictions = function(beforeId, count,
+                                                                 onComplete, onDone) {
+  this._validateCallback(onComplete, true);
+  this._validateCallback(onDone, true);
+
+  var feed = this._firebase.child("recent-predictions");
+  this._getOlderPredictionsForFeed(feed, beforeId, count || 5, onComplete, onDone);
+};
+
 /**
  * Unload all event handlers currently registered. You must call this function
  * when you no longer want to receive updates. This is especially important
@@ -661,24 +4232,9 @@ PublicPredictions.prototype.unload = function() {
     ref.off(eventType, handler);
   }
   this._handlers = [];
+  for (i = 0; i < this._timers.length; i++) {
+    clearTimeout(this._timers[i]);
+  }
+  this._timers = [];
 };
 
-
-// Facebook Auth
-var firebase = new Firebase("https://publicpredictions.firebaseio.com/");
-
-// monitor state changes and react to updates
-var authClient = new FirebaseSimpleLogin(chatRef, function(error, user) {
-    if (error) {
-        // an error occurred while attempting login
-        console.log(error);
-    } else if (user) {
-        // user authenticated with Firebase
-        console.log('User ID: ' + user.id + ', Provider: ' + user.provider);
-    } else {
-        // user is logged out
-    }
-});
-
-// perform the login (to Facebook in this case)
-authClient.login('facebook');
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Write static Atom and RSS feed files from an exported snapshot, so feed
+ * readers and bots can follow users and topics without running the app.
+ *
+ *   node scripts/build-feeds.js <snapshot.json> <output-dir> <site-url>
+ *
+ * The snapshot is either a JSON export of the whole database, or a JSON file
+ * from a profile's "Download predictions" link (see exportPredictions()).
+ * This writes latest.atom and latest.rss, and users/<uid>.atom,
+ * users/<uid>.rss, topics/<topic>.atom and topics/<topic>.rss for every user
+ * and topic in the snapshot. Entries link back to <site-url>?prediction=<id>.
+ *
+ * The feeds are built by PublicPredictions.buildFeed() itself, against the
+ * in-memory backend loaded with the snapshot. The script can also be
+ * required, see build().
+ */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var SCRIPTS = [
+  "publicpredictions-memory.js",
+  "publicpredictions-search.js",
+  "publicpredictions-avatar.js",
+  "publicpredictions-feed.js",
+  "publicpredictions.js"
+];
+
+function load() {
+  var context = {setTimeout: setTimeout, clearTimeout: clearTimeout, console: console};
+  context.window = context;
+  context.window.location = {search: ""};
+  vm.createContext(context);
+  SCRIPTS.forEach(function(script) {
+    var file = path.join(__dirname, "..", "js", script);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, {filename: file});
+  });
+  return context;
+}
+
+function fromPredictionsExport(data, context) {
+  // Turn the export of one user's predictions into the database layout,
+  // with the lists buildFeed() reads: the user's predictions, the latest
+  // predictions, and the predictions of each topic.
+  var name = data.name || data.user;
+  var snapshot = {predictions: {}, users: {}, people: {}, topics: {}, "recent-predictions": {}};
+  var own = snapshot.users[data.user] = {predictions: {}};
+  snapshot.people[data.user] = {fullName: name};
+  data.predictions.forEach(function(exported) {
+    if (!exported.content) {
+      return;
+    }
+    var prediction = {
+      author: data.user,
+      by: name,
+      content: exported.content,
+      timestamp: Date.parse(exported.timestamp)
+    };
+    ["deadline", "resolvedAt", "retractedAt"].forEach(function(field) {
+      if (exported[field]) {
+        prediction[field] = Date.parse(exported[field]);
+      }
+    });
+    ["confidence", "outcome", "evidence", "imported", "retracted"].forEach(function(field) {
+      if (exported[field]) {
+        prediction[field] = exported[field];
+      }
+    });
+    // Topics are found the same way post() finds them.
+    var topics = context.PublicPredictions.prototype._extractTopics(exported.content);
+    if (topics.length) {
+      prediction.topics = {};
+      topics.forEach(function(topic) {
+        prediction.topics[topic] = true;
+        snapshot.topics[topic] = snapshot.topics[topic] || {};
+        snapshot.topics[topic][exported.id] = true;
+      });
+    }
+    snapshot.predictions[exported.id] = prediction;
+    own.predictions[exported.id] = true;
+    snapshot["recent-predictions"][exported.id] = {".value": true, ".priority": prediction.timestamp};
+  });
+  return snapshot;
+}
+
+/**
+ * Write the feed files of a snapshot into a directory, calling onComplete
+ * with an error (or false) and the paths of the files written.
+ */
+function build(data, outputDir, siteURL, onComplete) {
+  var context = load();
+  var snapshot = Array.isArray(data.predictions) ? fromPredictionsExport(data, context) : data;
+  var url = "memory://feeds";
+  context.PublicPredictionsMemoryStore.open(url).set(snapshot);
+  var publicpredictions = new context.PublicPredictions(url);
+
+  var feeds = [{file: "latest", options: {}}];
+  Object.keys(snapshot.users || {}).forEach(function(uid) {
+    feeds.push({file: path.join("users", uid.replace(/[^\w-]/g, "-")), options: {user: uid}});
+  });
+  Object.keys(snapshot.topics || {}).forEach(function(topic) {
+    feeds.push({file: path.join("topics", topic), options: {topic: topic}});
+  });
+
+  var jobs = [];
+  feeds.forEach(function(feed) {
+    ["atom", "rss"].forEach(function(format) {
+      jobs.push({file: feed.file + "." + format, options: Object.assign({
+        format: format, siteURL: siteURL, count: 50
+      }, feed.options)});
+    });
+  });
+
+  // Build one feed at a time, writing each as soon as it is ready.
+  var written = [];
+  var next = function() {
+    var job = jobs.shift();
+    if (!job) {
+      onComplete(false, written);
+      return;
+    }
+    publicpredictions.buildFeed(job.options, function(err, xml) {
+      if (err) {
+        onComplete(new Error("Could not build " + job.file + ": " + err.message), written);
+        return;
+      }
+      var file = path.join(outputDir, job.file);
+      fs.mkdirSync(path.dirname(file), {recursive: true});
+      fs.writeFileSync(file, xml);
+      written.push(file);
+      next();
+    });
+  };
+  next();
+}
+
+function main(args) {
+  if (args.length < 3) {
+    console.error("Usage: node scripts/build-feeds.js <snapshot.json> <output-dir> <site-url>");
+    process.exit(1);
+  }
+  var data = JSON.parse(fs.readFileSync(args[0], "utf8"));
+  build(data, args[1], args[2], function(err, written) {
+    written.forEach(function(file) {
+      console.log("Wrote " + file);
+    });
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  });
+}
+
+module.exports = {
+  fromPredictionsExport: fromPredictionsExport,
+  build: build
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
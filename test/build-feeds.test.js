@@ -0,0 +1,46 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var helpers = require("./helpers");
+var buildFeeds = require("../scripts/build-feeds");
+
+test("build-feeds builds every feed from a profile export", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var rain = await helpers.post(jane, "Rain in #Paris tomorrow");
+  var sun = await helpers.post(jane, "Sun in #London next week");
+  var exported = JSON.parse(await helpers.call(jane, "exportPredictions", jane._uid, "json"));
+
+  var outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "feeds-"));
+  try {
+    await new Promise(function(resolve, reject) {
+      buildFeeds.build(exported, outputDir, "https://example.com/", function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+    var read = function(file) {
+      return fs.readFileSync(path.join(outputDir, file), "utf8");
+    };
+
+    var latest = read("latest.atom");
+    assert.ok(latest.indexOf("?prediction=" + sun) < latest.indexOf("?prediction=" + rain));
+    assert.ok(latest.indexOf("<author><name>Jane Doe</name></author>") > 0);
+    assert.ok(read("latest.rss").indexOf("<title>Rain in #Paris tomorrow</title>") > 0);
+
+    var user = read(path.join("users", jane._uid.replace(/[^\w-]/g, "-") + ".atom"));
+    assert.ok(user.indexOf("<title>Predictions by Jane Doe</title>") > 0);
+
+    var paris = read(path.join("topics", "paris.atom"));
+    assert.ok(paris.indexOf("?prediction=" + rain) > 0);
+    assert.strictEqual(paris.indexOf("?prediction=" + sun), -1);
+    assert.ok(fs.existsSync(path.join(outputDir, "topics", "london.rss")));
+  } finally {
+    fs.rmSync(outputDir, {recursive: true, force: true});
+  }
+});
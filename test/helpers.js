@@ -0,0 +1,181 @@
+/**
+ * Helpers for the headless test suite. The browser scripts of the data layer
+ * are loaded into a fresh VM context per test, and run against the in-memory
+ * backend (see publicpredictions-memory.js), so no network is needed.
+ *
+ * Run the suite with:  npm test
+ */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var SCRIPTS = [
+  "publicpredictions-memory.js",
+  "publicpredictions-search.js",
+  "publicpredictions-avatar.js",
+  "publicpredictions-feed.js",
+  "publicpredictions.js"
+];
+
+var BASE_URL = "memory://test";
+
+/**
+ * Load the data layer into a new context, with its own in-memory data.
+ * Returns the context, whose globals are those of the loaded scripts. Extra
+ * globals, e.g. the Web Crypto API, can be passed in.
+ */
+function load(globals) {
+  var context = {
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    console: console
+  };
+  for (var name in globals || {}) {
+    context[name] = globals[name];
+  }
+  context.window = context;
+  context.window.location = {search: ""};
+  vm.createContext(context);
+  for (var i = 0; i < SCRIPTS.length; i++) {
+    var file = path.join(__dirname, "..", "js", SCRIPTS[i]);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, {filename: file});
+  }
+  return context;
+}
+
+/**
+ * Get the root reference of the in-memory data of a context.
+ */
+function root(context) {
+  return context.PublicPredictionsMemoryStore.open(BASE_URL);
+}
+
+/**
+ * Get the number of listeners registered on the in-memory data of a context.
+ */
+function listenerCount(context) {
+  return context.PublicPredictionsMemoryStore._stores[BASE_URL]._listeners.length;
+}
+
+/**
+ * Create an email account for a user with the given full name, and resolve
+ * with a PublicPredictions instance logged in as that user. Each instance has
+ * its own auth context, so several users can be logged in at once.
+ */
+function signUp(context, fullName) {
+  return new Promise(function(resolve, reject) {
+    var publicpredictions = new context.PublicPredictions(BASE_URL, true);
+    publicpredictions.onLoginStateChange(function(err, user) {
+      if (err) {
+        reject(err);
+      } else if (user) {
+        resolve(publicpredictions);
+      }
+    });
+    var email = fullName.toLowerCase().replace(/ /g, ".") + "@example.com";
+    publicpredictions.createAccount(email, "secret", function(err) {
+      if (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Post a prediction, resolving with its ID.
+ */
+function post(publicpredictions, content, options) {
+  return new Promise(function(resolve, reject) {
+    publicpredictions.post(content, options || {}, function(err, id) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(id);
+      }
+    });
+  });
+}
+
+/**
+ * Call a PublicPredictions method taking an onComplete(err, value) callback
+ * as its last argument, resolving with the value.
+ */
+function call(publicpredictions, method) {
+  var args = Array.prototype.slice.call(arguments, 2);
+  return new Promise(function(resolve, reject) {
+    publicpredictions[method].apply(publicpredictions, args.concat([function(err, value) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    }]));
+  });
+}
+
+/**
+ * Copy a value from a context into this one, so that it can be compared with
+ * assert.deepStrictEqual(), which tells the objects of different contexts
+ * apart.
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read the value at a path of the in-memory data.
+ */
+function read(context, location) {
+  return new Promise(function(resolve) {
+    root(context).child(location).once("value", function(snap) {
+      resolve(plain(snap.val()));
+    });
+  });
+}
+
+/**
+ * Retry an assertion until it passes, for results that arrive through
+ * asynchronous callbacks. Gives up, rethrowing the last failure, after a
+ * second.
+ */
+function eventually(assertion) {
+  var deadline = Date.now() + 1000;
+  return new Promise(function(resolve, reject) {
+    var attempt = function() {
+      try {
+        assertion();
+        resolve();
+      } catch (err) {
+        if (Date.now() > deadline) {
+          reject(err);
+        } else {
+          setTimeout(attempt, 5);
+        }
+      }
+    };
+    attempt();
+  });
+}
+
+/**
+ * Wait for pending callbacks of the in-memory backend to run.
+ */
+function settle() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 20);
+  });
+}
+
+module.exports = {
+  BASE_URL: BASE_URL,
+  load: load,
+  root: root,
+  listenerCount: listenerCount,
+  signUp: signUp,
+  post: post,
+  call: call,
+  plain: plain,
+  read: read,
+  eventually: eventually,
+  settle: settle
+};
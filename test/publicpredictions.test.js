@@ -0,0 +1,1559 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var crypto = require("crypto");
+var helpers = require("./helpers");
+
+test("post writes the prediction, the author's lists and the indexes", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+
+  var id = await helpers.post(jane, "Rain in #Paris tomorrow", {confidence: 0.7});
+
+  var prediction = await helpers.read(context, "predictions/" + id);
+  assert.strictEqual(prediction.author, jane._uid);
+  assert.strictEqual(prediction.by, "Jane Doe");
+  assert.strictEqual(prediction.content, "Rain in #Paris tomorrow");
+  assert.strictEqual(prediction.confidence, 0.7);
+  assert.deepStrictEqual(prediction.topics, {paris: true});
+
+  var user = await helpers.read(context, "users/" + jane._uid);
+  assert.deepStrictEqual(Object.keys(user.predictions), [id]);
+  assert.deepStrictEqual(Object.keys(user.feed), [id]);
+  assert.ok(await helpers.read(context, "recent-users/" + jane._uid));
+  assert.ok(await helpers.read(context, "recent-predictions/" + id));
+  assert.ok(await helpers.read(context, "search/tokens/rain/" + id));
+  assert.ok(await helpers.read(context, "topics/paris/" + id));
+});
+
+test("post rejects invalid input", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+
+  assert.throws(function() {
+    jane.post("", function() {});
+  }, /Invalid prediction provided/);
+  assert.throws(function() {
+    jane.post("Rain tomorrow", {confidence: 1.5}, function() {});
+  });
+  assert.throws(function() {
+    jane.post("Rain tomorrow");
+  });
+});
+
+test("resolvePrediction records one outcome once the deadline has passed", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+
+  assert.throws(function() {
+    jane.post("Rain yesterday", {deadline: new Date().getTime() - 1000}, function() {});
+  }, /Invalid deadline provided/);
+  var id = await helpers.post(jane, "Rain tomorrow", {deadline: new Date().getTime() + 60000});
+  await assert.rejects(helpers.call(jane, "resolvePrediction", id, "right", null),
+                       /before its deadline/);
+
+  await new Promise(function(resolve) {
+    helpers.root(context).child("predictions/" + id + "/deadline").set(1000, resolve);
+  });
+  assert.throws(function() {
+    jane.resolvePrediction(id, "maybe", null, function() {});
+  }, /Invalid outcome provided/);
+  assert.throws(function() {
+    jane.resolvePrediction(id, "wrong", "javascript:alert(1)", function() {});
+  }, /Invalid evidence URL provided/);
+  await assert.rejects(helpers.call(john, "resolvePrediction", id, "right", null),
+                       /Only the author/);
+
+  var evidence = "https://example.com/weather";
+  assert.strictEqual(await helpers.call(jane, "resolvePrediction", id, "wrong", evidence),
+                     "wrong");
+  var prediction = await helpers.read(context, "predictions/" + id);
+  assert.strictEqual(prediction.outcome, "wrong");
+  assert.strictEqual(prediction.evidence, evidence);
+  assert.strictEqual(typeof prediction.resolvedAt, "number");
+  await assert.rejects(helpers.call(jane, "resolvePrediction", id, "right", null),
+                       /already been resolved/);
+});
+
+test("brierScore and logScore score a stated probability against the outcome", function() {
+  var context = helpers.load();
+  var PublicPredictions = context.PublicPredictions;
+  assert.ok(Math.abs(PublicPredictions.brierScore(0.8, "right") - 0.04) < 1e-9);
+  assert.ok(Math.abs(PublicPredictions.brierScore(0.8, "wrong") - 0.64) < 1e-9);
+  assert.strictEqual(PublicPredictions.logScore(0.8, "right"), Math.log(0.8));
+  assert.strictEqual(PublicPredictions.logScore(0.8, "wrong"), Math.log(1 - 0.8));
+});
+
+test("resolved predictions with a confidence add to the author's scores", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  assert.throws(function() {
+    jane.post("Rain tomorrow", {confidence: 1}, function() {});
+  }, /Invalid confidence provided/);
+
+  var right = await helpers.post(jane, "Rain tomorrow", {confidence: 0.8});
+  var wrong = await helpers.post(jane, "Sun tomorrow", {confidence: 0.6});
+  var unscored = await helpers.post(jane, "Snow tomorrow");
+  var voided = await helpers.post(jane, "Hail tomorrow", {confidence: 0.9});
+  await helpers.call(jane, "resolvePrediction", right, "right", null);
+  await helpers.call(jane, "resolvePrediction", wrong, "wrong", null);
+  await helpers.call(jane, "resolvePrediction", unscored, "right", null);
+  await helpers.call(jane, "resolvePrediction", voided, "void", null);
+  await helpers.settle();
+
+  var info = await new Promise(function(resolve) {
+    jane.getUserInfo(jane._uid, resolve);
+  });
+  jane.unload();
+  assert.strictEqual(info.scores.count, 2);
+  assert.ok(Math.abs(info.scores.brier - (0.04 + 0.36) / 2) < 1e-9);
+  assert.ok(Math.abs(info.scores.log - (Math.log(0.8) + Math.log(0.4)) / 2) < 1e-9);
+});
+
+test("forecasts give one community probability per user", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var mary = await helpers.signUp(context, "Mary Major");
+  var id = await helpers.post(jane, "Rain tomorrow", {confidence: 0.9});
+
+  assert.throws(function() {
+    john.forecast(id, 0, function() {});
+  }, /Invalid probability provided/);
+  await assert.rejects(helpers.call(jane, "forecast", id, 0.5), /your own prediction/);
+  await assert.rejects(helpers.call(john, "forecast", "missing", 0.5), /does not exist/);
+  await helpers.call(john, "forecast", id, 0.4);
+  await helpers.call(mary, "forecast", id, 0.7);
+  await helpers.call(john, "forecast", id, 0.6);
+
+  var summary = await new Promise(function(resolve) {
+    jane.onForecasts(id, function(value) {
+      resolve(helpers.plain(value));
+    });
+  });
+  jane.unload();
+  assert.strictEqual(summary.count, 2);
+  assert.ok(Math.abs(summary.mean - 0.65) < 1e-9);
+  assert.ok(Math.abs(summary.median - 0.65) < 1e-9);
+  var expected = {};
+  expected[john._uid] = 0.6;
+  expected[mary._uid] = 0.7;
+  assert.deepStrictEqual(summary.forecasts, expected);
+
+  var notifications = await helpers.read(context, "notifications/" + jane._uid);
+  assert.strictEqual(Object.keys(notifications).filter(function(key) {
+    return notifications[key].type == "forecast" && notifications[key].predictionId == id;
+  }).length, 3);
+
+  await helpers.call(jane, "resolvePrediction", id, "wrong", null);
+  await assert.rejects(helpers.call(mary, "forecast", id, 0.5), /no longer open/);
+});
+
+test("comments are listed in order and deleted by their author or the prediction's", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var mary = await helpers.signUp(context, "Mary Major");
+  var id = await helpers.post(jane, "Rain tomorrow");
+
+  assert.throws(function() {
+    john.addComment(id, "x".repeat(context.PublicPredictions.MAX_LENGTH + 1), function() {});
+  }, /Invalid comment provided/);
+  var first = await helpers.call(john, "addComment", id, "Doubtful");
+  var second = await helpers.call(mary, "addComment", id, "Agreed");
+  var third = await helpers.call(mary, "addComment", id, "Still agreed");
+
+  var comments = [];
+  var removed = [];
+  jane.onComment(id, function(commentId, comment) {
+    comments.push([commentId, comment.by, comment.content]);
+  }, function(commentId) {
+    removed.push(commentId);
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(comments, [
+      [first, "John Smith", "Doubtful"],
+      [second, "Mary Major", "Agreed"],
+      [third, "Mary Major", "Still agreed"]
+    ]);
+  });
+
+  await assert.rejects(helpers.call(john, "deleteComment", id, second), /cannot delete/);
+  await assert.rejects(helpers.call(john, "deleteComment", id, "missing"), /does not exist/);
+  await helpers.call(mary, "deleteComment", id, second);
+  await helpers.call(jane, "deleteComment", id, first);
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(removed, [second, first]);
+  });
+  assert.deepStrictEqual(Object.keys(await helpers.read(context, "comments/" + id)), [third]);
+  jane.unload();
+
+  var notifications = await helpers.read(context, "notifications/" + jane._uid);
+  assert.strictEqual(Object.keys(notifications).filter(function(key) {
+    return notifications[key].type == "comment";
+  }).length, 3);
+});
+
+test("follow copies history and fans out new predictions to followers", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var mary = await helpers.signUp(context, "Mary Major");
+
+  var before = await helpers.post(jane, "Rain tomorrow");
+  await helpers.call(john, "follow", jane._uid);
+  await helpers.call(mary, "follow", jane._uid);
+
+  var johnFeed = await helpers.read(context, "users/" + john._uid + "/feed");
+  assert.deepStrictEqual(Object.keys(johnFeed), [before]);
+  var followers = await helpers.read(context, "users/" + jane._uid + "/followers");
+  assert.deepStrictEqual(Object.keys(followers).sort(), [john._uid, mary._uid].sort());
+
+  var after = await helpers.post(jane, "Sun the day after");
+  johnFeed = await helpers.read(context, "users/" + john._uid + "/feed");
+  assert.deepStrictEqual(Object.keys(johnFeed), [before, after]);
+  var maryFeed = await helpers.read(context, "users/" + mary._uid + "/feed");
+  assert.deepStrictEqual(Object.keys(maryFeed), [before, after]);
+});
+
+test("post fans out in batches and reports the feeds it could not write", async function() {
+  var context = helpers.load();
+  context.PublicPredictions.FANOUT_BATCH_SIZE = 2;
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var followers = [
+    await helpers.signUp(context, "John Smith"),
+    await helpers.signUp(context, "Mary Major"),
+    await helpers.signUp(context, "Ann Lee")
+  ];
+  for (var i = 0; i < followers.length; i++) {
+    await helpers.call(followers[i], "follow", jane._uid);
+  }
+
+  var batches = [];
+  var failing = "users/" + followers[1]._uid + "/feed/";
+  var update = jane._firebase.update;
+  jane._firebase.update = function(values, onComplete) {
+    var paths = Object.keys(values);
+    batches.push(paths);
+    if (paths.some(function(path) { return path.indexOf(failing) === 0; })) {
+      setTimeout(function() {
+        onComplete(new Error("Permission denied"));
+      }, 0);
+      return;
+    }
+    return update.apply(this, arguments);
+  };
+
+  var result = await new Promise(function(resolve) {
+    jane.post("Rain tomorrow", function(err, id) {
+      resolve({err: err, id: id});
+    });
+  });
+  assert.strictEqual(result.err.partial, true);
+  assert.deepStrictEqual(helpers.plain(result.err.failedPaths).sort(), [
+    "deliveries/" + result.id + "/" + followers[1]._uid,
+    failing + result.id
+  ]);
+  // The post itself is one atomic update, then one batch per follower.
+  assert.ok(batches[0].indexOf("predictions/" + result.id) >= 0);
+  assert.deepStrictEqual(batches.slice(1).map(function(paths) {
+    return paths.length;
+  }), [2, 2, 2]);
+
+  assert.ok(await helpers.read(context, "predictions/" + result.id));
+  assert.ok(await helpers.read(context, "users/" + followers[0]._uid + "/feed/" + result.id));
+  assert.strictEqual(await helpers.read(context, failing + result.id), null);
+  assert.ok(await helpers.read(context, "users/" + followers[2]._uid + "/feed/" + result.id));
+});
+
+test("unfollow removes the followed user's predictions from the feed", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+
+  await helpers.post(jane, "Rain tomorrow");
+  var own = await helpers.post(john, "Snow next week");
+  await helpers.call(john, "follow", jane._uid);
+  await helpers.call(john, "unfollow", jane._uid);
+
+  var feed = await helpers.read(context, "users/" + john._uid + "/feed");
+  assert.deepStrictEqual(Object.keys(feed), [own]);
+  assert.strictEqual(await helpers.read(context, "users/" + jane._uid + "/followers"), null);
+});
+
+test("onFollowStatus reports following and unfollowing", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+
+  var states = [];
+  john.onFollowStatus(jane._uid, function(following) {
+    states.push(following);
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(states, [false]);
+  });
+  await helpers.call(john, "follow", jane._uid);
+  await helpers.call(john, "unfollow", jane._uid);
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(states, [false, true, false]);
+  });
+  assert.strictEqual(await helpers.read(context, "users/" + john._uid + "/following"), null);
+  john.unload();
+});
+
+test("following a topic delivers its predictions until it is unfollowed", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var mary = await helpers.signUp(context, "Mary Major");
+  var feed = async function() {
+    return Object.keys(await helpers.read(context, "users/" + john._uid + "/feed") || {});
+  };
+
+  assert.throws(function() {
+    john.followTopic("#not a topic", function() {});
+  }, /Invalid topic provided/);
+  var before = await helpers.post(jane, "Rain in #Paris tomorrow");
+  await helpers.post(jane, "Sun in London tomorrow");
+  var followed = await helpers.post(mary, "Snow in #paris next week");
+  await helpers.post(mary, "Nothing to do with it");
+  await helpers.call(john, "follow", mary._uid);
+  await helpers.call(john, "followTopic", "#PARIS");
+  assert.strictEqual(await helpers.read(context, "topic-followers/paris/" + john._uid), true);
+  var after = await helpers.post(jane, "Fog over #paris");
+  assert.ok((await feed()).indexOf(before) >= 0);
+  assert.ok((await feed()).indexOf(after) >= 0);
+  assert.strictEqual((await feed()).length, 4);
+
+  var states = [];
+  john.onTopicFollowStatus("paris", function(following) {
+    states.push(following);
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(states, [true]);
+  });
+  // Mary's predictions stay, since John still follows her.
+  await helpers.call(john, "unfollowTopic", "paris");
+  var remaining = await feed();
+  assert.strictEqual(remaining.length, 2);
+  assert.ok(remaining.indexOf(followed) >= 0);
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(states, [true, false]);
+  });
+  john.unload();
+});
+
+test("getSuggestedUsers skips the current user and users already followed", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var mary = await helpers.signUp(context, "Mary Major");
+
+  await helpers.post(jane, "Rain tomorrow");
+  await helpers.post(john, "Snow next week");
+  await helpers.post(mary, "Sun next month");
+  await helpers.call(jane, "follow", john._uid);
+
+  var suggested = {};
+  jane.getSuggestedUsers(function(userid, info) {
+    suggested[userid] = info;
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(Object.keys(suggested), [mary._uid]);
+  });
+  assert.strictEqual(suggested[mary._uid].fullName, "Mary Major");
+});
+
+test("onNewPrediction reports overflow for predictions pushed out of the limit", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var first = await helpers.post(jane, "First");
+  var second = await helpers.post(jane, "Second");
+
+  var shown = [];
+  var overflow = [];
+  jane.onNewPrediction(2, function(id, prediction) {
+    if (shown.indexOf(id) < 0) {
+      shown.push(id);
+    }
+  }, function(id, removed) {
+    overflow.push({id: id, removed: removed});
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(shown, [first, second]);
+  });
+
+  var third = await helpers.post(jane, "Third");
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(shown, [first, second, third]);
+    // The first prediction is still in the feed, just outside the window.
+    assert.deepStrictEqual(overflow, [{id: first, removed: false}]);
+  });
+});
+
+test("onNewPrediction reports overflow for predictions removed from the feed", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var id = await helpers.post(jane, "Rain tomorrow");
+  await helpers.call(john, "follow", jane._uid);
+
+  var shown = [];
+  var overflow = [];
+  john.onNewPrediction(10, function(predictionId) {
+    shown.push(predictionId);
+  }, function(predictionId, removed) {
+    overflow.push({id: predictionId, removed: removed});
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(shown, [id]);
+  });
+
+  await helpers.call(john, "unfollow", jane._uid);
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(overflow, [{id: id, removed: true}]);
+  });
+});
+
+test("getOlderPredictionsFor pages back through a user's predictions", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var ids = [];
+  for (var i = 0; i < 5; i++) {
+    ids.push(await helpers.post(jane, "Prediction " + i));
+  }
+  var page = function(beforeId) {
+    return new Promise(function(resolve) {
+      var contents = [];
+      jane.getOlderPredictionsFor(jane._uid, beforeId, 2, function(id, prediction) {
+        contents.push(prediction.content);
+      }, function(cursor, hasMore) {
+        resolve({contents: contents, cursor: cursor, hasMore: hasMore});
+      });
+    });
+  };
+
+  var first = await page(null);
+  assert.deepStrictEqual(first.contents, ["Prediction 4", "Prediction 3"]);
+  assert.strictEqual(first.cursor, ids[3]);
+  assert.strictEqual(first.hasMore, true);
+  var second = await page(first.cursor);
+  assert.deepStrictEqual(second.contents, ["Prediction 2", "Prediction 1"]);
+  assert.strictEqual(second.hasMore, true);
+  var last = await page(second.cursor);
+  assert.deepStrictEqual(last.contents, ["Prediction 0"]);
+  assert.strictEqual(last.cursor, ids[0]);
+  assert.strictEqual(last.hasMore, false);
+  var empty = await page(last.cursor);
+  assert.deepStrictEqual(empty.contents, []);
+  assert.strictEqual(empty.cursor, ids[0]);
+  assert.strictEqual(empty.hasMore, false);
+});
+
+test("unload detaches every handler registered for a page", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  await helpers.post(jane, "Rain tomorrow");
+  await helpers.call(john, "follow", jane._uid);
+  await helpers.settle();
+  var baseline = helpers.listenerCount(context);
+
+  john.onNewPrediction(10, function() {}, function() {});
+  john.onLatestPrediction(10, function() {}, function() {});
+  john.getUserInfo(jane._uid, function() {},
+                   function() {}, function() {}, function() {}, function() {});
+  await helpers.settle();
+  assert.ok(helpers.listenerCount(context) > baseline);
+  for (var i = 0; i < john._handlers.length; i++) {
+    assert.strictEqual(typeof john._handlers[i].handler, "function");
+  }
+
+  john.unload();
+  assert.strictEqual(helpers.listenerCount(context), baseline);
+  assert.strictEqual(john._handlers.length, 0);
+});
+
+test("getUserInfo registers its follower handlers under the key unload() reads", async function() {
+  // getUserInfo used to store its follower and followee handlers as
+  // "handle" instead of "handler", so unload() left them attached.
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  await helpers.settle();
+  var baseline = helpers.listenerCount(context);
+
+  jane.getUserInfo(jane._uid, function() {},
+                   function() {}, function() {}, function() {}, function() {});
+  var keys = helpers.plain(jane._handlers.map(function(handler) {
+    return Object.keys(handler).sort().join(",");
+  }));
+  assert.deepStrictEqual(keys, ["eventType,handler,ref", "eventType,handler,ref", "eventType,handler,ref"]);
+
+  await helpers.settle();
+  jane.unload();
+  assert.strictEqual(helpers.listenerCount(context), baseline);
+});
+
+test("logout detaches session handlers", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  await helpers.settle();
+  var baseline = helpers.listenerCount(context);
+
+  jane.onUnreadNotificationCount(function() {});
+  await helpers.settle();
+  assert.strictEqual(helpers.listenerCount(context), baseline + 1);
+
+  jane.logout();
+  await helpers.settle();
+  assert.strictEqual(helpers.listenerCount(context), baseline);
+});
+
+test("guests can read but not write", async function() {
+  var context = helpers.load();
+  var guest = new context.PublicPredictions(helpers.BASE_URL, true);
+  var user = await new Promise(function(resolve) {
+    guest.onLoginStateChange(function(err, info) {
+      if (info) {
+        resolve(info);
+      }
+    });
+    guest.login("anonymous");
+  });
+
+  assert.strictEqual(user.readOnly, true);
+  assert.throws(function() {
+    guest.post("Rain tomorrow", function() {});
+  }, /read-only/i);
+  assert.strictEqual(await helpers.read(context, "people"), null);
+});
+
+test("login offers the enabled providers and reports failed logins", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  jane.logout();
+
+  var publicpredictions = new context.PublicPredictions(helpers.BASE_URL, true);
+  assert.deepStrictEqual(helpers.plain(publicpredictions.getProviders()).map(function(provider) {
+    return provider.id;
+  }), ["facebook", "google", "github", "password", "anonymous"]);
+  assert.throws(function() {
+    publicpredictions.login("myspace");
+  }, /Invalid provider/);
+
+  var results = [];
+  var loggedIn = new Promise(function(resolve) {
+    publicpredictions.onLoginStateChange(function(err, user) {
+      if (err) {
+        results.push(err.code);
+      } else if (user) {
+        results.push(user.name);
+        resolve(user);
+      }
+    });
+  });
+  publicpredictions.login("password", {email: "jane.doe@example.com", password: "wrong"});
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(results, ["INVALID_PASSWORD"]);
+  });
+  publicpredictions.login("password", {email: "jane.doe@example.com", password: "secret"});
+  var user = await loggedIn;
+  assert.strictEqual(user.fullName, "Jane Doe");
+  assert.ok(!user.readOnly);
+  assert.deepStrictEqual(results, ["INVALID_PASSWORD", "Jane"]);
+
+  var taken = await new Promise(function(resolve) {
+    publicpredictions.createAccount("jane.doe@example.com", "other", function(err) {
+      resolve(err);
+    });
+  });
+  assert.match(taken.message, /already in use/);
+});
+
+test("avatars prefer an upload, then Facebook, then Gravatar, then initials", async function() {
+  var context = helpers.load({crypto: crypto.webcrypto, TextEncoder: TextEncoder});
+  var Avatar = context.PublicPredictionsAvatar;
+  var dataURL = "data:image/png;base64,iVBORw0KGgo=";
+  var emailHash = crypto.createHash("sha256").update("jane.doe@example.com").digest("hex");
+
+  assert.strictEqual(Avatar.resolve({dataURL: dataURL, facebookId: "1"}, "Jane Doe"), dataURL);
+  assert.match(Avatar.resolve({facebookId: "1", emailHash: emailHash}, "Jane Doe"),
+               /^https:\/\/graph\.facebook\.com\/1\/picture\/\?type=square/);
+  assert.match(Avatar.resolve({facebookId: "1"}, "Jane Doe", true), /type=large/);
+  assert.strictEqual(Avatar.resolve({emailHash: emailHash}, "Jane Doe", true),
+                     "https://www.gravatar.com/avatar/" + emailHash + "?s=200&d=404");
+  assert.strictEqual(Avatar.resolve({emailHash: "not a hash"}, "Jane Doe"), Avatar.initials("Jane Doe"));
+  assert.match(decodeURIComponent(Avatar.resolve(null, "Jane Doe")), />JD<\/text>/);
+  assert.match(decodeURIComponent(Avatar.initials("")), />\?<\/text>/);
+
+  assert.strictEqual(Avatar.isImageDataURL(dataURL), true);
+  assert.strictEqual(Avatar.isImageDataURL("data:image/svg+xml;base64,PHN2Zz4="), false);
+  assert.strictEqual(Avatar.isImageDataURL("javascript:alert(1)"), false);
+
+  var hash = await new Promise(function(resolve) {
+    Avatar.hashEmail(" Jane.Doe@Example.com ", resolve);
+  });
+  assert.strictEqual(hash, emailHash);
+});
+
+test("setAvatar stores an uploaded picture, and rejects anything else", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var dataURL = "data:image/png;base64,iVBORw0KGgo=";
+
+  assert.throws(function() {
+    jane.setAvatar("data:image/svg+xml;base64,PHN2Zz4=", function() {});
+  }, /Invalid picture/);
+  assert.throws(function() {
+    jane.setAvatar("data:image/png;base64," + new Array(70000).join("A"), function() {});
+  }, /Invalid picture/);
+
+  await helpers.call(jane, "setAvatar", dataURL);
+  assert.strictEqual(await helpers.read(context, "people/" + jane._uid + "/avatar/dataURL"), dataURL);
+  await helpers.call(jane, "setAvatar", null);
+  assert.strictEqual(await helpers.read(context, "people/" + jane._uid + "/avatar/dataURL"), null);
+});
+
+test("the baseURL picks a storage adapter by its scheme", async function() {
+  var context = helpers.load();
+  assert.throws(function() {
+    new context.PublicPredictions("", true);
+  }, /Invalid baseURL/);
+  assert.throws(function() {
+    new context.PublicPredictions("ftp://example.com", true);
+  }, /Unsupported baseURL/);
+
+  var opened = [];
+  context.PublicPredictions.ADAPTERS.test = function(baseURL, newContext) {
+    opened.push([baseURL, newContext]);
+    return context.PublicPredictionsMemoryStore.open(helpers.BASE_URL, newContext);
+  };
+  var publicpredictions = new context.PublicPredictions("TEST://predictions", true);
+  assert.deepStrictEqual(opened, [["TEST://predictions", true]]);
+  assert.strictEqual(publicpredictions._firebase.toString(), helpers.root(context).toString());
+
+  // Memory stores share their data by URL.
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var id = await helpers.post(jane, "Rain tomorrow");
+  var other = context.PublicPredictionsMemoryStore.open("memory://other");
+  var snap = await new Promise(function(resolve) {
+    other.child("predictions").once("value", resolve);
+  });
+  assert.strictEqual(snap.val(), null);
+  assert.strictEqual((await helpers.read(context, "predictions/" + id)).content, "Rain tomorrow");
+});
+
+test("the memory adapter orders, ranges and limits queries like Firebase", async function() {
+  var context = helpers.load();
+  var ref = helpers.root(context).child("scores");
+  ref.set({a: {n: 3}, b: {n: 1}, c: {n: 2}, d: {m: 1}});
+
+  function keys(query) {
+    return new Promise(function(resolve) {
+      query.once("value", function(snap) {
+        var result = [];
+        snap.forEach(function(child) {
+          result.push(child.key());
+        });
+        resolve(result);
+      });
+    });
+  }
+
+  assert.deepStrictEqual(await keys(ref.orderByChild("n")), ["d", "b", "c", "a"]);
+  assert.deepStrictEqual(await keys(ref.orderByChild("n").startAt(2)), ["c", "a"]);
+  assert.deepStrictEqual(await keys(ref.orderByChild("n").endAt(2).limitToLast(1)), ["c"]);
+  assert.deepStrictEqual(await keys(ref.orderByKey().limitToFirst(2)), ["a", "b"]);
+  assert.deepStrictEqual(await keys(ref.orderByChild("n").equalTo(1)), ["b"]);
+});
+
+test("exportPredictions produces JSON and CSV, oldest first", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var first = await helpers.post(jane, "Rain, then \"sun\"", {confidence: 0.7});
+  var second = await helpers.post(jane, "Snow next week");
+
+  var json = JSON.parse(await helpers.call(jane, "exportPredictions", jane._uid, "json"));
+  assert.strictEqual(json.user, jane._uid);
+  assert.deepStrictEqual(json.predictions.map(function(prediction) {
+    return prediction.id;
+  }), [first, second]);
+  assert.strictEqual(json.predictions[0].content, "Rain, then \"sun\"");
+  assert.strictEqual(json.predictions[0].confidence, 0.7);
+  assert.strictEqual(json.predictions[0].imported, false);
+  assert.ok(/^\d{4}-\d{2}-\d{2}T/.test(json.predictions[0].timestamp));
+
+  var csv = await helpers.call(jane, "exportPredictions", jane._uid, "csv");
+  var lines = csv.split("\r\n");
+  assert.strictEqual(lines[0], "id,content,timestamp,deadline,confidence,outcome,resolvedAt," +
+                     "evidence,imported,retracted,retractedAt");
+  assert.strictEqual(lines[1].split(",")[0], first);
+  assert.ok(lines[1].indexOf('"Rain, then ""sun"""') > 0);
+  assert.strictEqual(lines.length, 4);
+});
+
+test("exportPredictions works logged out and leaves out sealed predictions", async function() {
+  var context = helpers.load({crypto: crypto.webcrypto, TextEncoder: TextEncoder});
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var open = await helpers.post(jane, "Rain tomorrow");
+  await helpers.post(jane, "Markets rally", {revealAt: new Date().getTime() + 60000});
+  await helpers.call(jane, "retractPrediction", open, "Misread the forecast");
+
+  var visitor = new context.PublicPredictions(helpers.BASE_URL, true);
+  var json = JSON.parse(await helpers.call(visitor, "exportPredictions", jane._uid, "json"));
+  assert.strictEqual(json.predictions.length, 1);
+  assert.strictEqual(json.predictions[0].id, open);
+  assert.strictEqual(json.predictions[0].retracted, true);
+  assert.ok(/^\d{4}-\d{2}-\d{2}T/.test(json.predictions[0].retractedAt));
+
+  // Retractions survive a round trip through CSV.
+  var csv = await helpers.call(visitor, "exportPredictions", jane._uid, "csv");
+  var john = await helpers.signUp(context, "John Smith");
+  await helpers.call(john, "importPredictions", csv);
+  var ids = Object.keys(await helpers.read(context, "users/" + john._uid + "/predictions"));
+  var imported = await helpers.read(context, "predictions/" + ids[0]);
+  assert.strictEqual(imported.retracted, true);
+  assert.strictEqual(imported.retractedAt, Date.parse(json.predictions[0].retractedAt));
+});
+
+test("importPredictions reads exports and simple CSV, keeping original dates", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  await helpers.post(jane, "Rain, then \"sun\" in #Paris", {confidence: 0.7});
+  var exported = await helpers.call(jane, "exportPredictions", jane._uid, "csv");
+
+  var result = await helpers.call(john, "importPredictions", exported);
+  assert.deepStrictEqual(helpers.plain(result), {imported: 1, skipped: []});
+
+  result = await helpers.call(john, "importPredictions",
+    "content,timestamp,confidence,outcome\n" +
+    "Old call,2015-03-01,80,right\n" +
+    ",2015-03-02,,\n" +
+    "From the future,2999-01-01,,\n");
+  assert.deepStrictEqual(helpers.plain(result), {imported: 1, skipped: [2, 3]});
+
+  var predictions = [];
+  var ids = Object.keys(await helpers.read(context, "users/" + john._uid + "/predictions"));
+  for (var i = 0; i < ids.length; i++) {
+    predictions.push(await helpers.read(context, "predictions/" + ids[i]));
+  }
+  assert.strictEqual(predictions[0].content, "Rain, then \"sun\" in #Paris");
+  assert.strictEqual(predictions[0].author, john._uid);
+  assert.strictEqual(predictions[0].imported, true);
+  assert.deepStrictEqual(predictions[0].topics, {paris: true});
+  assert.strictEqual(predictions[1].timestamp, Date.parse("2015-03-01"));
+  assert.strictEqual(predictions[1].confidence, 0.8);
+  assert.strictEqual(predictions[1].outcome, "right");
+
+  // Imported predictions are not fanned out to feeds.
+  assert.strictEqual(await helpers.read(context, "users/" + john._uid + "/feed"), null);
+});
+
+test("imported predictions never count towards accuracy", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  await helpers.call(jane, "importPredictions", JSON.stringify([
+    {content: "Sure thing", timestamp: "2015-03-01", confidence: 0.95, outcome: "right"},
+    {content: "Still open", timestamp: "2015-03-02", confidence: 0.9}
+  ]));
+  var ids = Object.keys(await helpers.read(context, "users/" + jane._uid + "/predictions"));
+
+  var stats = await new Promise(function(resolve) {
+    jane.getPredictionStats(jane._uid, resolve);
+  });
+  assert.strictEqual(stats.made, 0);
+  assert.strictEqual(stats.resolved, 0);
+  assert.strictEqual(stats.imported, 2);
+  assert.strictEqual(stats.calibration[9].count, 0);
+
+  await helpers.call(jane, "resolvePrediction", ids[1], "right", null);
+  await helpers.settle();
+  assert.strictEqual(await helpers.read(context, "ledger/" + jane._uid), null);
+  assert.strictEqual(await helpers.read(context, "people/" + jane._uid + "/scores"), null);
+  assert.strictEqual(await helpers.read(context, "scores/" + jane._uid), null);
+});
+
+test("buildFeed links entries to their predictions and escapes content", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var first = await helpers.post(jane, "Rain in #Paris");
+  var second = await helpers.post(jane, "Sun & <clouds> in #Paris");
+  var reader = new context.PublicPredictions(helpers.BASE_URL, true);
+  var site = "https://example.com/";
+
+  var atom = await helpers.call(reader, "buildFeed", {user: jane._uid, siteURL: site});
+  assert.ok(atom.indexOf("<title>Predictions by Jane Doe</title>") > 0);
+  assert.ok(atom.indexOf("Sun &amp; &lt;clouds&gt; in #Paris") > 0);
+  assert.ok(atom.indexOf("<clouds>") < 0);
+  // Newest first, each linking to the page of its prediction.
+  assert.ok(atom.indexOf(site + "?prediction=" + second) <
+            atom.indexOf(site + "?prediction=" + first));
+
+  var rss = await helpers.call(reader, "buildFeed", {topic: "paris", format: "rss", siteURL: site});
+  assert.ok(rss.indexOf("<title>#paris predictions</title>") > 0);
+  assert.ok(rss.indexOf("<link>" + site + "?prediction=" + first + "</link>") > 0);
+  assert.strictEqual(rss.split("<item>").length, 3);
+
+  assert.throws(function() {
+    reader.buildFeed({format: "json", siteURL: site}, function() {});
+  }, /Invalid feed format/);
+});
+
+test("onPrediction reports a prediction again as it is resolved", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var id = await helpers.post(jane, "Rain tomorrow", {confidence: 0.7});
+  var reader = new context.PublicPredictions(helpers.BASE_URL, true);
+  var baseline = helpers.listenerCount(context);
+
+  var reports = [];
+  reader.onPrediction(id, function(prediction) {
+    reports.push(helpers.plain(prediction));
+  });
+  await helpers.eventually(function() {
+    assert.strictEqual(reports.length, 1);
+  });
+  assert.strictEqual(reports[0].content, "Rain tomorrow");
+  assert.ok(/^data:image\/svg\+xml/.test(reports[0].pic));
+
+  await helpers.call(jane, "resolvePrediction", id, "right", null);
+  await helpers.eventually(function() {
+    assert.strictEqual(reports[reports.length - 1].outcome, "right");
+  });
+
+  var missing;
+  reader.onPrediction("no-such-prediction", function(prediction) {
+    missing = prediction;
+  });
+  await helpers.eventually(function() {
+    assert.strictEqual(missing, null);
+  });
+
+  reader.unload();
+  assert.strictEqual(helpers.listenerCount(context), baseline);
+});
+
+test("amendPrediction appends revisions and keeps the text as posted", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var id = await helpers.post(jane, "Rain in Pairs tomorrow");
+
+  await helpers.call(jane, "amendPrediction", id, "Rain in Paris tomorrow");
+  await helpers.call(jane, "amendPrediction", id, "Rain in Paris tomorrow!");
+  await assert.rejects(helpers.call(john, "amendPrediction", id, "Sun"),
+                       /Only the author/);
+  assert.throws(function() {
+    jane.amendPrediction(id, "x".repeat(context.PublicPredictions.MAX_LENGTH + 1),
+                         function() {});
+  }, /Invalid prediction provided/);
+  assert.throws(function() {
+    jane.post("x".repeat(context.PublicPredictions.MAX_LENGTH + 1), function() {});
+  }, /Invalid prediction provided/);
+
+  var prediction = await helpers.read(context, "predictions/" + id);
+  assert.strictEqual(prediction.content, "Rain in Pairs tomorrow");
+  var history = helpers.plain(context.PublicPredictions.revisionHistory(prediction));
+  assert.deepStrictEqual(history.map(function(entry) {
+    return entry.type + ": " + entry.content;
+  }), [
+    "post: Rain in Pairs tomorrow",
+    "amend: Rain in Paris tomorrow",
+    "amend: Rain in Paris tomorrow!"
+  ]);
+  assert.ok(history[2].timestamp >= history[1].timestamp);
+});
+
+test("retracted predictions stay on the record and are still scored", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var id = await helpers.post(jane, "Rain tomorrow", {confidence: 0.9});
+  await helpers.call(john, "forecast", id, 0.6);
+
+  await helpers.call(jane, "retractPrediction", id, "Misread the forecast");
+  var prediction = await helpers.read(context, "predictions/" + id);
+  assert.strictEqual(prediction.retracted, true);
+  assert.strictEqual(prediction.content, "Rain tomorrow");
+  var history = helpers.plain(context.PublicPredictions.revisionHistory(prediction));
+  assert.strictEqual(history[1].type, "retract");
+  assert.strictEqual(history[1].reason, "Misread the forecast");
+
+  await assert.rejects(helpers.call(john, "forecast", id, 0.5), /no longer open/);
+  await assert.rejects(helpers.call(jane, "amendPrediction", id, "Sun tomorrow"),
+                       /already been retracted/);
+  await assert.rejects(helpers.call(jane, "retractPrediction", id, null),
+                       /already been retracted/);
+
+  await helpers.call(jane, "resolvePrediction", id, "wrong", null);
+  await helpers.settle();
+  var entry = await helpers.read(context, "ledger/" + jane._uid + "/" + id);
+  assert.strictEqual(entry.kind, "prediction");
+  assert.strictEqual(entry.probability, 0.9);
+  assert.ok(await helpers.read(context, "ledger/" + john._uid + "/" + id));
+
+  var stats = await new Promise(function(resolve) {
+    jane.getPredictionStats(jane._uid, resolve);
+  });
+  assert.strictEqual(stats.made, 1);
+  assert.strictEqual(stats.resolved, 1);
+  assert.strictEqual(stats.retracted, 1);
+  assert.strictEqual(stats.calibration[9].count, 1);
+
+  var notifications = await helpers.read(context, "notifications/" + john._uid);
+  assert.ok(Object.keys(notifications).some(function(key) {
+    return notifications[key].type == "retracted" && notifications[key].predictionId == id;
+  }));
+});
+
+test("getPredictionStats counts outcomes and bins scored predictions by confidence", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var resolve = async function(content, confidence, outcome) {
+    var id = await helpers.post(jane, content, confidence ? {confidence: confidence} : {});
+    if (outcome) {
+      await helpers.call(jane, "resolvePrediction", id, outcome, null);
+    }
+  };
+  await resolve("Rain tomorrow", 0.05, "wrong");
+  await resolve("Sun tomorrow", 0.72, "right");
+  await resolve("Snow tomorrow", 0.78, "wrong");
+  await resolve("Hail tomorrow", 0.99, "right");
+  await resolve("Fog tomorrow", null, "right");
+  await resolve("Wind tomorrow", 0.5, "void");
+  await resolve("Frost tomorrow", 0.5, null);
+
+  var stats = helpers.plain(await new Promise(function(done) {
+    jane.getPredictionStats(jane._uid, done);
+  }));
+  assert.strictEqual(stats.made, 7);
+  assert.strictEqual(stats.resolved, 6);
+  assert.strictEqual(stats.correct, 3);
+  assert.strictEqual(stats.pending, 1);
+
+  assert.strictEqual(stats.calibration.length, 10);
+  assert.deepStrictEqual(stats.calibration[0],
+                         {from: 0, to: 0.1, count: 1, hits: 0, confidence: 0.05, hitRate: 0});
+  assert.strictEqual(stats.calibration[7].from, 0.7);
+  assert.strictEqual(stats.calibration[7].count, 2);
+  assert.strictEqual(stats.calibration[7].hits, 1);
+  assert.ok(Math.abs(stats.calibration[7].confidence - 0.75) < 1e-9);
+  assert.strictEqual(stats.calibration[7].hitRate, 0.5);
+  assert.strictEqual(stats.calibration[9].hitRate, 1);
+  // Void and unresolved predictions, and those without a confidence, are
+  // not binned.
+  assert.deepStrictEqual(stats.calibration[5],
+                         {from: 0.5, to: 0.6, count: 0, hits: 0, confidence: null, hitRate: null});
+});
+
+test("retracting a prediction counts it as missed until it is resolved", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var right = await helpers.post(jane, "Sun tomorrow", {confidence: 0.8});
+  var retracted = await helpers.post(jane, "Rain tomorrow", {confidence: 0.8});
+  await helpers.call(jane, "resolvePrediction", right, "right", null);
+  var getStats = function() {
+    return new Promise(function(resolve) {
+      jane.getPredictionStats(jane._uid, resolve);
+    });
+  };
+
+  var stats = await getStats();
+  assert.strictEqual(stats.correct, 1);
+  assert.strictEqual(stats.resolved, 1);
+  assert.strictEqual(stats.pending, 1);
+  assert.strictEqual(stats.calibration[8].hitRate, 1);
+
+  await helpers.call(jane, "retractPrediction", retracted, null);
+  stats = await getStats();
+  assert.strictEqual(stats.correct, 1);
+  assert.strictEqual(stats.resolved, 2);
+  assert.strictEqual(stats.pending, 0);
+  assert.strictEqual(stats.calibration[8].count, 2);
+  assert.strictEqual(stats.calibration[8].hitRate, 0.5);
+
+  // Resolving it afterwards counts what actually happened.
+  await helpers.call(jane, "resolvePrediction", retracted, "right", null);
+  stats = await getStats();
+  assert.strictEqual(stats.correct, 2);
+  assert.strictEqual(stats.resolved, 2);
+});
+
+test("deletePrediction removes every reference post() created", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var ann = await helpers.signUp(context, "Ann Lee");
+  var bob = await helpers.signUp(context, "Bob Ray");
+  await helpers.call(john, "follow", jane._uid);
+  await helpers.call(ann, "followTopic", "paris");
+  await helpers.call(bob, "follow", jane._uid);
+  var kept = await helpers.post(jane, "Sun in #Paris");
+  var id = await helpers.post(jane, "Rain in #Paris tomorrow", {confidence: 0.8});
+  await helpers.call(john, "forecast", id, 0.4);
+  await helpers.call(john, "addComment", id, "Doubt it");
+  await helpers.settle();
+  // Bob stops following without his feed being cleaned up.
+  await new Promise(function(resolve) {
+    helpers.root(context).child("users/" + jane._uid + "/followers/" + bob._uid).remove(resolve);
+  });
+
+  var removed = [];
+  john.onNewPrediction(10, function() {}, function(predictionId, really) {
+    removed.push([predictionId, really]);
+  });
+  await helpers.settle();
+
+  await assert.rejects(helpers.call(john, "deletePrediction", id), /Only the author/);
+  await helpers.call(jane, "deletePrediction", id);
+
+  var paths = [
+    "predictions/" + id,
+    "users/" + jane._uid + "/predictions/" + id,
+    "users/" + jane._uid + "/feed/" + id,
+    "users/" + john._uid + "/feed/" + id,
+    "users/" + ann._uid + "/feed/" + id,
+    "users/" + bob._uid + "/feed/" + id,
+    "deliveries/" + id,
+    "recent-predictions/" + id,
+    "search/tokens/rain/" + id,
+    "topics/paris/" + id,
+    "forecasts/" + id,
+    "comments/" + id
+  ];
+  for (var i = 0; i < paths.length; i++) {
+    assert.strictEqual(await helpers.read(context, paths[i]), null, paths[i]);
+  }
+  assert.strictEqual(await helpers.read(context, "topics/paris/" + kept), true);
+  assert.strictEqual(await helpers.read(context, "search/tokens/paris/" + kept), true);
+
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(removed, [[id, true]]);
+  });
+});
+
+test("deletePrediction keeps resolved and retracted predictions on the record", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var wrong = await helpers.post(jane, "Rain tomorrow", {confidence: 0.9});
+  var retracted = await helpers.post(jane, "Sun tomorrow");
+  await helpers.call(jane, "resolvePrediction", wrong, "wrong", null);
+  await helpers.call(jane, "retractPrediction", retracted, null);
+
+  await assert.rejects(helpers.call(jane, "deletePrediction", wrong), /cannot be deleted/);
+  await assert.rejects(helpers.call(jane, "deletePrediction", retracted), /cannot be deleted/);
+  assert.strictEqual(await helpers.read(context, "users/" + jane._uid + "/predictions/" + wrong), true);
+});
+
+test("deletePrediction keeps predictions past their deadline on the record", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var id = await helpers.post(jane, "Rain tomorrow", {
+    confidence: 0.9, deadline: new Date().getTime() + 60000
+  });
+  await new Promise(function(resolve) {
+    helpers.root(context).child("predictions/" + id + "/deadline").set(1000, resolve);
+  });
+
+  await assert.rejects(helpers.call(jane, "deletePrediction", id), /past their deadline/);
+  assert.ok(await helpers.read(context, "predictions/" + id));
+});
+
+test("sealed predictions publish a commitment until they are revealed", async function() {
+  var context = helpers.load({crypto: crypto.webcrypto, TextEncoder: TextEncoder});
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  await helpers.call(john, "followTopic", "markets");
+  var content = "Rates go up in March #markets";
+
+  var sealed = await new Promise(function(resolve, reject) {
+    jane.post(content, {revealAt: Date.now() + 60000, confidence: 0.7}, function(err, id, salt) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({id: id, salt: salt});
+      }
+    });
+  });
+  var id = sealed.id;
+  var prediction = await helpers.read(context, "predictions/" + id);
+  var expected = crypto.createHash("sha256").update(sealed.salt + ":" + content).digest("hex");
+  assert.strictEqual(prediction.content, "");
+  assert.strictEqual(prediction.commitment, expected);
+  assert.strictEqual(await helpers.read(context, "topics/markets"), null);
+  assert.strictEqual(await helpers.read(context, "search/tokens/rates"), null);
+
+  await assert.rejects(helpers.call(john, "forecast", id, 0.5), /no longer open/);
+  await assert.rejects(helpers.call(jane, "amendPrediction", id, "Rates go down"),
+                       /must be revealed/);
+  await assert.rejects(helpers.call(jane, "revealPrediction", id, "Rates go down in March",
+                                    sealed.salt), /does not match/);
+
+  await helpers.call(jane, "revealPrediction", id, content, sealed.salt);
+  prediction = await helpers.read(context, "predictions/" + id);
+  assert.strictEqual(prediction.content, content);
+  assert.strictEqual(prediction.salt, sealed.salt);
+  assert.ok(prediction.revealedAt >= prediction.timestamp);
+  assert.deepStrictEqual(prediction.topics, {markets: true});
+  assert.strictEqual(await helpers.read(context, "topics/markets/" + id), true);
+  assert.strictEqual(await helpers.read(context, "search/tokens/rates/" + id), true);
+  assert.strictEqual(await helpers.read(context, "users/" + john._uid + "/feed/" + id), true);
+  assert.deepStrictEqual(helpers.plain(context.PublicPredictions.revisionHistory(prediction)).map(
+    function(entry) { return entry.type; }), ["post", "reveal"]);
+
+  await assert.rejects(helpers.call(jane, "revealPrediction", id, content, sealed.salt),
+                       /not sealed/);
+});
+
+test("posts and resolutions keep the server's time and the client's", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var writes = [];
+  var update = jane._firebase.update;
+  jane._firebase.update = function(values) {
+    writes.push(values);
+    return update.apply(this, arguments);
+  };
+  var id = await helpers.post(jane, "Rain tomorrow");
+  await helpers.call(jane, "resolvePrediction", id, "right", null);
+
+  var posted = writes[0]["predictions/" + id];
+  assert.strictEqual(posted.timestamp, context.PublicPredictions.SERVER_TIMESTAMP);
+  assert.strictEqual(writes[0]["recent-predictions/" + id][".priority"],
+                     context.PublicPredictions.SERVER_TIMESTAMP);
+
+  var prediction = await helpers.read(context, "predictions/" + id);
+  assert.strictEqual(typeof prediction.timestamp, "number");
+  assert.strictEqual(typeof prediction.clientTimestamp, "number");
+  assert.strictEqual(typeof prediction.resolvedAt, "number");
+  assert.strictEqual(typeof prediction.clientResolvedAt, "number");
+  var priority = await new Promise(function(resolve) {
+    helpers.root(context).child("recent-predictions/" + id).once("value", function(snap) {
+      resolve(snap.getPriority());
+    });
+  });
+  assert.strictEqual(priority, prediction.timestamp);
+  assert.deepStrictEqual(helpers.plain(context.PublicPredictions.clockSkews(prediction)), []);
+});
+
+test("amendments and retractions are timed by the server", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var writes = [];
+  var update = jane._firebase.update;
+  jane._firebase.update = function(values) {
+    writes.push(values);
+    return update.apply(this, arguments);
+  };
+  var id = await helpers.post(jane, "Rain in Pairs tomorrow");
+  writes = [];
+  await helpers.call(jane, "amendPrediction", id, "Rain in Paris tomorrow");
+  await helpers.call(jane, "retractPrediction", id, "Forecast changed");
+
+  var SERVER_TIMESTAMP = context.PublicPredictions.SERVER_TIMESTAMP;
+  assert.strictEqual(writes[1]["predictions/" + id + "/retractedAt"], SERVER_TIMESTAMP);
+  writes.forEach(function(values) {
+    for (var path in values) {
+      if (path.indexOf("predictions/" + id + "/revisions/") === 0) {
+        assert.strictEqual(values[path].timestamp, SERVER_TIMESTAMP);
+      }
+    }
+  });
+
+  var prediction = await helpers.read(context, "predictions/" + id);
+  var history = helpers.plain(context.PublicPredictions.revisionHistory(prediction));
+  assert.strictEqual(typeof history[1].timestamp, "number");
+  assert.strictEqual(history[2].timestamp, prediction.retractedAt);
+  assert.strictEqual(typeof prediction.clientRetractedAt, "number");
+  assert.deepStrictEqual(helpers.plain(context.PublicPredictions.clockSkews(prediction)), []);
+});
+
+test("clockSkews reports client clocks far off from the server's", function() {
+  var context = helpers.load();
+  var minute = 60 * 1000;
+  var skews = helpers.plain(context.PublicPredictions.clockSkews({
+    timestamp: 100 * minute, clientTimestamp: 90 * minute,
+    resolvedAt: 200 * minute, clientResolvedAt: 203 * minute,
+    revealedAt: 150 * minute, clientRevealedAt: 160 * minute,
+    retractedAt: 300 * minute, clientRetractedAt: 240 * minute
+  }));
+  assert.deepStrictEqual(skews, [
+    {event: "posted", skew: -10 * minute},
+    {event: "revealed", skew: 10 * minute},
+    {event: "retracted", skew: -60 * minute}
+  ]);
+  // Older predictions only have the client's time.
+  assert.strictEqual(context.PublicPredictions.clockSkews({timestamp: 0}).length, 0);
+});
+
+test("createQuestion rejects invalid answer types, ranges and choices", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var ask = function(fields) {
+    var question = {title: "Snow on New Year's Day?", criteria: "Per Météo-France",
+                    deadline: new Date().getTime() + 60000, type: "binary"};
+    for (var name in fields) {
+      question[name] = fields[name];
+    }
+    return function() {
+      jane.createQuestion(question, function() {});
+    };
+  };
+
+  assert.throws(ask({type: "date"}), /Invalid question type/);
+  assert.throws(ask({type: "numeric", min: 10, max: 5}), /Invalid range/);
+  assert.throws(ask({type: "choice", choices: ["Only one"]}), /Invalid choices/);
+
+  var id = await helpers.call(jane, "createQuestion", {
+    title: "Snow on New Year's Day?", criteria: "Per Météo-France",
+    deadline: new Date().getTime() + 60000, type: "binary"
+  });
+  var question = await helpers.read(context, "questions/" + id);
+  assert.strictEqual(question.owner, jane._uid);
+  assert.strictEqual(question.type, "binary");
+  assert.strictEqual(typeof question.timestamp, "number");
+  assert.strictEqual(await helpers.read(context, "users/" + jane._uid + "/questions/" + id), true);
+  assert.ok(await helpers.read(context, "recent-questions/" + id));
+});
+
+test("onQuestionForecasts aggregates each user's latest forecast over time", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var deadline = new Date().getTime() + 60000;
+  var binary = await helpers.call(jane, "createQuestion", {
+    title: "Snow?", criteria: "Any", deadline: deadline, type: "binary"
+  });
+  var numeric = await helpers.call(jane, "createQuestion", {
+    title: "Inches of snow?", criteria: "Any", deadline: deadline, type: "numeric", min: 0, max: 10
+  });
+  var choice = await helpers.call(jane, "createQuestion", {
+    title: "Which city?", criteria: "Any", deadline: deadline, type: "choice",
+    choices: ["Paris", "London", "Berlin"]
+  });
+
+  await helpers.call(jane, "forecastQuestion", binary, 0.2);
+  await helpers.call(john, "forecastQuestion", binary, 0.6);
+  await helpers.call(jane, "forecastQuestion", binary, 0.4);
+  await helpers.call(jane, "forecastQuestion", numeric, 3);
+  await helpers.call(john, "forecastQuestion", numeric, 9.5);
+  await helpers.call(jane, "forecastQuestion", choice, [0.5, 0.5, 0]);
+  await helpers.call(john, "forecastQuestion", choice, [0.1, 0.6, 0.3]);
+
+  await assert.rejects(helpers.call(jane, "forecastQuestion", binary, 1), /Invalid forecast/);
+  await assert.rejects(helpers.call(jane, "forecastQuestion", numeric, 11), /Invalid forecast/);
+  await assert.rejects(helpers.call(jane, "forecastQuestion", choice, [0.5, 0.2, 0.2]),
+                       /Invalid forecast/);
+  await assert.rejects(helpers.call(jane, "forecastQuestion", "missing", 0.5), /does not exist/);
+
+  var summaries = {};
+  [binary, numeric, choice].forEach(function(id) {
+    jane.onQuestionForecasts(id, function(summary) {
+      summaries[id] = helpers.plain(summary);
+    });
+  });
+  await helpers.eventually(function() {
+    assert.strictEqual(Object.keys(summaries).length, 3);
+  });
+
+  assert.strictEqual(summaries[binary].count, 2);
+  assert.ok(Math.abs(summaries[binary].mean - 0.5) < 1e-9);
+  assert.deepStrictEqual(summaries[binary].timeline.map(function(point) {
+    return Math.round(point.mean * 100);
+  }), [20, 40, 50]);
+  // Jane's second forecast replaces her first in the median as well.
+  assert.deepStrictEqual(summaries[binary].timeline.map(function(point) {
+    return Math.round(point.median * 100);
+  }), [20, 40, 50]);
+  assert.strictEqual(typeof summaries[binary].timeline[0].timestamp, "number");
+
+  assert.strictEqual(summaries[numeric].median, 6.25);
+  assert.strictEqual(summaries[numeric].bins.length, context.PublicPredictions.QUESTION_BINS);
+  assert.strictEqual(summaries[numeric].bins[3], 1);
+  assert.strictEqual(summaries[numeric].bins[9], 1);
+
+  assert.deepStrictEqual(summaries[choice].choices.map(function(mean) {
+    return Math.round(mean * 100);
+  }), [30, 55, 15]);
+});
+
+test("onQuestionForecasts calls back with null for a missing question", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var summary = await new Promise(function(resolve) {
+    jane.onQuestionForecasts("missing", resolve);
+  });
+  assert.strictEqual(summary, null);
+});
+
+test("onQuestionForecasts stops listening when unloaded before it has answered", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var id = await helpers.call(jane, "createQuestion", {
+    title: "Snow?", criteria: "Any", deadline: new Date().getTime() + 60000, type: "binary"
+  });
+  var baseline = helpers.listenerCount(context);
+  var calls = 0;
+  jane.onQuestionForecasts(id, function() {
+    calls++;
+  });
+  jane.unload();
+  assert.strictEqual(helpers.listenerCount(context), baseline);
+
+  await helpers.call(jane, "forecastQuestion", id, 0.3);
+  await helpers.settle();
+  assert.strictEqual(calls, 0);
+});
+
+test("resolveQuestion scores binary forecasts and notifies forecasters", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var id = await helpers.call(jane, "createQuestion", {
+    title: "Snow?", criteria: "Any", deadline: new Date().getTime() + 60000, type: "binary"
+  });
+  await helpers.call(john, "forecastQuestion", id, 0.7);
+
+  await assert.rejects(helpers.call(jane, "resolveQuestion", id, "yes"), /before its deadline/);
+  await new Promise(function(resolve) {
+    helpers.root(context).child("questions/" + id + "/deadline").set(1000, resolve);
+  });
+  await assert.rejects(helpers.call(john, "forecastQuestion", id, 0.5), /no longer open/);
+  await assert.rejects(helpers.call(john, "resolveQuestion", id, "yes"), /Only the owner/);
+  await assert.rejects(helpers.call(jane, "resolveQuestion", id, "maybe"), /Invalid outcome/);
+
+  await helpers.call(jane, "resolveQuestion", id, "yes");
+  await assert.rejects(helpers.call(jane, "resolveQuestion", id, "no"), /already been resolved/);
+  await helpers.settle();
+
+  var question = await helpers.read(context, "questions/" + id);
+  assert.strictEqual(question.outcome, "yes");
+  assert.strictEqual(typeof question.resolvedAt, "number");
+  var entry = await helpers.read(context, "ledger/" + john._uid + "/" + id);
+  assert.strictEqual(entry.probability, 0.7);
+  assert.strictEqual(entry.outcome, "right");
+
+  var notifications = await helpers.read(context, "notifications/" + john._uid);
+  assert.ok(Object.keys(notifications).some(function(key) {
+    return notifications[key].type == "question-resolved" && notifications[key].questionId == id;
+  }));
+});
+
+test("mentions by name resolve through the people search index", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  await helpers.signUp(context, "Ann Lee");
+  // Another Ann Lee, so that the name is ambiguous.
+  await new Promise(function(resolve) {
+    helpers.root(context).child("search/firstName/ann|lee|password:other").set("password:other", resolve);
+  });
+
+  var id = await helpers.post(jane, "Rain tomorrow, right @John.Smith? Ask @ann.lee and @nobody.here");
+  var prediction = await helpers.read(context, "predictions/" + id);
+  var expected = {};
+  expected[john._uid] = "john.smith";
+  assert.deepStrictEqual(prediction.mentions, expected);
+
+  await helpers.settle();
+  var notifications = await helpers.read(context, "notifications/" + john._uid);
+  var ids = Object.keys(notifications);
+  assert.strictEqual(ids.length, 1);
+  assert.strictEqual(notifications[ids[0]].type, "mention");
+  assert.strictEqual(notifications[ids[0]].predictionId, id);
+});
+
+test("notifications report who did what, with an unread count", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var id = await helpers.post(jane, "Rain tomorrow");
+  // Nobody is notified of their own actions.
+  await helpers.call(jane, "addComment", id, "Bring an umbrella");
+  await helpers.call(john, "follow", jane._uid);
+  await helpers.call(john, "addComment", id, "Doubtful");
+  await helpers.settle();
+
+  var unread = [];
+  jane.onUnreadNotificationCount(function(count) {
+    unread.push(count);
+  });
+  var notifications = [];
+  jane.onNotification(10, function(notificationId, notification) {
+    notifications.push([notificationId, notification.type, notification.fromName,
+                        notification.predictionId || null, notification.read]);
+  }, function() {});
+  await helpers.eventually(function() {
+    assert.strictEqual(notifications.length, 2);
+    assert.deepStrictEqual(unread.slice(-1), [2]);
+  });
+  assert.deepStrictEqual(notifications.map(function(notification) {
+    return notification.slice(1);
+  }), [
+    ["follow", "John Smith", null, false],
+    ["comment", "John Smith", id, false]
+  ]);
+
+  await helpers.call(jane, "markNotificationsRead", [notifications[0][0]]);
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(unread.slice(-1), [1]);
+    assert.strictEqual(notifications[notifications.length - 1][4], true);
+  });
+  jane.unload();
+  jane.logout();
+});
+
+test("reminders list due predictions and deadlines within a number of days", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var day = 24 * 60 * 60 * 1000;
+  var now = new Date().getTime();
+  var tomorrow = await helpers.post(jane, "Rain tomorrow", {deadline: now + day});
+  var nextWeek = await helpers.post(jane, "Rain next week", {deadline: now + 5 * day});
+  var dayAfter = await helpers.post(jane, "Rain the day after", {deadline: now + 2 * day});
+  await helpers.post(jane, "Rain some day");
+  var overdue = await helpers.post(jane, "Rain last week", {deadline: now + day});
+  var longOverdue = await helpers.post(jane, "Rain last month", {deadline: now + day});
+  await new Promise(function(resolve) {
+    var root = helpers.root(context);
+    root.child("predictions/" + overdue + "/deadline").set(2000, function() {
+      root.child("predictions/" + longOverdue + "/deadline").set(1000, resolve);
+    });
+  });
+
+  var lists = {};
+  var watch = function(name) {
+    return function(predictions) {
+      lists[name] = helpers.plain(predictions).map(function(prediction) {
+        return prediction.predictionId;
+      });
+    };
+  };
+  jane.onDuePredictions(watch("due"));
+  jane.onUpcomingDeadlines(null, watch("upcoming"));
+  jane.onUpcomingDeadlines(7, watch("week"));
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(lists.due, [longOverdue, overdue]);
+    assert.deepStrictEqual(lists.upcoming, [tomorrow, dayAfter]);
+    assert.deepStrictEqual(lists.week, [tomorrow, dayAfter, nextWeek]);
+  });
+
+  await helpers.call(jane, "resolvePrediction", longOverdue, "right", null);
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(lists.due, [overdue]);
+  });
+  jane.unload();
+});
+
+test("markNotificationsRead only marks the notifications given", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var first = await helpers.post(jane, "Rain tomorrow");
+  var second = await helpers.post(jane, "Sun tomorrow");
+  await helpers.call(john, "forecast", first, 0.4);
+  await helpers.call(john, "forecast", second, 0.6);
+  await helpers.settle();
+
+  var notifications = await helpers.read(context, "notifications/" + jane._uid);
+  var ids = Object.keys(notifications);
+  assert.strictEqual(ids.length, 2);
+  assert.strictEqual(await helpers.call(jane, "markNotificationsRead", [ids[0]]), 1);
+  notifications = await helpers.read(context, "notifications/" + jane._uid);
+  assert.strictEqual(notifications[ids[0]].read, true);
+  assert.strictEqual(notifications[ids[1]].read, false);
+});
+
+test("onLeaderboard ranks running totals, and filters the ledger by window and topic", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var id = await helpers.post(jane, "Rain in #Paris tomorrow", {confidence: 0.9});
+  await helpers.call(john, "forecast", id, 0.4);
+  await helpers.call(jane, "resolvePrediction", id, "right", null);
+  await helpers.settle();
+
+  var leaderboard = function(options) {
+    return new Promise(function(resolve) {
+      jane.onLeaderboard(options, function(rankings) {
+        resolve(helpers.plain(rankings).map(function(ranking) {
+          return [ranking.fullName, ranking.count];
+        }));
+      });
+    });
+  };
+  assert.deepStrictEqual(await leaderboard({}), [["Jane Doe", 1], ["John Smith", 1]]);
+  assert.deepStrictEqual(await leaderboard({topic: "#paris"}),
+                         [["Jane Doe", 1], ["John Smith", 1]]);
+  assert.deepStrictEqual(await leaderboard({topic: "london"}), []);
+
+  var entry = helpers.plain(await helpers.read(context, "ledger-by-time/" + jane._uid + "|" + id));
+  assert.strictEqual(entry.user, jane._uid);
+  assert.strictEqual(entry.brier, (await helpers.read(context, "ledger/" + jane._uid + "/" + id)).brier);
+  assert.ok(await helpers.read(context, "ledger-by-topic/paris/" + john._uid + "|" + id));
+
+  // Jane's score is from long ago.
+  await new Promise(function(resolve) {
+    helpers.root(context).child("ledger-by-time/" + jane._uid + "|" + id + "/resolvedAt")
+      .set(1000, resolve);
+  });
+  assert.deepStrictEqual(await leaderboard({window: 60 * 60 * 1000}), [["John Smith", 1]]);
+  jane.unload();
+});
+
+test("onLeaderboard ranks by mean Brier score, from a minimum number of scores", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var john = await helpers.signUp(context, "John Smith");
+  var first = await helpers.post(jane, "Rain tomorrow", {confidence: 0.6});
+  var second = await helpers.post(jane, "Sun tomorrow", {confidence: 0.6});
+  await helpers.call(john, "forecast", first, 0.9);
+  await helpers.call(jane, "resolvePrediction", first, "right", null);
+  await helpers.call(jane, "resolvePrediction", second, "right", null);
+  await helpers.settle();
+
+  var leaderboard = function(options) {
+    return new Promise(function(resolve) {
+      jane.onLeaderboard(options, function(rankings) {
+        resolve(helpers.plain(rankings));
+      });
+    });
+  };
+  var rankings = await leaderboard({});
+  assert.deepStrictEqual(rankings.map(function(ranking) {
+    return [ranking.userId, ranking.count];
+  }), [[john._uid, 1], [jane._uid, 2]]);
+  assert.ok(Math.abs(rankings[0].brier - 0.01) < 1e-9);
+  assert.ok(Math.abs(rankings[1].brier - 0.16) < 1e-9);
+  assert.strictEqual(rankings[1].fullName, "Jane Doe");
+
+  rankings = await leaderboard({minResolved: 2});
+  assert.deepStrictEqual(rankings.map(function(ranking) {
+    return ranking.userId;
+  }), [jane._uid]);
+  jane.unload();
+});
+
+test("onLeaderboard drops scores as they leave its window", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var id = await helpers.post(jane, "Rain tomorrow", {confidence: 0.9});
+  await helpers.call(jane, "resolvePrediction", id, "right", null);
+  await helpers.settle();
+
+  var reports = [];
+  jane.onLeaderboard({window: 200}, function(rankings) {
+    reports.push(rankings.length);
+  });
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(reports.slice(-1), [1]);
+  });
+  // Nothing is written in the meantime.
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(reports.slice(-1), [0]);
+  });
+  jane.unload();
+  assert.strictEqual(jane._timers.length, 0);
+});
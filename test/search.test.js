@@ -0,0 +1,192 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+
+/**
+ * Start a people search on the data of a context, collecting the names of
+ * the latest results.
+ */
+function search(context, term) {
+  var session = {results: []};
+  session.search = new context.PublicPredictionsSearch(helpers.root(context), term, function(results) {
+    session.results = helpers.plain(results).map(function(result) {
+      return result.name;
+    });
+  });
+  return session;
+}
+
+test("_generateStems adds a stem for each space in the first three characters", function() {
+  var context = helpers.load();
+  var stems = function(term) {
+    return helpers.plain(context.PublicPredictionsSearch.prototype._generateStems(term));
+  };
+
+  assert.deepStrictEqual(stems("Jane"), ["jan"]);
+  assert.deepStrictEqual(stems("al b"), ["al ", "al|"]);
+  assert.deepStrictEqual(stems("a bc"), ["a b", "a|b"]);
+  assert.deepStrictEqual(stems("a b"), ["a b", "a|b"]);
+});
+
+test("containsTerm matches terms sharing the search's stems", function() {
+  var context = helpers.load();
+  var session = search(context, "al b");
+
+  assert.strictEqual(session.search.containsTerm("al bundy"), true);
+  assert.strictEqual(session.search.containsTerm("al|bundy"), true);
+  assert.strictEqual(session.search.containsTerm("alan"), false);
+  assert.strictEqual(session.search.containsTerm("al"), false);
+  session.search.stopSearch();
+});
+
+test("people search finds first and last names", async function() {
+  var context = helpers.load();
+  await helpers.signUp(context, "Jane Doe");
+  await helpers.signUp(context, "Janet Bundy");
+  await helpers.signUp(context, "John Smith");
+
+  var byFirstName = search(context, "jan");
+  var byLastName = search(context, "bun");
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(byFirstName.results.sort(), ["Jane Doe", "Janet Bundy"]);
+    assert.deepStrictEqual(byLastName.results, ["Bundy, Janet"]);
+  });
+  byFirstName.search.stopSearch();
+  byLastName.search.stopSearch();
+});
+
+test("people search matches names with spaces", async function() {
+  var context = helpers.load();
+  await helpers.signUp(context, "Al Bundy");
+  await helpers.signUp(context, "Alan Smith");
+
+  var session = search(context, "al b");
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(session.results, ["Al Bundy"]);
+  });
+  session.search.stopSearch();
+});
+
+test("updateTerm narrows the results without searching again", async function() {
+  var context = helpers.load();
+  await helpers.signUp(context, "Jane Doe");
+  await helpers.signUp(context, "Janet Bundy");
+
+  var session = search(context, "jan");
+  await helpers.eventually(function() {
+    assert.strictEqual(session.results.length, 2);
+  });
+  var listeners = helpers.listenerCount(context);
+
+  session.search.updateTerm("janet");
+  assert.deepStrictEqual(session.results, ["Janet Bundy"]);
+  session.search.updateTerm("jane ");
+  assert.deepStrictEqual(session.results, ["Jane Doe"]);
+  assert.strictEqual(helpers.listenerCount(context), listeners);
+
+  session.search.stopSearch();
+  assert.strictEqual(helpers.listenerCount(context), listeners - 2);
+});
+
+test("updateSearchTerm reports people with their pictures", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  await helpers.signUp(context, "Al Bundy");
+
+  var results = [];
+  jane.startSearch(function(people) {
+    results = helpers.plain(people);
+  });
+  jane.updateSearchTerm("al b");
+  await helpers.eventually(function() {
+    assert.strictEqual(results.length, 1);
+  });
+  assert.strictEqual(results[0].name, "Al Bundy");
+  assert.ok(/^data:image\/svg\+xml/.test(results[0].pic));
+  jane.stopSearching();
+});
+
+test("tokenize lowercases, splits on punctuation and drops short words", function() {
+  var context = helpers.load();
+  var tokens = helpers.plain(context.PublicPredictionsSearch.tokenize(
+    "Rain in Paris, rain in #London! A.I. wins."
+  ));
+  assert.deepStrictEqual(tokens, ["rain", "in", "paris", "london", "wins"]);
+});
+
+test("prediction search matches every word as a prefix", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var rain = await helpers.post(jane, "Rain in Paris tomorrow");
+  await helpers.post(jane, "Sun in Paris tomorrow");
+
+  var results = null;
+  var session = new context.PublicPredictionsContentSearch(helpers.root(context), "par rai", function(predictions) {
+    results = helpers.plain(predictions);
+  });
+  await helpers.eventually(function() {
+    assert.strictEqual(results && results.length, 1);
+  });
+  assert.strictEqual(results[0].predictionId, rain);
+  assert.strictEqual(results[0].content, "Rain in Paris tomorrow");
+  assert.deepStrictEqual(results[0].terms, ["par", "rai"]);
+  session.stopSearch();
+});
+
+test("updateSearchTerm reports predictions containing every word", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var rain = await helpers.post(jane, "Rain in Paris tomorrow");
+  var sun = await helpers.post(jane, "Sun in Paris tomorrow");
+
+  var results = null;
+  jane.startSearch(function() {}, function(predictions) {
+    results = helpers.plain(predictions).map(function(prediction) {
+      return prediction.predictionId;
+    }).sort();
+  });
+  jane.updateSearchTerm("paris");
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(results, [rain, sun].sort());
+  });
+  jane.updateSearchTerm("paris sun");
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(results, [sun]);
+  });
+  jane.updateSearchTerm("");
+  await helpers.eventually(function() {
+    assert.deepStrictEqual(results, []);
+  });
+  jane.stopSearching();
+});
+
+test("prediction search only matches short terms as whole words", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var ai = await helpers.post(jane, "AI beats Go champions");
+  await helpers.post(jane, "Airlines go bankrupt");
+
+  var results = null;
+  var session = new context.PublicPredictionsContentSearch(helpers.root(context), "ai", function(predictions) {
+    results = helpers.plain(predictions);
+  });
+  await helpers.eventually(function() {
+    assert.strictEqual(results && results.length, 1);
+  });
+  assert.strictEqual(results[0].predictionId, ai);
+  session.stopSearch();
+});
+
+test("prediction search finds amended predictions by their new words", async function() {
+  var context = helpers.load();
+  var jane = await helpers.signUp(context, "Jane Doe");
+  var id = await helpers.post(jane, "Rain in Pariss tomorrow");
+  await helpers.call(jane, "amendPrediction", id, "Rain in Paris tomorrow");
+
+  assert.strictEqual(await helpers.read(context, "search/tokens/pariss/" + id), null);
+  assert.strictEqual(await helpers.read(context, "search/tokens/paris/" + id), true);
+  assert.strictEqual(await helpers.read(context, "search/tokens/rain/" + id), true);
+
+  await helpers.call(jane, "deletePrediction", id);
+  assert.strictEqual(await helpers.read(context, "search/tokens"), null);
+});